@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./database');
+
+// Cross-device backups from the main page's admin console: each browser has a client ID
+// and uploads snapshots of its working data (places, hotel pin, preferences), so staff
+// can pick up the same data on another device.
+const SNAPSHOTS_FILE = path.join(__dirname, 'data', 'client_backups.json');
+const MAX_SNAPSHOT_BYTES = parseInt(process.env.CLIENT_BACKUP_MAX_BYTES) || 5 * 1024 * 1024;
+const SNAPSHOTS_PER_CLIENT = parseInt(process.env.CLIENT_BACKUP_KEEP) || 10;
+const RETENTION_DAYS = parseInt(process.env.CLIENT_BACKUP_RETENTION_DAYS) || 30;
+const BACKUP_VERSIONS = ['1.0', '1.1', '1.2']; // Full, optimized and minimal backups
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{3,100}$/;
+
+let useDatabase = false;
+let fileSnapshots = [];
+
+function clientBackupError(message, code = 'CLIENT_BACKUP_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function initClientBackups(databaseEnabled) {
+  useDatabase = databaseEnabled;
+  if (useDatabase) return;
+
+  try {
+    if (fs.existsSync(SNAPSHOTS_FILE)) {
+      fileSnapshots = JSON.parse(fs.readFileSync(SNAPSHOTS_FILE, 'utf8'));
+      console.log(`☁️ Loaded ${fileSnapshots.length} client backup snapshots from file`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading client backups:', error);
+    fileSnapshots = [];
+  }
+}
+
+function saveFileSnapshots() {
+  fs.writeFileSync(SNAPSHOTS_FILE, JSON.stringify(fileSnapshots, null, 2));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCoordinate(value, limit) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+function validateClientId(clientId) {
+  if (!CLIENT_ID_PATTERN.test(String(clientId || ''))) {
+    throw clientBackupError('clientId must be 3-100 letters, numbers, dashes or underscores');
+  }
+  return String(clientId);
+}
+
+// Check the shape createOptimizedBackup / createFullBackup produce (minimal 1.2 backups
+// have no places)
+function validateBackupData(data, clientId) {
+  if (!isObject(data)) throw clientBackupError('data must be a backup object');
+  if (!BACKUP_VERSIONS.includes(data.version)) {
+    throw clientBackupError(`data.version must be one of: ${BACKUP_VERSIONS.join(', ')}`);
+  }
+  if (data.clientId !== clientId) throw clientBackupError('data.clientId does not match clientId');
+  if (isNaN(Date.parse(data.timestamp))) throw clientBackupError('data.timestamp must be an ISO date');
+
+  const location = data.hotelLocation;
+  if (!isObject(location) || !isCoordinate(location.lat, 90) || !isCoordinate(location.lng, 180)) {
+    throw clientBackupError('data.hotelLocation must have numeric lat and lng');
+  }
+
+  if (data.places !== undefined) {
+    if (!isObject(data.places)) throw clientBackupError('data.places must map categories to place lists');
+    for (const [category, places] of Object.entries(data.places)) {
+      if (!Array.isArray(places)) throw clientBackupError(`data.places.${category} must be a list`);
+      if (places.some(place => !isObject(place) || !place.name)) {
+        throw clientBackupError(`Every place in data.places.${category} needs a name`);
+      }
+    }
+  } else if (data.version !== '1.2') {
+    throw clientBackupError('data.places is required');
+  }
+
+  const preferences = data.userPreferences;
+  if (preferences !== undefined) {
+    if (!isObject(preferences)) throw clientBackupError('data.userPreferences must be an object');
+    if (preferences.lastUsedCategories !== undefined && !Array.isArray(preferences.lastUsedCategories)) {
+      throw clientBackupError('data.userPreferences.lastUsedCategories must be a list');
+    }
+    if (preferences.lastRadius !== undefined && !Number.isFinite(preferences.lastRadius)) {
+      throw clientBackupError('data.userPreferences.lastRadius must be a number');
+    }
+  }
+  if (data.metadata !== undefined && !isObject(data.metadata)) {
+    throw clientBackupError('data.metadata must be an object');
+  }
+}
+
+// Validate a save-client-data body: { clientId, data, timestamp }
+function normalizeClientBackup(body = {}) {
+  const clientId = validateClientId(body.clientId);
+  validateBackupData(body.data, clientId);
+
+  const sizeBytes = Buffer.byteLength(JSON.stringify(body.data));
+  if (sizeBytes > MAX_SNAPSHOT_BYTES) {
+    throw clientBackupError(
+      `Backup is ${(sizeBytes / 1024 / 1024).toFixed(1)}MB - the limit is ${(MAX_SNAPSHOT_BYTES / 1024 / 1024).toFixed(1)}MB`,
+      'CLIENT_BACKUP_TOO_LARGE'
+    );
+  }
+
+  return { clientId, data: body.data, sizeBytes };
+}
+
+// Snapshot without its data, for listings
+function describeSnapshot(snapshot) {
+  const { data, ...meta } = snapshot;
+  return meta;
+}
+
+// Drop snapshots past the retention period and beyond the per-client limit
+async function pruneSnapshots(clientId) {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  if (useDatabase) {
+    await db.pruneClientBackups(clientId, SNAPSHOTS_PER_CLIENT, cutoff);
+    return;
+  }
+
+  const kept = fileSnapshots
+    .filter(snapshot => snapshot.clientId === clientId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, SNAPSHOTS_PER_CLIENT);
+  fileSnapshots = fileSnapshots.filter(snapshot =>
+    new Date(snapshot.createdAt) >= cutoff &&
+    (snapshot.clientId !== clientId || kept.includes(snapshot)));
+  saveFileSnapshots();
+}
+
+async function saveClientSnapshot({ clientId, data, sizeBytes }, staff) {
+  const snapshot = {
+    id: `cb_${uuidv4()}`,
+    clientId,
+    staffId: staff.id,
+    staffUsername: staff.username,
+    hotelId: typeof data.hotelId === 'string' ? data.hotelId : null,
+    version: data.version,
+    backupTimestamp: data.timestamp,
+    totalPlaces: data.metadata && Number.isFinite(data.metadata.totalPlaces) ? data.metadata.totalPlaces : 0,
+    sizeBytes,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  if (useDatabase) {
+    if (!(await db.addClientBackup(snapshot))) throw new Error('Failed to save client backup to database');
+  } else {
+    fileSnapshots.push(snapshot);
+  }
+
+  await pruneSnapshots(clientId);
+  return snapshot;
+}
+
+// All snapshots (without data), newest first
+async function listClientSnapshots(clientId = null) {
+  const snapshots = useDatabase
+    ? (await db.getClientBackups(clientId)) || []
+    : fileSnapshots
+      .filter(snapshot => !clientId || snapshot.clientId === clientId)
+      .map(describeSnapshot);
+
+  return snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+async function getClientSnapshot(clientId, snapshotId) {
+  if (useDatabase) return db.getClientBackup(clientId, snapshotId);
+  return fileSnapshots.find(snapshot => snapshot.clientId === clientId && snapshot.id === snapshotId) || null;
+}
+
+// One entry per client with its newest snapshot
+function summarizeClients(snapshots) {
+  const clients = new Map();
+  snapshots.forEach(snapshot => {
+    const client = clients.get(snapshot.clientId);
+    if (client) {
+      client.snapshots++;
+      return;
+    }
+    clients.set(snapshot.clientId, { clientId: snapshot.clientId, snapshots: 1, latest: snapshot });
+  });
+  return Array.from(clients.values());
+}
+
+module.exports = {
+  MAX_SNAPSHOT_BYTES,
+  initClientBackups,
+  validateClientId,
+  normalizeClientBackup,
+  saveClientSnapshot,
+  listClientSnapshots,
+  getClientSnapshot,
+  describeSnapshot,
+  summarizeClients
+};
@@ -5,32 +5,38 @@ const path = require('path');
 // Database connection pool
 let pool = null;
 
+// Connection pool for DATABASE_URL (or POSTGRES_URL), or null if neither is set. Also
+// used by the migrate.js command line.
+function createPool() {
+  const databaseUrl = process.env.DATABASE_URL || process.env.POSTGRES_URL;
+  if (!databaseUrl) return null;
+
+  return new Pool({
+    connectionString: databaseUrl,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    max: 10, // Maximum number of clients in pool
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 10000,
+  });
+}
+
 // Initialize database connection
 async function initDatabase() {
   try {
-    // Database connection configuration
-    const databaseUrl = process.env.DATABASE_URL || process.env.POSTGRES_URL;
+    pool = createPool();
     
-    if (!databaseUrl) {
+    if (!pool) {
       console.log('📋 No database URL found, using file storage as fallback');
       return false;
     }
 
-    // Create connection pool
-    pool = new Pool({
-      connectionString: databaseUrl,
-      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-      max: 10, // Maximum number of clients in pool
-      idleTimeoutMillis: 30000,
-      connectionTimeoutMillis: 10000,
-    });
-
     // Test connection
     await pool.query('SELECT NOW()');
     console.log('✅ Database connected successfully');
 
-    // Create tables if they don't exist
-    await createTables();
+    // Bring the schema up to date (required here because migrate.js uses createPool)
+    const { migrateUp } = require('./migrate');
+    await migrateUp(pool);
     
     return true;
   } catch (error) {
@@ -40,206 +46,260 @@ async function initDatabase() {
   }
 }
 
-// Create database tables
-async function createTables() {
-  const createRecommendationsTable = `
-    CREATE TABLE IF NOT EXISTS recommendations (
-      id VARCHAR(50) PRIMARY KEY,
-      name VARCHAR(255) NOT NULL,
-      address TEXT NOT NULL,
-      latitude DECIMAL(10, 8) NOT NULL,
-      longitude DECIMAL(11, 8) NOT NULL,
-      rating DECIMAL(3, 2) DEFAULT 0,
-      user_rating_count INTEGER DEFAULT 0,
-      description TEXT,
-      category VARCHAR(50) DEFAULT 'recommend',
-      website_uri TEXT,
-      featured BOOLEAN DEFAULT false,
-      added_by VARCHAR(100) DEFAULT 'manual_entry',
-      added_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      images JSONB DEFAULT '[]'::jsonb,
-      parsed_data JSONB,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
-  `;
-
-  const createIndexes = `
-    CREATE INDEX IF NOT EXISTS idx_recommendations_location ON recommendations (latitude, longitude);
-    CREATE INDEX IF NOT EXISTS idx_recommendations_category ON recommendations (category);
-    CREATE INDEX IF NOT EXISTS idx_recommendations_featured ON recommendations (featured);
-    CREATE INDEX IF NOT EXISTS idx_recommendations_added_date ON recommendations (added_date);
-  `;
+// Map a recommendations row to the record shape the recommendations store keeps
+function mapRecommendationRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    address: row.address,
+    location: {
+      latitude: parseFloat(row.latitude),
+      longitude: parseFloat(row.longitude)
+    },
+    rating: parseFloat(row.rating) || 0,
+    userRatingCount: row.user_rating_count || 0,
+    description: row.description || '',
+    category: row.category || 'recommend',
+    websiteUri: row.website_uri || '',
+    featured: row.featured || false,
+    addedBy: row.added_by || 'manual_entry',
+    addedDate: new Date(row.added_date || row.created_at).toISOString(),
+    updatedDate: new Date(row.updated_at || row.added_date || row.created_at).toISOString(),
+    images: row.images || [],
+    photos: row.photos || [],
+    openingHours: row.opening_hours,
+    parsedData: row.parsed_data,
+    hotelId: row.hotel_id,
+    sharedWith: row.shared_with || [],
+    deletedAt: row.deleted_at ? new Date(row.deleted_at).toISOString() : null,
+    deletedBy: row.deleted_by
+  };
+}
 
-  try {
-    await pool.query(createRecommendationsTable);
-    await pool.query(createIndexes);
-    console.log('✅ Database tables created/verified');
-  } catch (error) {
-    console.error('❌ Error creating tables:', error);
-    throw error;
-  }
+// Every column is written, so an update can't silently keep stale fields
+const UPSERT_RECOMMENDATION = `
+  INSERT INTO recommendations (
+    id, name, address, latitude, longitude, rating, user_rating_count,
+    description, category, website_uri, featured, added_by, added_date, updated_at,
+    images, photos, opening_hours, parsed_data, hotel_id, shared_with, deleted_at, deleted_by
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+  ON CONFLICT (id) DO UPDATE SET
+    name = EXCLUDED.name,
+    address = EXCLUDED.address,
+    latitude = EXCLUDED.latitude,
+    longitude = EXCLUDED.longitude,
+    rating = EXCLUDED.rating,
+    user_rating_count = EXCLUDED.user_rating_count,
+    description = EXCLUDED.description,
+    category = EXCLUDED.category,
+    website_uri = EXCLUDED.website_uri,
+    featured = EXCLUDED.featured,
+    added_by = EXCLUDED.added_by,
+    added_date = EXCLUDED.added_date,
+    updated_at = EXCLUDED.updated_at,
+    images = EXCLUDED.images,
+    photos = EXCLUDED.photos,
+    opening_hours = EXCLUDED.opening_hours,
+    parsed_data = EXCLUDED.parsed_data,
+    hotel_id = EXCLUDED.hotel_id,
+    shared_with = EXCLUDED.shared_with,
+    deleted_at = EXCLUDED.deleted_at,
+    deleted_by = EXCLUDED.deleted_by
+`;
+
+function recommendationValues(recommendation) {
+  return [
+    recommendation.id,
+    recommendation.name,
+    recommendation.address,
+    recommendation.location.latitude,
+    recommendation.location.longitude,
+    recommendation.rating,
+    recommendation.userRatingCount,
+    recommendation.description,
+    recommendation.category,
+    recommendation.websiteUri,
+    recommendation.featured,
+    recommendation.addedBy,
+    new Date(recommendation.addedDate), // Dates (not ISO strings) round-trip through TIMESTAMP in local time
+    new Date(recommendation.updatedDate),
+    JSON.stringify(recommendation.images),
+    JSON.stringify(recommendation.photos),
+    JSON.stringify(recommendation.openingHours),
+    JSON.stringify(recommendation.parsedData),
+    recommendation.hotelId,
+    JSON.stringify(recommendation.sharedWith),
+    recommendation.deletedAt ? new Date(recommendation.deletedAt) : null,
+    recommendation.deletedBy
+  ];
+}
+
+// Map a hotels row to the hotel record shape
+function mapHotelRow(row) {
+  return {
+    key: row.key,
+    name: row.name,
+    address: row.address,
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude),
+    description: row.description,
+    timezone: row.timezone,
+    defaultRadius: row.default_radius,
+    branding: row.branding || {},
+    contact: row.contact || {},
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Map a client_backups row to the snapshot shape (data only when selected)
+function mapClientBackupRow(row) {
+  const snapshot = {
+    id: row.id,
+    clientId: row.client_id,
+    staffId: row.staff_id,
+    staffUsername: row.staff_username,
+    hotelId: row.hotel_id,
+    version: row.version,
+    backupTimestamp: row.backup_timestamp,
+    totalPlaces: row.total_places,
+    sizeBytes: row.size_bytes,
+    createdAt: row.created_at
+  };
+  if (row.data !== undefined) snapshot.data = row.data;
+  return snapshot;
+}
+
+// Map a recommendation_revisions row to the revision shape
+function mapRevisionRow(row) {
+  return {
+    id: row.id,
+    recommendationId: row.recommendation_id,
+    revision: row.revision,
+    action: row.action,
+    staffId: row.staff_id,
+    staffUsername: row.staff_username,
+    changes: row.changes || [],
+    revertedTo: row.reverted_to,
+    createdAt: row.created_at,
+    snapshot: row.snapshot
+  };
+}
+
+// Map a media row to the media metadata shape
+function mapMediaRow(row) {
+  return {
+    id: row.id,
+    hash: row.hash,
+    contentType: row.content_type,
+    width: row.width,
+    height: row.height,
+    variants: row.variants || {},
+    originalName: row.original_name,
+    originalBytes: row.original_bytes,
+    uploadedBy: row.uploaded_by,
+    createdAt: row.created_at
+  };
+}
+
+// Map a staff_accounts row to the shape used by the app
+function mapStaffRow(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role,
+    hotels: row.hotels || [],
+    disabled: row.disabled || false,
+    invitedBy: row.invited_by,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Map a qr_tokens row to the registry record shape
+function mapQRTokenRow(row) {
+  return {
+    qrId: row.qr_id,
+    metadata: row.metadata || {},
+    issuedAt: row.issued_at,
+    expiresAt: row.expires_at,
+    uses: row.uses || 0,
+    firstUsed: row.first_used,
+    lastUsed: row.last_used,
+    ipAddresses: row.ip_addresses || [],
+    userAgents: row.user_agents || [],
+    devices: row.devices || [],
+    signingKid: row.signing_kid,
+    url: row.url,
+    revoked: row.revoked || false,
+    revokedAt: row.revoked_at
+  };
+}
+
+// Map a qr_short_links row to the short link record shape
+function mapShortLinkRow(row) {
+  return {
+    code: row.code,
+    qrId: row.qr_id,
+    token: row.token,
+    hotelId: row.hotel_id,
+    destination: row.destination,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
 }
 
 // Database operations
 const db = {
-  // Get all recommendations
+  // Get all recommendations, oldest first (the order the file store keeps them in)
   async getAllRecommendations() {
     if (!pool) return null;
     
     try {
-      const result = await pool.query(`
-        SELECT 
-          id,
-          name,
-          address,
-          latitude,
-          longitude,
-          rating,
-          user_rating_count,
-          description,
-          category,
-          website_uri,
-          featured,
-          added_by,
-          added_date,
-          images,
-          parsed_data
-        FROM recommendations 
-        ORDER BY added_date DESC
-      `);
-      
-      return result.rows.map(row => ({
-        id: row.id,
-        name: row.name,
-        address: row.address,
-        location: {
-          latitude: parseFloat(row.latitude),
-          longitude: parseFloat(row.longitude)
-        },
-        rating: parseFloat(row.rating) || 0,
-        userRatingCount: row.user_rating_count || 0,
-        description: row.description || '',
-        category: row.category || 'recommend',
-        websiteUri: row.website_uri || '',
-        featured: row.featured || false,
-        addedBy: row.added_by || 'manual_entry',
-        addedDate: row.added_date,
-        images: row.images || [],
-        parsedData: row.parsed_data,
-        photos: [] // For compatibility with existing code
-      }));
+      const result = await pool.query('SELECT * FROM recommendations ORDER BY added_date ASC, id ASC');
+      return result.rows.map(mapRecommendationRow);
     } catch (error) {
       console.error('❌ Error getting recommendations:', error);
       return null;
     }
   },
 
-  // Add new recommendation
-  async addRecommendation(recommendation) {
+  // Insert or replace a whole recommendation record
+  async saveRecommendation(recommendation) {
     if (!pool) return null;
     
     try {
-      const query = `
-        INSERT INTO recommendations (
-          id, name, address, latitude, longitude, rating, user_rating_count,
-          description, category, website_uri, featured, added_by, images, parsed_data
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-        RETURNING *
-      `;
-      
-      const values = [
-        recommendation.id,
-        recommendation.name,
-        recommendation.address,
-        recommendation.location.latitude,
-        recommendation.location.longitude,
-        recommendation.rating || 0,
-        recommendation.userRatingCount || 0,
-        recommendation.description || '',
-        recommendation.category || 'recommend',
-        recommendation.websiteUri || '',
-        recommendation.featured || false,
-        recommendation.addedBy || 'manual_entry',
-        JSON.stringify(recommendation.images || []),
-        JSON.stringify(recommendation.parsedData || null)
-      ];
-      
-      const result = await pool.query(query, values);
-      console.log(`✅ Added recommendation to database: ${recommendation.name}`);
-      return result.rows[0];
+      const result = await pool.query(`${UPSERT_RECOMMENDATION} RETURNING *`, recommendationValues(recommendation));
+      return mapRecommendationRow(result.rows[0]);
     } catch (error) {
-      console.error('❌ Error adding recommendation:', error);
+      console.error('❌ Error saving recommendation:', error);
       return null;
     }
   },
 
-  // Update recommendation
-  async updateRecommendation(id, updates) {
+  // Replace every recommendation with the given records in one transaction (restores and syncs)
+  async replaceAllRecommendations(recommendations) {
     if (!pool) return null;
-    
+
+    const client = await pool.connect();
     try {
-      const query = `
-        UPDATE recommendations 
-        SET 
-          name = COALESCE($2, name),
-          address = COALESCE($3, address),
-          latitude = COALESCE($4, latitude),
-          longitude = COALESCE($5, longitude),
-          rating = COALESCE($6, rating),
-          description = COALESCE($7, description),
-          website_uri = COALESCE($8, website_uri),
-          featured = COALESCE($9, featured),
-          images = COALESCE($10, images),
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = $1
-        RETURNING *
-      `;
-      
-      // Handle both direct coordinate properties and nested location object
-      const latitude = updates.location ? updates.location.latitude : updates.latitude;
-      const longitude = updates.location ? updates.location.longitude : updates.longitude;
-      
-      const values = [
-        id,
-        updates.name,
-        updates.address,
-        latitude,
-        longitude,
-        updates.rating,
-        updates.description,
-        updates.websiteUri,
-        updates.featured,
-        updates.images ? JSON.stringify(updates.images) : null
-      ];
-      
-      console.log('🔧 Database update values:', {
-        id,
-        name: updates.name,
-        coordinates: { latitude, longitude },
-        hasLocation: !!updates.location
-      });
-      
-      const result = await pool.query(query, values);
-      
-      if (result.rows.length > 0) {
-        console.log('✅ Database update successful:', {
-          id: result.rows[0].id,
-          name: result.rows[0].name,
-          updated_coordinates: {
-            latitude: result.rows[0].latitude,
-            longitude: result.rows[0].longitude
-          }
-        });
-        return result.rows[0];
-      } else {
-        console.error('⚠️ No rows returned from database update - place not found?');
-        return null;
+      await client.query('BEGIN');
+      await client.query('DELETE FROM recommendations WHERE NOT (id = ANY($1))', [recommendations.map(rec => rec.id)]);
+      for (const recommendation of recommendations) {
+        await client.query(UPSERT_RECOMMENDATION, recommendationValues(recommendation));
       }
+      await client.query('COMMIT');
+      return true;
     } catch (error) {
-      console.error('❌ Error updating recommendation:', error);
-      console.error('📋 Query values that failed:', values);
+      await client.query('ROLLBACK');
+      console.error('❌ Error replacing recommendations:', error);
       return null;
+    } finally {
+      client.release();
     }
   },
 
@@ -248,8 +308,8 @@ const db = {
     if (!pool) return null;
     
     try {
-      const result = await pool.query('DELETE FROM recommendations WHERE id = $1 RETURNING *', [id]);
-      return result.rows[0];
+      const result = await pool.query('DELETE FROM recommendations WHERE id = $1', [id]);
+      return result.rowCount > 0;
     } catch (error) {
       console.error('❌ Error deleting recommendation:', error);
       return null;
@@ -262,13 +322,670 @@ const db = {
     
     try {
       const result = await pool.query('SELECT * FROM recommendations WHERE id = $1', [id]);
-      return result.rows[0];
+      return result.rows[0] ? mapRecommendationRow(result.rows[0]) : null;
     } catch (error) {
       console.error('❌ Error getting recommendation by ID:', error);
       return null;
     }
   },
 
+  // Get all staff accounts
+  async getAllStaffAccounts() {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM staff_accounts ORDER BY created_at ASC');
+      return result.rows.map(mapStaffRow);
+    } catch (error) {
+      console.error('❌ Error getting staff accounts:', error);
+      return null;
+    }
+  },
+
+  // Get staff account by ID
+  async getStaffAccountById(id) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM staff_accounts WHERE id = $1', [id]);
+      return result.rows[0] ? mapStaffRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error getting staff account by ID:', error);
+      return null;
+    }
+  },
+
+  // Get staff account by username
+  async getStaffAccountByUsername(username) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM staff_accounts WHERE LOWER(username) = LOWER($1)', [username]);
+      return result.rows[0] ? mapStaffRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error getting staff account by username:', error);
+      return null;
+    }
+  },
+
+  // Add new staff account
+  async addStaffAccount(account) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO staff_accounts (id, username, password_hash, role, hotels, disabled, invited_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        account.id,
+        account.username,
+        account.passwordHash,
+        account.role,
+        JSON.stringify(account.hotels || []),
+        account.disabled || false,
+        account.invitedBy || null
+      ]);
+      console.log(`✅ Added staff account to database: ${account.username}`);
+      return mapStaffRow(result.rows[0]);
+    } catch (error) {
+      console.error('❌ Error adding staff account:', error);
+      return null;
+    }
+  },
+
+  // Update staff account
+  async updateStaffAccount(id, updates) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        UPDATE staff_accounts
+        SET
+          password_hash = COALESCE($2, password_hash),
+          role = COALESCE($3, role),
+          hotels = COALESCE($4, hotels),
+          disabled = COALESCE($5, disabled),
+          last_login_at = COALESCE($6, last_login_at),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [
+        id,
+        updates.passwordHash,
+        updates.role,
+        updates.hotels ? JSON.stringify(updates.hotels) : null,
+        updates.disabled,
+        updates.lastLoginAt
+      ]);
+      return result.rows[0] ? mapStaffRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error updating staff account:', error);
+      return null;
+    }
+  },
+
+  // Register an issued QR token
+  async addQRToken(record) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO qr_tokens (qr_id, metadata, issued_at, expires_at, signing_kid, url)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (qr_id) DO NOTHING
+        RETURNING *
+      `, [record.qrId, JSON.stringify(record.metadata || {}), record.issuedAt, record.expiresAt, record.signingKid, record.url]);
+
+      if (result.rows[0]) return mapQRTokenRow(result.rows[0]);
+      return this.getQRToken(record.qrId);
+    } catch (error) {
+      console.error('❌ Error adding QR token:', error);
+      return null;
+    }
+  },
+
+  // Get QR token record by qrId
+  async getQRToken(qrId) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM qr_tokens WHERE qr_id = $1', [qrId]);
+      return result.rows[0] ? mapQRTokenRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error getting QR token:', error);
+      return null;
+    }
+  },
+
+  // Get all QR token records
+  async getAllQRTokens() {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM qr_tokens ORDER BY issued_at DESC');
+      return result.rows.map(mapQRTokenRow);
+    } catch (error) {
+      console.error('❌ Error getting QR tokens:', error);
+      return null;
+    }
+  },
+
+  // Atomically count one use of a QR token (skips revoked tokens and tokens over their limits).
+  // Query errors are thrown rather than returned as null, which means a limit was reached.
+  async recordQRTokenUse(qrId, ipAddress, userAgent, deviceId, maxScans, maxDevices) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        UPDATE qr_tokens
+        SET
+          uses = uses + 1,
+          first_used = COALESCE(first_used, CURRENT_TIMESTAMP),
+          last_used = CURRENT_TIMESTAMP,
+          ip_addresses = CASE WHEN ip_addresses ? $2 THEN ip_addresses ELSE ip_addresses || to_jsonb($2::text) END,
+          user_agents = CASE WHEN user_agents ? $3 THEN user_agents ELSE user_agents || to_jsonb($3::text) END,
+          devices = CASE WHEN devices ? $4 THEN devices ELSE devices || to_jsonb($4::text) END
+        WHERE qr_id = $1
+          AND revoked = false
+          AND uses < $5
+          AND (devices ? $4 OR jsonb_array_length(devices) < $6)
+        RETURNING *
+      `, [qrId, ipAddress, userAgent, deviceId, maxScans, maxDevices]);
+      return result.rows[0] ? mapQRTokenRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error recording QR token use:', error);
+      throw error;
+    }
+  },
+
+  // Mark a QR token as revoked
+  async revokeQRToken(qrId) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        UPDATE qr_tokens SET revoked = true, revoked_at = CURRENT_TIMESTAMP
+        WHERE qr_id = $1
+        RETURNING *
+      `, [qrId]);
+      return result.rows[0] ? mapQRTokenRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error revoking QR token:', error);
+      return null;
+    }
+  },
+
+  // Count live (unrevoked, unexpired) QR tokens per signing key
+  async countLiveQRTokensByKid() {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        SELECT signing_kid, COUNT(*)::int AS count
+        FROM qr_tokens
+        WHERE revoked = false AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        GROUP BY signing_kid
+      `);
+      return result.rows.map(row => ({ kid: row.signing_kid, count: row.count }));
+    } catch (error) {
+      console.error('❌ Error counting QR tokens by key:', error);
+      return null;
+    }
+  },
+
+  // Get all JWT signing keys
+  async getAllJwtKeys() {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM jwt_keys ORDER BY created_at ASC');
+      return result.rows.map(row => ({
+        kid: row.kid,
+        secret: row.secret,
+        fingerprint: row.fingerprint,
+        status: row.status,
+        createdAt: row.created_at,
+        rotatedAt: row.rotated_at,
+        retiredAt: row.retired_at
+      }));
+    } catch (error) {
+      console.error('❌ Error getting JWT keys:', error);
+      return null;
+    }
+  },
+
+  // Insert or update a JWT signing key
+  async saveJwtKey(key) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO jwt_keys (kid, secret, fingerprint, status, created_at, rotated_at, retired_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (kid) DO UPDATE SET
+          fingerprint = EXCLUDED.fingerprint,
+          status = EXCLUDED.status,
+          rotated_at = EXCLUDED.rotated_at,
+          retired_at = EXCLUDED.retired_at
+        RETURNING kid
+      `, [key.kid, key.secret, key.fingerprint || null, key.status, key.createdAt, key.rotatedAt, key.retiredAt]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('❌ Error saving JWT key:', error);
+      return null;
+    }
+  },
+
+  // Get a hotel's QR branding (logo and presets)
+  async getQRBranding(hotelId) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM qr_branding WHERE hotel_id = $1', [hotelId]);
+      const row = result.rows[0];
+      if (!row) return null;
+      return { hotelId: row.hotel_id, logo: row.logo, presets: row.presets || [], updatedAt: row.updated_at };
+    } catch (error) {
+      console.error('❌ Error getting QR branding:', error);
+      return null;
+    }
+  },
+
+  // Insert or replace a hotel's QR branding
+  async saveQRBranding(branding) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO qr_branding (hotel_id, logo, presets, updated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        ON CONFLICT (hotel_id) DO UPDATE SET
+          logo = EXCLUDED.logo,
+          presets = EXCLUDED.presets,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING hotel_id
+      `, [branding.hotelId, branding.logo, JSON.stringify(branding.presets || [])]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('❌ Error saving QR branding:', error);
+      return null;
+    }
+  },
+
+  // Get a dynamic QR short link by code
+  async getShortLink(code) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM qr_short_links WHERE code = $1', [code]);
+      return result.rows[0] ? mapShortLinkRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error getting short link:', error);
+      return null;
+    }
+  },
+
+  // Get all dynamic QR short links, newest first
+  async getAllShortLinks() {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM qr_short_links ORDER BY created_at DESC');
+      return result.rows.map(mapShortLinkRow);
+    } catch (error) {
+      console.error('❌ Error getting short links:', error);
+      return null;
+    }
+  },
+
+  // Insert or update a short link (the code, token and creator never change)
+  async saveShortLink(link) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO qr_short_links (code, qr_id, token, hotel_id, destination, created_by, created_at, updated_by, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (code) DO UPDATE SET
+          destination = EXCLUDED.destination,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = EXCLUDED.updated_at
+        RETURNING *
+      `, [link.code, link.qrId, link.token, link.hotelId, JSON.stringify(link.destination),
+        link.createdBy, link.createdAt, link.updatedBy, link.updatedAt]);
+      return mapShortLinkRow(result.rows[0]);
+    } catch (error) {
+      console.error('❌ Error saving short link:', error);
+      return null;
+    }
+  },
+
+  // Append a QR scan event
+  async addScanEvent(event) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO qr_scan_events (scanned_at, qr_id, hotel_id, room, device_class, ip_hash, device_hash)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [event.scannedAt, event.qrId, event.hotelId, event.room, event.deviceClass, event.ipHash, event.deviceHash]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('❌ Error adding scan event:', error);
+      return null;
+    }
+  },
+
+  // QR scan events in a time range, oldest first
+  async getScanEvents(from, to) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(
+        'SELECT * FROM qr_scan_events WHERE scanned_at BETWEEN $1 AND $2 ORDER BY scanned_at',
+        [from, to]
+      );
+      return result.rows.map(row => ({
+        scannedAt: row.scanned_at.toISOString(),
+        qrId: row.qr_id,
+        hotelId: row.hotel_id,
+        room: row.room,
+        deviceClass: row.device_class,
+        ipHash: row.ip_hash,
+        deviceHash: row.device_hash
+      }));
+    } catch (error) {
+      console.error('❌ Error getting scan events:', error);
+      return null;
+    }
+  },
+
+  // Append a guest engagement event
+  async addEngagementEvent(event) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO engagement_events (occurred_at, event, place_id, category, qr_id, hotel_id, session_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [event.occurredAt, event.event, event.placeId, event.category, event.qrId, event.hotelId, event.sessionId]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('❌ Error adding engagement event:', error);
+      return null;
+    }
+  },
+
+  // Guest engagement events in a time range, oldest first
+  async getEngagementEvents(from, to) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(
+        'SELECT * FROM engagement_events WHERE occurred_at BETWEEN $1 AND $2 ORDER BY occurred_at',
+        [from, to]
+      );
+      return result.rows.map(row => ({
+        occurredAt: row.occurred_at.toISOString(),
+        event: row.event,
+        placeId: row.place_id,
+        category: row.category,
+        qrId: row.qr_id,
+        hotelId: row.hotel_id,
+        sessionId: row.session_id
+      }));
+    } catch (error) {
+      console.error('❌ Error getting engagement events:', error);
+      return null;
+    }
+  },
+
+  // Get all hotels, by name
+  async getAllHotels() {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM hotels ORDER BY name');
+      return result.rows.map(mapHotelRow);
+    } catch (error) {
+      console.error('❌ Error getting hotels:', error);
+      return null;
+    }
+  },
+
+  // Insert or update a hotel (created_at never changes)
+  async saveHotel(hotel) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO hotels (key, name, address, latitude, longitude, description, timezone, default_radius, branding, contact, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        ON CONFLICT (key) DO UPDATE SET
+          name = EXCLUDED.name,
+          address = EXCLUDED.address,
+          latitude = EXCLUDED.latitude,
+          longitude = EXCLUDED.longitude,
+          description = EXCLUDED.description,
+          timezone = EXCLUDED.timezone,
+          default_radius = EXCLUDED.default_radius,
+          branding = EXCLUDED.branding,
+          contact = EXCLUDED.contact,
+          updated_at = EXCLUDED.updated_at
+        RETURNING *
+      `, [hotel.key, hotel.name, hotel.address, hotel.latitude, hotel.longitude, hotel.description,
+        hotel.timezone, hotel.defaultRadius, JSON.stringify(hotel.branding), JSON.stringify(hotel.contact),
+        hotel.createdAt, hotel.updatedAt]);
+      return mapHotelRow(result.rows[0]);
+    } catch (error) {
+      console.error('❌ Error saving hotel:', error);
+      return null;
+    }
+  },
+
+  async deleteHotel(key) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('DELETE FROM hotels WHERE key = $1', [key]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('❌ Error deleting hotel:', error);
+      return null;
+    }
+  },
+
+  async addClientBackup(snapshot) {
+    if (!pool) return null;
+
+    try {
+      await pool.query(`
+        INSERT INTO client_backups (id, client_id, staff_id, staff_username, hotel_id, version, backup_timestamp, total_places, size_bytes, created_at, data)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [snapshot.id, snapshot.clientId, snapshot.staffId, snapshot.staffUsername, snapshot.hotelId, snapshot.version,
+        snapshot.backupTimestamp, snapshot.totalPlaces, snapshot.sizeBytes, snapshot.createdAt, JSON.stringify(snapshot.data)]);
+      return snapshot;
+    } catch (error) {
+      console.error('❌ Error saving client backup:', error);
+      return null;
+    }
+  },
+
+  // Snapshot listings without their data - one client, or all of them
+  async getClientBackups(clientId = null) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        SELECT id, client_id, staff_id, staff_username, hotel_id, version, backup_timestamp, total_places, size_bytes, created_at
+        FROM client_backups
+        WHERE $1::text IS NULL OR client_id = $1
+        ORDER BY created_at DESC
+      `, [clientId]);
+      return result.rows.map(mapClientBackupRow);
+    } catch (error) {
+      console.error('❌ Error getting client backups:', error);
+      return null;
+    }
+  },
+
+  async getClientBackup(clientId, id) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM client_backups WHERE client_id = $1 AND id = $2', [clientId, id]);
+      return result.rows[0] ? mapClientBackupRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error getting client backup:', error);
+      return null;
+    }
+  },
+
+  // Keep the newest snapshots of a client and drop anything older than the cutoff
+  async pruneClientBackups(clientId, keep, cutoff) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        DELETE FROM client_backups
+        WHERE created_at < $3
+          OR (client_id = $1 AND id NOT IN (
+            SELECT id FROM client_backups WHERE client_id = $1 ORDER BY created_at DESC LIMIT $2
+          ))
+      `, [clientId, keep, cutoff]);
+      return result.rowCount;
+    } catch (error) {
+      console.error('❌ Error pruning client backups:', error);
+      return null;
+    }
+  },
+
+  async addRecommendationRevision(revision) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO recommendation_revisions (
+          id, recommendation_id, revision, action, staff_id, staff_username, changes, reverted_to, created_at, snapshot
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [revision.id, revision.recommendationId, revision.revision, revision.action, revision.staffId,
+        revision.staffUsername, JSON.stringify(revision.changes), revision.revertedTo, new Date(revision.createdAt),
+        JSON.stringify(revision.snapshot)]);
+      return mapRevisionRow(result.rows[0]);
+    } catch (error) {
+      console.error('❌ Error adding recommendation revision:', error);
+      return null;
+    }
+  },
+
+  // Revisions of one recommendation, newest first
+  async getRecommendationRevisions(recommendationId) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(
+        'SELECT * FROM recommendation_revisions WHERE recommendation_id = $1 ORDER BY revision DESC',
+        [recommendationId]
+      );
+      return result.rows.map(mapRevisionRow);
+    } catch (error) {
+      console.error('❌ Error getting recommendation revisions:', error);
+      return null;
+    }
+  },
+
+  // Keep only the newest revisions of a recommendation
+  async pruneRecommendationRevisions(recommendationId, keep) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query(`
+        DELETE FROM recommendation_revisions
+        WHERE recommendation_id = $1 AND revision NOT IN (
+          SELECT revision FROM recommendation_revisions WHERE recommendation_id = $1 ORDER BY revision DESC LIMIT $2
+        )
+      `, [recommendationId, keep]);
+      return result.rowCount;
+    } catch (error) {
+      console.error('❌ Error pruning recommendation revisions:', error);
+      return null;
+    }
+  },
+
+  async addMedia(media) {
+    if (!pool) return null;
+
+    try {
+      await pool.query(`
+        INSERT INTO media (id, hash, content_type, width, height, variants, original_name, original_bytes, uploaded_by, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (id) DO NOTHING
+      `, [media.id, media.hash, media.contentType, media.width, media.height, JSON.stringify(media.variants),
+        media.originalName, media.originalBytes, media.uploadedBy, media.createdAt]);
+      return media;
+    } catch (error) {
+      console.error('❌ Error saving media:', error);
+      return null;
+    }
+  },
+
+  async getMedia(id) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT * FROM media WHERE id = $1', [id]);
+      return result.rows[0] ? mapMediaRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('❌ Error getting media:', error);
+      return null;
+    }
+  },
+
+  async saveMediaBlob(mediaId, variant, data) {
+    if (!pool) return null;
+
+    try {
+      await pool.query(`
+        INSERT INTO media_blobs (media_id, variant, data) VALUES ($1, $2, $3)
+        ON CONFLICT (media_id, variant) DO UPDATE SET data = EXCLUDED.data
+      `, [mediaId, variant, data]);
+      return true;
+    } catch (error) {
+      console.error('❌ Error saving media file:', error);
+      return null;
+    }
+  },
+
+  // Buffer of one size of an image, or null
+  async getMediaBlob(mediaId, variant) {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('SELECT data FROM media_blobs WHERE media_id = $1 AND variant = $2', [mediaId, variant]);
+      return result.rows[0] ? result.rows[0].data : null;
+    } catch (error) {
+      console.error('❌ Error getting media file:', error);
+      return null;
+    }
+  },
+
+  // Delete QR token records past their expiry
+  async deleteExpiredQRTokens() {
+    if (!pool) return null;
+
+    try {
+      const result = await pool.query('DELETE FROM qr_tokens WHERE expires_at < CURRENT_TIMESTAMP');
+      return result.rowCount;
+    } catch (error) {
+      console.error('❌ Error deleting expired QR tokens:', error);
+      return null;
+    }
+  },
+
   // Health check
   async healthCheck() {
     if (!pool) return false;
@@ -283,15 +1000,20 @@ const db = {
   }
 };
 
+// Close the connection pool (shutdown, and tests that use a database)
+async function closeDatabase() {
+  if (!pool) return;
+  await pool.end();
+  pool = null;
+  console.log('📋 Database connection closed');
+}
+
 // Graceful shutdown
-process.on('SIGINT', async () => {
-  if (pool) {
-    await pool.end();
-    console.log('📋 Database connection closed');
-  }
-});
+process.on('SIGINT', closeDatabase);
 
 module.exports = {
+  createPool,
   initDatabase,
+  closeDatabase,
   db
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('./database');
+
+// Guest engagement log: which places guests view, open, navigate to, share or visit the
+// website of. Events carry the place id and the anonymous QR session they came from -
+// no IP address or user agent is stored.
+const EVENTS_FILE = path.join(__dirname, 'data', 'engagement_events.jsonl'); // One JSON event per line
+const ENGAGEMENT_EVENTS = ['view', 'detail', 'directions', 'share', 'website'];
+
+// How much each event says about real interest (directions = the guest is going there)
+const ENGAGEMENT_WEIGHTS = { view: 1, detail: 2, website: 3, share: 4, directions: 5 };
+
+let useDatabase = false;
+let fileEvents = [];
+
+function engagementError(message) {
+  const error = new Error(message);
+  error.code = 'ENGAGEMENT_INVALID';
+  return error;
+}
+
+function initEngagementStore(databaseEnabled) {
+  useDatabase = databaseEnabled;
+  if (useDatabase) return;
+
+  try {
+    if (fs.existsSync(EVENTS_FILE)) {
+      fileEvents = fs.readFileSync(EVENTS_FILE, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+      console.log(`👆 Loaded ${fileEvents.length} engagement events from file`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading engagement events:', error);
+    fileEvents = [];
+  }
+}
+
+// Validate a beacon body: { event, placeId, category }
+function normalizeEngagement(input = {}) {
+  if (!ENGAGEMENT_EVENTS.includes(input.event)) {
+    throw engagementError(`event must be one of: ${ENGAGEMENT_EVENTS.join(', ')}`);
+  }
+
+  const placeId = String(input.placeId || '').trim();
+  if (!placeId || placeId.length > 200) throw engagementError('placeId is required');
+
+  return {
+    event: input.event,
+    placeId,
+    category: input.category ? String(input.category).substring(0, 50) : null
+  };
+}
+
+async function recordEngagement(engagement, session) {
+  const event = {
+    occurredAt: new Date().toISOString(),
+    ...engagement,
+    qrId: session.qrId,
+    hotelId: session.hotelId,
+    sessionId: session.sessionId
+  };
+
+  if (useDatabase) {
+    if (!(await db.addEngagementEvent(event))) throw new Error('Failed to save engagement event to database');
+    return event;
+  }
+
+  fileEvents.push(event);
+  fs.appendFileSync(EVENTS_FILE, `${JSON.stringify(event)}\n`);
+  return event;
+}
+
+// Engagement events between two Date bounds (inclusive), oldest first
+async function listEngagementEvents(from, to) {
+  if (useDatabase) return (await db.getEngagementEvents(from, to)) || [];
+
+  return fileEvents.filter(event => {
+    const occurredAt = new Date(event.occurredAt);
+    return occurredAt >= from && occurredAt <= to;
+  });
+}
+
+// Per-place counts of each event type, unique sessions and a weighted score, best first
+function rankPlaces(events) {
+  const places = new Map();
+
+  events.forEach(event => {
+    if (!places.has(event.placeId)) {
+      const counts = Object.fromEntries(ENGAGEMENT_EVENTS.map(type => [type, 0]));
+      places.set(event.placeId, { placeId: event.placeId, category: event.category, ...counts, sessions: new Set(), score: 0 });
+    }
+
+    const place = places.get(event.placeId);
+    place[event.event]++;
+    place.score += ENGAGEMENT_WEIGHTS[event.event];
+    place.sessions.add(event.sessionId);
+  });
+
+  return Array.from(places.values())
+    .map(place => ({ ...place, sessions: place.sessions.size }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  ENGAGEMENT_EVENTS,
+  ENGAGEMENT_WEIGHTS,
+  initEngagementStore,
+  normalizeEngagement,
+  recordEngagement,
+  listEngagementEvents,
+  rankPlaces
+};
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('./database');
+
+// Hotel properties: location, description, timezone, search radius, guest-page branding
+// and contact details, keyed by a slug like "hanoi-old-quarter". Hotels are cached in
+// memory so QR generation and the guest pages can resolve a key without a query.
+const HOTELS_FILE = path.join(__dirname, 'data', 'hotels.json');
+const REFRESH_INTERVAL = 5 * 60 * 1000; // Pick up hotels added by other instances
+const DEFAULT_HOTEL_KEY = 'hanoi-old-quarter';
+const HOTEL_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{1,49}$/;
+const RESERVED_KEYS = ['current']; // Route names under /api/hotels
+const HEX_COLOUR = /^#[0-9a-fA-F]{6}$/;
+const MIN_RADIUS = 100;
+const MAX_RADIUS = 50000;
+
+// Seeded on first start so existing codes and deployments keep their hotel
+const DEFAULT_HOTEL = {
+  key: DEFAULT_HOTEL_KEY,
+  name: 'Old Quarter Hotel',
+  address: '118 Hang Bac, Hoan Kiem, Hanoi, Vietnam',
+  latitude: 21.034087,
+  longitude: 105.85114,
+  description: "Discover amazing places near our hotel in Hanoi's historic Old Quarter",
+  timezone: 'Asia/Ho_Chi_Minh',
+  defaultRadius: parseInt(process.env.DEFAULT_SEARCH_RADIUS) || 2000,
+  branding: {},
+  contact: {}
+};
+
+let useDatabase = false;
+let hotels = new Map();
+
+function hotelError(message) {
+  const error = new Error(message);
+  error.code = 'HOTEL_INVALID';
+  return error;
+}
+
+async function loadStoredHotels() {
+  if (useDatabase) return db.getAllHotels();
+
+  try {
+    if (fs.existsSync(HOTELS_FILE)) {
+      return JSON.parse(fs.readFileSync(HOTELS_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('❌ Error loading hotels:', error);
+    return null;
+  }
+  return [];
+}
+
+async function refreshHotels() {
+  const stored = await loadStoredHotels();
+  if (stored) hotels = new Map(stored.map(hotel => [hotel.key, hotel]));
+}
+
+async function persistHotel(hotel) {
+  if (useDatabase) {
+    const saved = await db.saveHotel(hotel);
+    if (!saved) throw new Error('Failed to save hotel to database');
+    return saved;
+  }
+
+  const fileHotels = new Map(hotels);
+  fileHotels.set(hotel.key, hotel);
+  fs.writeFileSync(HOTELS_FILE, JSON.stringify(Array.from(fileHotels.values()), null, 2));
+  return hotel;
+}
+
+async function initHotelStore(databaseEnabled) {
+  useDatabase = databaseEnabled;
+  await refreshHotels();
+
+  if (hotels.size === 0) {
+    const now = new Date().toISOString();
+    const hotel = await persistHotel({ ...DEFAULT_HOTEL, createdAt: now, updatedAt: now });
+    hotels.set(hotel.key, hotel);
+    console.log(`🏨 Created default hotel "${hotel.key}"`);
+  }
+
+  console.log(`🏨 Loaded ${hotels.size} hotels: ${Array.from(hotels.keys()).join(', ')}`);
+  if (useDatabase) {
+    setInterval(() => refreshHotels().catch(error => console.error('❌ Error refreshing hotels:', error)), REFRESH_INTERVAL);
+  }
+}
+
+function getHotel(key) {
+  return hotels.get(key) || null;
+}
+
+function hotelExists(key) {
+  return hotels.has(key);
+}
+
+function listHotels() {
+  return Array.from(hotels.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function optionalText(value, maxLength) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().substring(0, maxLength);
+}
+
+function normalizeBranding(input = {}) {
+  const branding = {
+    primaryColor: optionalText(input.primaryColor, 7),
+    accentColor: optionalText(input.accentColor, 7),
+    logoUrl: optionalText(input.logoUrl, 500)
+  };
+
+  for (const colour of ['primaryColor', 'accentColor']) {
+    if (branding[colour] && !HEX_COLOUR.test(branding[colour])) {
+      throw hotelError(`branding.${colour} must be a hex colour like #1A2B3C`);
+    }
+  }
+  if (branding.logoUrl && !/^https?:\/\/|^\//.test(branding.logoUrl)) {
+    throw hotelError('branding.logoUrl must be an http(s) URL or a path on this site');
+  }
+
+  return branding;
+}
+
+function normalizeContact(input = {}) {
+  const contact = {
+    phone: optionalText(input.phone, 50),
+    email: optionalText(input.email, 200),
+    website: optionalText(input.website, 500)
+  };
+
+  if (contact.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
+    throw hotelError('contact.email must be a valid email address');
+  }
+  if (contact.website && !/^https?:\/\//.test(contact.website)) {
+    throw hotelError('contact.website must be an http(s) URL');
+  }
+
+  return contact;
+}
+
+// Validate hotel input. For updates, missing fields keep their existing values.
+function normalizeHotel(input = {}, existing = null) {
+  const merged = { ...existing, ...input };
+  const key = existing ? existing.key : String(input.key || '').trim().toLowerCase();
+
+  if (!HOTEL_KEY_PATTERN.test(key) || RESERVED_KEYS.includes(key)) {
+    throw hotelError('key must be 2-50 lowercase letters, numbers or dashes');
+  }
+
+  const name = optionalText(merged.name, 255);
+  if (!name) throw hotelError('name is required');
+
+  const latitude = parseFloat(merged.latitude);
+  const longitude = parseFloat(merged.longitude);
+  if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+    throw hotelError('latitude and longitude must be valid GPS coordinates');
+  }
+
+  const timezone = optionalText(merged.timezone, 100) || DEFAULT_HOTEL.timezone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw hotelError(`Unknown timezone: ${timezone}`);
+  }
+
+  const defaultRadius = merged.defaultRadius === undefined || merged.defaultRadius === null
+    ? DEFAULT_HOTEL.defaultRadius
+    : parseInt(merged.defaultRadius);
+  if (isNaN(defaultRadius) || defaultRadius < MIN_RADIUS || defaultRadius > MAX_RADIUS) {
+    throw hotelError(`defaultRadius must be between ${MIN_RADIUS} and ${MAX_RADIUS} meters`);
+  }
+
+  return {
+    key,
+    name,
+    address: optionalText(merged.address, 500),
+    latitude,
+    longitude,
+    description: optionalText(merged.description, 1000),
+    timezone,
+    defaultRadius,
+    branding: normalizeBranding(merged.branding),
+    contact: normalizeContact(merged.contact)
+  };
+}
+
+async function createHotel(input) {
+  const hotel = normalizeHotel(input);
+  if (hotels.has(hotel.key)) throw hotelError(`Hotel "${hotel.key}" already exists`);
+
+  const now = new Date().toISOString();
+  const saved = await persistHotel({ ...hotel, createdAt: now, updatedAt: now });
+  hotels.set(saved.key, saved);
+  console.log(`🏨 Created hotel "${saved.key}"`);
+  return saved;
+}
+
+// Returns null if the hotel doesn't exist
+async function updateHotel(key, updates) {
+  const existing = hotels.get(key);
+  if (!existing) return null;
+
+  const hotel = normalizeHotel(updates, existing);
+  const saved = await persistHotel({ ...hotel, createdAt: existing.createdAt, updatedAt: new Date().toISOString() });
+  hotels.set(saved.key, saved);
+  return saved;
+}
+
+// Returns false if the hotel doesn't exist. The default hotel can't be deleted because
+// codes without a hotelId fall back to it. Callers check that nothing still refers to
+// the hotel first (DELETE /api/hotels/:key answers 409 while anything does).
+async function deleteHotel(key) {
+  if (key === DEFAULT_HOTEL_KEY) throw hotelError('The default hotel cannot be deleted');
+  if (!hotels.has(key)) return false;
+
+  if (useDatabase) {
+    if (!(await db.deleteHotel(key))) throw new Error('Failed to delete hotel from database');
+  } else {
+    const fileHotels = new Map(hotels);
+    fileHotels.delete(key);
+    fs.writeFileSync(HOTELS_FILE, JSON.stringify(Array.from(fileHotels.values()), null, 2));
+  }
+
+  hotels.delete(key);
+  console.log(`🗑️ Deleted hotel "${key}"`);
+  return true;
+}
+
+// Fields shown to guests (the main page and /mobile)
+function publicHotel(hotel) {
+  return {
+    key: hotel.key,
+    name: hotel.name,
+    address: hotel.address,
+    latitude: hotel.latitude,
+    longitude: hotel.longitude,
+    description: hotel.description,
+    timezone: hotel.timezone,
+    defaultRadius: hotel.defaultRadius,
+    branding: hotel.branding,
+    contact: hotel.contact
+  };
+}
+
+module.exports = {
+  DEFAULT_HOTEL_KEY,
+  initHotelStore,
+  refreshHotels,
+  getHotel,
+  hotelExists,
+  listHotels,
+  createHotel,
+  updateHotel,
+  deleteHotel,
+  publicHotel
+};
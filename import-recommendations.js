@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+// Bulk import recommendations from the command line - the same dry run and checks as
+// POST /api/recommendations/import. Uses DATABASE_URL when set, else the data/ files.
+// Stop the server first in file mode, or it will overwrite the import on its next save.
+//
+//   node import-recommendations.js places.csv --hotel hanoi-old-quarter
+//   node import-recommendations.js places.csv --hotel hanoi-old-quarter --map name=Venue,address=Street --commit
+//
+// Options:
+//   --hotel <key>          hotel the recommendations belong to (default: the default hotel)
+//   --format <format>      csv, geojson or kml (default: from the file extension)
+//   --map field=Column,... use these columns instead of the guessed ones (field= to skip a field)
+//   --share <key>,...      also show the recommendations at these sister hotels
+//   --commit               create the ready rows (without it nothing is saved)
+const fs = require('fs');
+const path = require('path');
+const { initDatabase } = require('./database');
+const { DEFAULT_HOTEL_KEY, initHotelStore, hotelExists } = require('./hotels');
+const { initRevisionStore } = require('./recommendation-revisions');
+const { initRecommendationStore } = require('./recommendations');
+const { FORMATS, planImport, commitImport } = require('./recommendation-import');
+
+const USAGE = 'Usage: node import-recommendations.js <file> [--hotel key] [--format csv|geojson|kml] [--map field=Column,...] [--share key,...] [--commit]';
+
+function parseArgs(args) {
+  const options = { hotel: DEFAULT_HOTEL_KEY, mapping: {}, share: [], commit: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--commit') {
+      options.commit = true;
+    } else if (arg === '--hotel') {
+      options.hotel = args[++i];
+    } else if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--share') {
+      options.share = String(args[++i] || '').split(',').filter(Boolean);
+    } else if (arg === '--map') {
+      String(args[++i] || '').split(',').filter(Boolean).forEach(pair => {
+        const [field, ...column] = pair.split('=');
+        options.mapping[field.trim()] = column.join('=').trim();
+      });
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      return null;
+    }
+  }
+  return options.file && options.hotel ? options : null;
+}
+
+function printReport(plan) {
+  console.log(`\nFormat: ${plan.format}`);
+  console.log(`Columns: ${plan.columns.join(', ')}`);
+  console.log(`Mapping: ${Object.entries(plan.mapping).map(([field, column]) => `${field}=${column}`).join(', ') || '(none)'}\n`);
+
+  plan.rows.forEach(result => {
+    const label = `Row ${result.row}${result.name ? ` (${result.name})` : ''}`;
+    if (result.status === 'invalid') {
+      console.log(`❌ ${label}: ${result.error}`);
+    } else if (result.status === 'duplicate') {
+      const of = result.duplicateOf.row ? `row ${result.duplicateOf.row}` : `${result.duplicateOf.id} (${result.duplicateOf.hotelId})`;
+      console.log(`⚠️ ${label}: duplicate of ${of}`);
+    } else {
+      const { latitude, longitude } = result.recommendation.location;
+      console.log(`✅ ${label}: ${result.status} at ${latitude}, ${longitude}${result.geocoded ? ' (geocoded)' : ''}`);
+    }
+  });
+
+  console.log(`\n${plan.total} rows: ${plan.ready} ready, ${plan.duplicates} duplicates, ${plan.invalid} invalid`);
+}
+
+async function main(args) {
+  const options = parseArgs(args);
+  if (!options) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const extension = path.extname(options.file).slice(1).toLowerCase();
+  const format = options.format || (extension === 'json' ? 'geojson' : FORMATS.includes(extension) ? extension : undefined);
+
+  try {
+    const content = fs.readFileSync(options.file, 'utf8');
+
+    const useDatabase = await initDatabase();
+    await initHotelStore(useDatabase);
+    if (!hotelExists(options.hotel)) {
+      console.error(`❌ Unknown hotel "${options.hotel}"`);
+      return 1;
+    }
+    const unknown = options.share.find(key => !hotelExists(key));
+    if (unknown) {
+      console.error(`❌ Unknown hotel "${unknown}"`);
+      return 1;
+    }
+    initRevisionStore(useDatabase);
+    await initRecommendationStore(useDatabase);
+
+    const sharedWith = options.share.filter(key => key !== options.hotel);
+    const plan = await planImport(content, { format, mapping: options.mapping, hotelId: options.hotel, sharedWith, addedBy: 'bulk_import' });
+    printReport(plan);
+
+    if (!options.commit) {
+      console.log('Dry run - nothing was saved. Run again with --commit to create the ready rows.');
+      return 0;
+    }
+
+    const result = await commitImport(plan, null);
+    console.log(`Created ${result.created} recommendations`);
+    return result.created === plan.ready ? 0 : 1;
+  } catch (error) {
+    console.error('❌', error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  // The stores keep refresh and purge timers running, so exit explicitly
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
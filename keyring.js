@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { db } = require('./database');
+
+// JWT signing keyring. New tokens are signed with the active key and carry its kid
+// in the JWT header; tokens signed by any non-retired key still verify. JWT_SECRET
+// from the environment is kept as the "env" key so codes printed before the keyring
+// (which have no kid header) keep working until that key is retired.
+//
+// Key secrets never go in data/: with file storage data/jwt_keys.json only holds each
+// key's kid and status, and the random secrets of rotated keys are kept in JWT_KEYS_FILE
+// (a path outside data/, readable only by the server) - rotating without it is refused.
+// JWT_SECRET is only stored as a fingerprint, so starting with a different JWT_SECRET
+// is refused instead of silently invalidating every code signed with it. Without
+// JWT_SECRET (development only - production refuses to start) keys are kept in memory,
+// so tokens end with the process.
+const DATA_DIR = path.join(__dirname, 'data');
+const KEYS_FILE = path.join(DATA_DIR, 'jwt_keys.json');
+const SECRETS_FILE = process.env.JWT_KEYS_FILE ? path.resolve(process.env.JWT_KEYS_FILE) : null;
+const ENV_KID = 'env';
+const REFRESH_INTERVAL = 5 * 60 * 1000; // Pick up rotations made by other instances
+
+let useDatabase = false;
+let keys = [];
+const memoryKeys = new Map(); // Kid -> key, when there is neither a database nor JWT_SECRET
+
+function keyringError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Identifies a JWT_SECRET without storing it
+function fingerprint(secret) {
+  return crypto.createHash('sha256').update(`jwt-secret:${secret}`).digest('hex').substring(0, 16);
+}
+
+function envKey() {
+  if (!process.env.JWT_SECRET) return null;
+  return {
+    kid: ENV_KID,
+    secret: process.env.JWT_SECRET,
+    status: 'active',
+    createdAt: null,
+    rotatedAt: null,
+    retiredAt: null
+  };
+}
+
+// Synchronous bootstrap so tokens can be signed before initKeyring runs
+keys = envKey() ? [envKey()] : [];
+
+function usesFiles() {
+  return !useDatabase && Boolean(process.env.JWT_SECRET);
+}
+
+function readJSONFile(file, fallback) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Error loading ${file}:`, error);
+  }
+  return fallback;
+}
+
+// Keys as stored in data/jwt_keys.json
+function readKeysFile() {
+  return readJSONFile(KEYS_FILE, []);
+}
+
+// Kid -> secret, from JWT_KEYS_FILE
+function readSecretsFile() {
+  return SECRETS_FILE ? readJSONFile(SECRETS_FILE, {}) : {};
+}
+
+function writeSecret(kid, secret) {
+  const secrets = readSecretsFile();
+  if (secret) secrets[kid] = secret;
+  else delete secrets[kid];
+  fs.writeFileSync(SECRETS_FILE, JSON.stringify(secrets, null, 2), { mode: 0o600 });
+}
+
+// Older key files still hold the secrets of their keys; those are kept until the key is
+// retired so tokens it signed keep verifying
+function isLegacySecret(key) {
+  return Boolean(key.secret) && key.kid !== ENV_KID;
+}
+
+async function loadStoredKeys() {
+  if (useDatabase) return (await db.getAllJwtKeys()) || [];
+  if (!process.env.JWT_SECRET) return Array.from(memoryKeys.values());
+
+  const secrets = readSecretsFile();
+  return readKeysFile()
+    .map(key => (key.kid === ENV_KID || key.secret ? key : { ...key, secret: secrets[key.kid] || null }));
+}
+
+async function persistKey(key) {
+  // The env key's secret stays in the environment - only its status and fingerprint are stored
+  const stored = key.kid === ENV_KID ? { ...key, secret: null } : key;
+
+  if (useDatabase) {
+    if (!(await db.saveJwtKey(stored))) throw new Error('Failed to save JWT key to database');
+    return;
+  }
+  if (!process.env.JWT_SECRET) {
+    memoryKeys.set(key.kid, stored);
+    return;
+  }
+
+  const fileKeys = readKeysFile();
+  const legacy = fileKeys.some(existing => existing.kid === key.kid && isLegacySecret(existing));
+  const retired = stored.status === 'retired';
+  if (stored.secret && !legacy) writeSecret(key.kid, retired ? null : stored.secret);
+
+  const keepSecret = legacy && !retired;
+  const others = fileKeys.filter(existing => existing.kid !== key.kid);
+  fs.writeFileSync(KEYS_FILE, JSON.stringify([...others, { ...stored, secret: keepSecret ? stored.secret : null }], null, 2));
+}
+
+// New keys need somewhere to keep their secret: the database, memory, or JWT_KEYS_FILE
+function assertCanStoreSecrets() {
+  if (usesFiles() && !SECRETS_FILE) {
+    throw keyringError('Set JWT_KEYS_FILE to a path outside data/ to rotate keys with file storage', 'KEYRING_NO_SECRETS_FILE');
+  }
+}
+
+function generateKey() {
+  const kid = `k_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
+  return {
+    kid,
+    secret: crypto.randomBytes(64).toString('hex'),
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    retiredAt: null
+  };
+}
+
+// Merge stored keys with the env key
+async function refreshKeyring() {
+  const stored = await loadStoredKeys();
+  const merged = [];
+  const env = envKey();
+  const storedEnv = stored.find(key => key.kid === ENV_KID);
+
+  if (env) {
+    merged.push(storedEnv ? { ...storedEnv, secret: env.secret } : env);
+  } else if (storedEnv && storedEnv.status !== 'retired') {
+    console.warn('⚠️ JWT_SECRET is missing but the keyring still references it - codes signed with it will not verify');
+  }
+
+  stored
+    .filter(key => key.kid !== ENV_KID && key.secret)
+    .forEach(key => merged.push(key));
+
+  keys = merged;
+}
+
+async function initKeyring(databaseEnabled) {
+  if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  if (SECRETS_FILE && !path.relative(DATA_DIR, SECRETS_FILE).startsWith('..')) {
+    throw new Error('JWT_KEYS_FILE must be outside the data directory');
+  }
+
+  useDatabase = databaseEnabled;
+  await refreshKeyring();
+
+  // Tokens signed with the env key only verify with the JWT_SECRET they were signed with
+  const env = keys.find(key => key.kid === ENV_KID);
+  if (env && env.status !== 'retired') {
+    if (env.fingerprint && env.fingerprint !== fingerprint(env.secret)) {
+      throw keyringError('JWT_SECRET has changed - codes signed with the previous one would stop working. ' +
+        'Restore the previous JWT_SECRET, or rotate and retire the env key before changing it', 'KEYRING_SECRET_CHANGED');
+    }
+    if (!env.fingerprint) {
+      env.fingerprint = fingerprint(env.secret);
+      await persistKey(env);
+    }
+  }
+
+  if (!useDatabase && !process.env.JWT_SECRET) {
+    console.warn('⚠️ JWT_SECRET is not set - signing keys are kept in memory and tokens end when the server stops');
+  }
+  if (usesFiles()) {
+    const live = readKeysFile().filter(key => key.kid !== ENV_KID && key.status !== 'retired');
+    const legacy = live.filter(isLegacySecret);
+    if (legacy.length > 0) {
+      console.warn(`⚠️ ${KEYS_FILE} still holds the secrets of ${legacy.map(key => key.kid).join(', ')} - rotate and retire them`);
+    }
+    const missing = live.filter(key => !keys.some(loaded => loaded.kid === key.kid));
+    if (missing.length > 0) {
+      console.error(`❌ No secret for JWT keys ${missing.map(key => key.kid).join(', ')} in JWT_KEYS_FILE - codes they signed will not verify`);
+    }
+  }
+
+  // Without any usable key, create and persist one so restarts don't invalidate tokens
+  // (unless it can only be kept in memory)
+  if (!keys.some(key => key.status === 'active')) {
+    assertCanStoreSecrets();
+    const key = generateKey();
+    await persistKey(key);
+    keys.push(key);
+    console.log(`🔑 Created new JWT signing key: ${key.kid}`);
+  }
+
+  console.log(`🔑 JWT keyring loaded: ${keys.map(key => `${key.kid} (${key.status})`).join(', ')}`);
+  setInterval(() => refreshKeyring().catch(error => console.error('❌ Error refreshing JWT keyring:', error)), REFRESH_INTERVAL);
+}
+
+// Key used to sign new tokens (newest active key)
+function getSigningKey() {
+  const active = keys.filter(key => key.status === 'active');
+  if (active.length === 0) {
+    throw new Error('No active JWT signing key - set JWT_SECRET or initialize the keyring');
+  }
+  return active[active.length - 1];
+}
+
+// Secret for verifying a token by its header kid (tokens without a kid use the env key)
+async function getVerificationSecret(kid) {
+  const wanted = kid || ENV_KID;
+  let key = keys.find(k => k.kid === wanted);
+
+  // Another instance may have rotated since our last refresh
+  if (!key) {
+    await refreshKeyring();
+    key = keys.find(k => k.kid === wanted);
+  }
+
+  if (!key || key.status === 'retired') return null;
+  return key.secret;
+}
+
+// Start signing with a fresh key; previous active keys become verify-only
+async function rotateKeys() {
+  assertCanStoreSecrets();
+  const now = new Date().toISOString();
+
+  for (const key of keys.filter(k => k.status === 'active')) {
+    key.status = 'verify';
+    key.rotatedAt = now;
+    await persistKey(key);
+  }
+
+  const key = generateKey();
+  await persistKey(key);
+  keys.push(key);
+
+  console.log(`🔄 Rotated JWT signing key, new active key: ${key.kid}`);
+  return key.kid;
+}
+
+// Stop accepting tokens signed with a key
+async function retireKey(kid) {
+  const key = keys.find(k => k.kid === kid);
+  if (!key) return null;
+
+  key.status = 'retired';
+  key.retiredAt = new Date().toISOString();
+  await persistKey(key);
+
+  console.log(`🚫 Retired JWT signing key: ${kid}`);
+  return key;
+}
+
+// Keys without their secrets, for admin reports
+function listKeys() {
+  return keys.map(({ secret, fingerprint: secretFingerprint, ...key }) => key);
+}
+
+module.exports = {
+  ENV_KID,
+  initKeyring,
+  refreshKeyring,
+  getSigningKey,
+  getVerificationSecret,
+  rotateKeys,
+  retireKey,
+  listKeys
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { db } = require('./database');
+
+// Uploaded images (recommendation photos). Each upload is re-encoded by the server into a
+// web size and a thumbnail - which also drops EXIF data such as the GPS position the photo
+// was taken at - and stored under an id derived from a hash of its content, so uploading
+// the same photo twice stores it once. Records reference images by media id and the files
+// are served from /media/:id.
+//
+// Where the files go is pluggable: each backend implements put(id, variant, buffer) and
+// get(id, variant). MEDIA_STORE picks one - disk (data/media) or database (Postgres,
+// the default when a database is configured, since Railway disks don't survive deploys).
+const MEDIA_FILE = path.join(__dirname, 'data', 'media.json');
+const MEDIA_DIR = path.join(__dirname, 'data', 'media');
+const MAX_MEDIA_BYTES = parseInt(process.env.MEDIA_MAX_BYTES) || 10 * 1024 * 1024;
+const MEDIA_ID_PATTERN = /^med_[0-9a-f]{32}$/;
+const INPUT_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'heif', 'tiff'];
+const CONTENT_TYPE = 'image/webp';
+const VARIANTS = {
+  web: { size: 1600, quality: 80 },
+  thumb: { size: 320, quality: 70 }
+};
+
+let useDatabase = false;
+let backend = null;
+let fileMedia = new Map();
+
+function mediaError(message, code = 'MEDIA_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const diskBackend = {
+  name: 'disk',
+
+  filePath(id, variant) {
+    return path.join(MEDIA_DIR, `${id.replace(/^med_/, '')}-${variant}.webp`);
+  },
+
+  async put(id, variant, buffer) {
+    fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    fs.writeFileSync(this.filePath(id, variant), buffer);
+  },
+
+  async get(id, variant) {
+    const file = this.filePath(id, variant);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  }
+};
+
+const databaseBackend = {
+  name: 'database',
+
+  async put(id, variant, buffer) {
+    if (!(await db.saveMediaBlob(id, variant, buffer))) throw new Error('Failed to save media file to database');
+  },
+
+  async get(id, variant) {
+    return db.getMediaBlob(id, variant);
+  }
+};
+
+const MEDIA_BACKENDS = {
+  disk: diskBackend,
+  database: databaseBackend
+};
+
+function initMediaStore(databaseEnabled) {
+  useDatabase = databaseEnabled;
+
+  const backendName = process.env.MEDIA_STORE || (useDatabase ? 'database' : 'disk');
+  backend = MEDIA_BACKENDS[backendName];
+  if (!backend || (backend === databaseBackend && !useDatabase)) {
+    console.warn(`⚠️ MEDIA_STORE "${backendName}" is not available - storing media on disk`);
+    backend = diskBackend;
+  }
+  console.log(`🖼️ Storing uploaded media in ${backend.name === 'disk' ? MEDIA_DIR : 'the database'}`);
+
+  if (useDatabase) return;
+
+  try {
+    if (fs.existsSync(MEDIA_FILE)) {
+      fileMedia = new Map(JSON.parse(fs.readFileSync(MEDIA_FILE, 'utf8')).map(media => [media.id, media]));
+      console.log(`🖼️ Loaded ${fileMedia.size} media records from file`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading media:', error);
+    fileMedia = new Map();
+  }
+}
+
+function saveFileMedia() {
+  fs.writeFileSync(MEDIA_FILE, JSON.stringify(Array.from(fileMedia.values()), null, 2));
+}
+
+function isMediaId(id) {
+  return MEDIA_ID_PATTERN.test(String(id || ''));
+}
+
+function mediaUrl(id, variant = 'web') {
+  return variant === 'web' ? `/media/${id}` : `/media/${id}?size=${variant}`;
+}
+
+// Metadata as the API returns it
+function describeMedia(media) {
+  return { ...media, url: mediaUrl(media.id), thumbnailUrl: mediaUrl(media.id, 'thumb') };
+}
+
+async function getMedia(id) {
+  if (!isMediaId(id)) return null;
+  if (useDatabase) return db.getMedia(id);
+  return fileMedia.get(id) || null;
+}
+
+// Store an uploaded image. Returns its metadata - the existing record if the same file
+// was uploaded before.
+async function saveMedia(buffer, { name = '', staff = null } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw mediaError('Image is empty');
+  if (buffer.length > MAX_MEDIA_BYTES) {
+    throw mediaError(`Image must be smaller than ${Math.round(MAX_MEDIA_BYTES / 1024 / 1024)}MB`, 'MEDIA_TOO_LARGE');
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const id = `med_${hash.substring(0, 32)}`;
+  const existing = await getMedia(id);
+  if (existing) return existing;
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw mediaError('Image could not be read');
+  }
+  if (!INPUT_FORMATS.includes(metadata.format)) {
+    throw mediaError(`Images must be JPEG, PNG, WebP, GIF, AVIF, HEIC or TIFF (got ${metadata.format || 'unknown'})`);
+  }
+
+  // rotate() applies the EXIF orientation; sharp writes no metadata unless asked, so the
+  // stored files carry no EXIF or GPS data
+  const variants = {};
+  for (const [variant, { size, quality }] of Object.entries(VARIANTS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer({ resolveWithObject: true });
+    await backend.put(id, variant, data);
+    variants[variant] = { width: info.width, height: info.height, bytes: info.size };
+  }
+
+  const media = {
+    id,
+    hash,
+    contentType: CONTENT_TYPE,
+    width: variants.web.width,
+    height: variants.web.height,
+    variants,
+    originalName: String(name || '').trim().substring(0, 255),
+    originalBytes: buffer.length,
+    uploadedBy: staff ? staff.username : null,
+    createdAt: new Date().toISOString()
+  };
+
+  if (useDatabase) {
+    if (!(await db.addMedia(media))) throw new Error('Failed to save media to database');
+  } else {
+    fileMedia.set(id, media);
+    saveFileMedia();
+  }
+
+  console.log(`🖼️ Stored media ${id} (${media.originalName || 'unnamed'}, ${Math.round(buffer.length / 1024)}KB)`);
+  return media;
+}
+
+// Store an image given as a base64 data URL (how images used to be embedded in records)
+async function saveMediaFromDataUrl(dataUrl, options) {
+  const match = /^data:image\/[a-z0-9.+-]+;base64,(.+)$/i.exec(String(dataUrl || ''));
+  if (!match) throw mediaError('Image must be a base64 image data URL');
+  return saveMedia(Buffer.from(match[1], 'base64'), options);
+}
+
+// One size of an image for /media/:id, or null if it doesn't exist
+async function readMedia(id, variant = 'web') {
+  if (!isMediaId(id) || !VARIANTS[variant]) return null;
+  const buffer = await backend.get(id, variant);
+  return buffer ? { buffer, contentType: CONTENT_TYPE } : null;
+}
+
+module.exports = {
+  MAX_MEDIA_BYTES,
+  VARIANTS,
+  initMediaStore,
+  isMediaId,
+  mediaUrl,
+  describeMedia,
+  getMedia,
+  saveMedia,
+  saveMediaFromDataUrl,
+  readMedia
+};
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+// One-off move of images embedded in recommendations (base64 data URLs in
+// recommendations.json or the images JSONB column) into the media store, leaving media
+// references in their place. Safe to run again - records without embedded images are
+// skipped. Uses DATABASE_URL when set, else the data/ files (stop the server first in
+// file mode, or it will write back its own copy on its next save).
+//
+//   npm run migrate-media
+const { initDatabase } = require('./database');
+const { initRevisionStore } = require('./recommendation-revisions');
+const { initMediaStore } = require('./media');
+const { initRecommendationStore, migrateEmbeddedImages } = require('./recommendations');
+
+async function main() {
+  try {
+    const useDatabase = await initDatabase();
+    initRevisionStore(useDatabase);
+    initMediaStore(useDatabase);
+    await initRecommendationStore(useDatabase);
+
+    const { migrated, failed } = await migrateEmbeddedImages();
+    if (migrated === 0 && failed === 0) {
+      console.log('Nothing to migrate - no recommendation embeds its images');
+    } else {
+      console.log(`🖼️ Moved the images of ${migrated} recommendations to the media store${failed ? `, ${failed} failed` : ''}`);
+    }
+    return failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌', error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  // The stores keep refresh and purge timers running, so exit explicitly
+  main().then(code => process.exit(code));
+}
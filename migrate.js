@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+// Versioned schema migrations for the Postgres store. Each file in migrations/ is named
+// NNN_description.js and exports `up` and `down` SQL; `down` is null for migrations that
+// can't be rolled back, like the baseline, whose tables hold data from before migrations
+// existed. Applied versions are recorded in schema_migrations; the server applies pending
+// ones on startup, holding an advisory lock so instances starting together (Railway,
+// Render) don't race each other.
+//
+// Command line (uses DATABASE_URL or POSTGRES_URL):
+//   node migrate.js status        which migrations are applied
+//   node migrate.js up            apply pending migrations
+//   node migrate.js down [steps]  roll back the newest applied migration(s)
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+const MIGRATION_LOCK_ID = 7410519; // Any fixed number - shared by every instance of this app
+
+const createMigrationsTable = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+function migrationError(message) {
+  const error = new Error(message);
+  error.code = 'MIGRATION_FAILED';
+  return error;
+}
+
+// Migration files in version order
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) throw migrationError(`Migration file ${file} must be named like 001_description.js`);
+
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'string' || (down !== null && typeof down !== 'string')) {
+        throw migrationError(`Migration ${file} must export up SQL and down SQL (or null if it can't be rolled back)`);
+      }
+      return { version: parseInt(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw migrationError(`Two migrations have version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+// Run fn with a dedicated connection holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(createMigrationsTable);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Run one migration's SQL and record it, in a single transaction
+async function runMigration(client, migration, direction) {
+  const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+  try {
+    await client.query('BEGIN');
+    await client.query(migration[direction]);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+    console.log(`${direction === 'up' ? '⬆️ Applied' : '⬇️ Rolled back'} migration ${label}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw migrationError(`Migration ${label} (${direction}) failed: ${error.message}`);
+  }
+}
+
+// Apply every pending migration, oldest first. Returns the versions applied.
+async function migrateUp(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    const appliedSet = new Set(applied.map(row => row.version));
+
+    const unknown = applied.filter(row => !migrations.some(migration => migration.version === row.version));
+    if (unknown.length > 0) {
+      console.warn(`⚠️ Database has migrations this version doesn't know: ${unknown.map(row => `${row.version}_${row.name}`).join(', ')}`);
+    }
+
+    const pending = migrations.filter(migration => !appliedSet.has(migration.version));
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up');
+    }
+
+    console.log(`✅ Database schema up to date (${applied.length + pending.length} migrations applied)`);
+    return pending.map(migration => migration.version);
+  });
+}
+
+// Roll back the newest applied migrations. Returns the versions rolled back.
+async function migrateDown(pool, steps = 1) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async client => {
+    const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+
+    // Check every step before rolling any back, so a refused request changes nothing
+    const rollbacks = applied.map(row => {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      if (!migration) throw migrationError(`No file for applied migration ${row.version}_${row.name} - can't roll it back`);
+      if (migration.down === null) {
+        throw migrationError(`Migration ${String(row.version).padStart(3, '0')}_${row.name} can't be rolled back - roll back at most ${applied.indexOf(row)} migration(s)`);
+      }
+      return migration;
+    });
+
+    for (const migration of rollbacks) {
+      await runMigration(client, migration, 'down');
+    }
+    return rollbacks.map(migration => migration.version);
+  });
+}
+
+// Every migration (files and database) with when it was applied, or null if pending
+async function migrationStatus(pool) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(pool, async client => {
+    const applied = new Map((await appliedVersions(client)).map(row => [row.version, row]));
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+      missingFile: false
+    }));
+
+    applied.forEach(row => {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missingFile: true });
+      }
+    });
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+async function main([command = 'status', stepsArg]) {
+  const pool = createPool();
+  if (!pool) {
+    console.error('❌ Set DATABASE_URL (or POSTGRES_URL) to run migrations');
+    return 1;
+  }
+
+  try {
+    if (command === 'status') {
+      (await migrationStatus(pool)).forEach(migration => {
+        const state = migration.missingFile ? 'applied (file missing)' : migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+      });
+    } else if (command === 'up') {
+      const applied = await migrateUp(pool);
+      if (applied.length === 0) console.log('Nothing to apply');
+    } else if (command === 'down') {
+      const steps = stepsArg === undefined ? 1 : parseInt(stepsArg);
+      if (isNaN(steps) || steps < 1) {
+        console.error('❌ steps must be a positive number');
+        return 1;
+      }
+      const rolledBack = await migrateDown(pool, steps);
+      if (rolledBack.length === 0) console.log('Nothing to roll back');
+    } else {
+      console.error('Usage: node migrate.js status | up | down [steps]');
+      return 1;
+    }
+    return 0;
+  } catch (error) {
+    console.error('❌', error.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
@@ -0,0 +1,158 @@
+// The schema as it was when migrations were introduced. Every statement is idempotent,
+// so deployments whose tables were created by the old createTables() adopt it as-is.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS recommendations (
+      id VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      address TEXT NOT NULL,
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      rating DECIMAL(3, 2) DEFAULT 0,
+      user_rating_count INTEGER DEFAULT 0,
+      description TEXT,
+      category VARCHAR(50) DEFAULT 'recommend',
+      website_uri TEXT,
+      featured BOOLEAN DEFAULT false,
+      added_by VARCHAR(100) DEFAULT 'manual_entry',
+      added_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      images JSONB DEFAULT '[]'::jsonb,
+      parsed_data JSONB,
+      hotel_id VARCHAR(100),
+      shared_with JSONB DEFAULT '[]'::jsonb,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Tables created before per-hotel lists (rows without a hotel belong to the default hotel)
+    ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS hotel_id VARCHAR(100);
+    ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS shared_with JSONB DEFAULT '[]'::jsonb;
+
+    CREATE INDEX IF NOT EXISTS idx_recommendations_location ON recommendations (latitude, longitude);
+    CREATE INDEX IF NOT EXISTS idx_recommendations_category ON recommendations (category);
+    CREATE INDEX IF NOT EXISTS idx_recommendations_featured ON recommendations (featured);
+    CREATE INDEX IF NOT EXISTS idx_recommendations_added_date ON recommendations (added_date);
+    CREATE INDEX IF NOT EXISTS idx_recommendations_hotel_id ON recommendations (hotel_id);
+
+    CREATE TABLE IF NOT EXISTS staff_accounts (
+      id VARCHAR(50) PRIMARY KEY,
+      username VARCHAR(100) UNIQUE NOT NULL,
+      password_hash VARCHAR(100) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+      hotels JSONB DEFAULT '[]'::jsonb,
+      disabled BOOLEAN DEFAULT false,
+      invited_by VARCHAR(100),
+      last_login_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS qr_tokens (
+      qr_id VARCHAR(50) PRIMARY KEY,
+      metadata JSONB DEFAULT '{}'::jsonb,
+      issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP,
+      uses INTEGER DEFAULT 0,
+      first_used TIMESTAMP,
+      last_used TIMESTAMP,
+      ip_addresses JSONB DEFAULT '[]'::jsonb,
+      user_agents JSONB DEFAULT '[]'::jsonb,
+      devices JSONB DEFAULT '[]'::jsonb,
+      revoked BOOLEAN DEFAULT false,
+      revoked_at TIMESTAMP
+    );
+    -- Tables created before device limits, key rotation and stored URLs
+    ALTER TABLE qr_tokens ADD COLUMN IF NOT EXISTS devices JSONB DEFAULT '[]'::jsonb;
+    ALTER TABLE qr_tokens ADD COLUMN IF NOT EXISTS signing_kid VARCHAR(50);
+    ALTER TABLE qr_tokens ADD COLUMN IF NOT EXISTS url TEXT;
+    CREATE INDEX IF NOT EXISTS idx_qr_tokens_expires_at ON qr_tokens (expires_at);
+
+    CREATE TABLE IF NOT EXISTS jwt_keys (
+      kid VARCHAR(50) PRIMARY KEY,
+      secret TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      rotated_at TIMESTAMP,
+      retired_at TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS qr_branding (
+      hotel_id VARCHAR(100) PRIMARY KEY,
+      logo TEXT,
+      presets JSONB DEFAULT '[]'::jsonb,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS qr_short_links (
+      code VARCHAR(20) PRIMARY KEY,
+      qr_id VARCHAR(50) NOT NULL,
+      token TEXT NOT NULL,
+      hotel_id VARCHAR(100),
+      destination JSONB NOT NULL,
+      created_by VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_by VARCHAR(100),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_qr_short_links_qr_id ON qr_short_links (qr_id);
+
+    CREATE TABLE IF NOT EXISTS qr_scan_events (
+      id SERIAL PRIMARY KEY,
+      scanned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      qr_id VARCHAR(50) NOT NULL,
+      hotel_id VARCHAR(100),
+      room VARCHAR(50),
+      device_class VARCHAR(20),
+      ip_hash VARCHAR(32),
+      device_hash VARCHAR(32)
+    );
+    CREATE INDEX IF NOT EXISTS idx_qr_scan_events_scanned_at ON qr_scan_events (scanned_at);
+    CREATE INDEX IF NOT EXISTS idx_qr_scan_events_qr_id ON qr_scan_events (qr_id);
+
+    CREATE TABLE IF NOT EXISTS engagement_events (
+      id SERIAL PRIMARY KEY,
+      occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      event VARCHAR(20) NOT NULL,
+      place_id VARCHAR(200) NOT NULL,
+      category VARCHAR(50),
+      qr_id VARCHAR(50),
+      hotel_id VARCHAR(100),
+      session_id VARCHAR(50)
+    );
+    CREATE INDEX IF NOT EXISTS idx_engagement_events_occurred_at ON engagement_events (occurred_at);
+    CREATE INDEX IF NOT EXISTS idx_engagement_events_place_id ON engagement_events (place_id);
+
+    CREATE TABLE IF NOT EXISTS hotels (
+      key VARCHAR(100) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      address TEXT,
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      description TEXT,
+      timezone VARCHAR(100),
+      default_radius INTEGER,
+      branding JSONB DEFAULT '{}',
+      contact JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS client_backups (
+      id VARCHAR(50) PRIMARY KEY,
+      client_id VARCHAR(100) NOT NULL,
+      staff_id VARCHAR(50),
+      staff_username VARCHAR(100),
+      hotel_id VARCHAR(100),
+      version VARCHAR(10),
+      backup_timestamp TIMESTAMP,
+      total_places INTEGER DEFAULT 0,
+      size_bytes INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      data JSONB NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_client_backups_client_id ON client_backups (client_id, created_at);
+  `,
+
+  // Never rolled back: these tables hold data from before migrations were introduced
+  down: null
+};
@@ -0,0 +1,12 @@
+// Fields the file store always kept: edited places' photos and opening hours
+module.exports = {
+  up: `
+    ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS photos JSONB DEFAULT '[]'::jsonb;
+    ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS opening_hours JSONB;
+  `,
+
+  down: `
+    ALTER TABLE recommendations DROP COLUMN IF EXISTS opening_hours;
+    ALTER TABLE recommendations DROP COLUMN IF EXISTS photos;
+  `
+};
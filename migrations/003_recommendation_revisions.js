@@ -0,0 +1,22 @@
+// Per-recommendation edit history (see recommendation-revisions.js)
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS recommendation_revisions (
+      id VARCHAR(50) PRIMARY KEY,
+      recommendation_id VARCHAR(50) NOT NULL,
+      revision INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      staff_id VARCHAR(50),
+      staff_username VARCHAR(100),
+      changes JSONB DEFAULT '[]'::jsonb,
+      reverted_to INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      snapshot JSONB,
+      UNIQUE (recommendation_id, revision)
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS recommendation_revisions;
+  `
+};
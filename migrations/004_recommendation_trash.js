@@ -0,0 +1,14 @@
+// Soft delete: trashed recommendations keep their row until purged
+module.exports = {
+  up: `
+    ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+    ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+    CREATE INDEX IF NOT EXISTS idx_recommendations_deleted_at ON recommendations (deleted_at);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_recommendations_deleted_at;
+    ALTER TABLE recommendations DROP COLUMN IF EXISTS deleted_by;
+    ALTER TABLE recommendations DROP COLUMN IF EXISTS deleted_at;
+  `
+};
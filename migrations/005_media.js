@@ -0,0 +1,30 @@
+// Uploaded images: metadata in media, and the resized files in media_blobs when
+// MEDIA_STORE is database (the default with Postgres - Railway disks don't survive deploys)
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS media (
+      id VARCHAR(50) PRIMARY KEY,
+      hash VARCHAR(64) NOT NULL,
+      content_type VARCHAR(50) NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      variants JSONB DEFAULT '{}'::jsonb,
+      original_name VARCHAR(255),
+      original_bytes INTEGER,
+      uploaded_by VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS media_blobs (
+      media_id VARCHAR(50) NOT NULL,
+      variant VARCHAR(20) NOT NULL,
+      data BYTEA NOT NULL,
+      PRIMARY KEY (media_id, variant)
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS media_blobs;
+    DROP TABLE IF EXISTS media;
+  `
+};
@@ -0,0 +1,11 @@
+// Fingerprint of the JWT_SECRET the env key was stored with, so a changed secret is
+// noticed at startup
+module.exports = {
+  up: `
+    ALTER TABLE jwt_keys ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64);
+  `,
+
+  down: `
+    ALTER TABLE jwt_keys DROP COLUMN IF EXISTS fingerprint;
+  `
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Disk cache in front of Google place photos (/api/place-photo). Requested sizes are
+// rounded up to a few fixed buckets so galleries asking for 140px, 250px and 400px share
+// copies, and each photo + bucket is fetched from Google once - concurrent requests wait
+// for the same fetch. The least recently used photos are evicted once the cache passes
+// PHOTO_CACHE_MAX_BYTES.
+//
+// Photos are refetched after PHOTO_CACHE_MAX_AGE_HOURS, but when Google can't be reached,
+// is rate-limiting us or our own per-minute budget is used up, the cached copy (or the
+// same photo at another size) is served instead of failing.
+const CACHE_DIR = path.join(__dirname, 'data', 'photo_cache');
+const INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+const MAX_CACHE_BYTES = parseInt(process.env.PHOTO_CACHE_MAX_BYTES) || 200 * 1024 * 1024;
+const MAX_AGE = (parseInt(process.env.PHOTO_CACHE_MAX_AGE_HOURS) || 7 * 24) * 60 * 60 * 1000;
+const UPSTREAM_PER_MINUTE = parseInt(process.env.PHOTO_UPSTREAM_PER_MINUTE) || 120;
+const RATE_LIMIT_COOLDOWN = 60 * 1000; // Leave Google alone this long after a 429
+const INDEX_SAVE_DELAY = 5000;
+const SIZE_BUCKETS = [160, 400, 800, 1600];
+const PHOTO_NAME_PATTERN = /^places\/[A-Za-z0-9_-]+\/photos\/[A-Za-z0-9_-]+$/;
+
+let entries = new Map(); // Cache key -> entry, least recently used first
+let totalBytes = 0;
+const inFlight = new Map(); // Cache key -> pending Google fetch
+let upstreamWindow = { startedAt: 0, count: 0 };
+let rateLimitedUntil = 0;
+let indexTimer = null;
+
+function photoError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function initPhotoCache() {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+  try {
+    if (fs.existsSync(INDEX_FILE)) {
+      JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'))
+        .filter(entry => fs.existsSync(cacheFile(entry.key)))
+        .sort((a, b) => new Date(a.lastUsedAt) - new Date(b.lastUsedAt))
+        .forEach(entry => {
+          entries.set(entry.key, entry);
+          totalBytes += entry.bytes;
+        });
+    }
+  } catch (error) {
+    console.error('❌ Error loading photo cache index:', error);
+    entries = new Map();
+    totalBytes = 0;
+  }
+
+  // Files the index doesn't know about (e.g. written just before a crash) can't be served
+  fs.readdirSync(CACHE_DIR)
+    .filter(file => file.endsWith('.img') && !entries.has(file.replace(/\.img$/, '')))
+    .forEach(file => fs.unlinkSync(path.join(CACHE_DIR, file)));
+
+  evict();
+  console.log(`📸 Photo cache: ${entries.size} photos, ${(totalBytes / 1024 / 1024).toFixed(1)}MB of ${(MAX_CACHE_BYTES / 1024 / 1024).toFixed(0)}MB`);
+}
+
+function cacheFile(key) {
+  return path.join(CACHE_DIR, `${key}.img`);
+}
+
+function cacheKey(photoName, size) {
+  return crypto.createHash('sha256').update(`${photoName}|${size}`).digest('hex');
+}
+
+// Smallest bucket at least as big as the requested size
+function sizeBucket(requested) {
+  const size = parseInt(requested) || 400;
+  return SIZE_BUCKETS.find(bucket => bucket >= size) || SIZE_BUCKETS[SIZE_BUCKETS.length - 1];
+}
+
+// The index is rewritten at most every few seconds - losing the last few access times
+// in a crash only makes eviction slightly less accurate
+function scheduleIndexSave() {
+  if (indexTimer) return;
+  indexTimer = setTimeout(() => {
+    indexTimer = null;
+    try {
+      fs.writeFileSync(INDEX_FILE, JSON.stringify(Array.from(entries.values())));
+    } catch (error) {
+      console.error('❌ Error saving photo cache index:', error);
+    }
+  }, INDEX_SAVE_DELAY);
+  indexTimer.unref();
+}
+
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  entries.delete(key);
+  totalBytes -= entry.bytes;
+  fs.rmSync(cacheFile(key), { force: true });
+  scheduleIndexSave();
+}
+
+// Drop least recently used photos until the cache fits
+function evict() {
+  while (totalBytes > MAX_CACHE_BYTES && entries.size > 0) {
+    removeEntry(entries.keys().next().value);
+  }
+}
+
+// Read a cached photo and mark it as just used. Null if its file has gone.
+function readCached(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  let buffer;
+  try {
+    buffer = fs.readFileSync(cacheFile(key));
+  } catch (error) {
+    removeEntry(key);
+    return null;
+  }
+
+  entries.delete(key);
+  entries.set(key, { ...entry, lastUsedAt: new Date().toISOString() });
+  scheduleIndexSave();
+  return { buffer, contentType: entry.contentType, etag: entry.etag };
+}
+
+function storePhoto(key, photoName, size, { buffer, contentType }) {
+  const tempFile = `${cacheFile(key)}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, buffer);
+  fs.renameSync(tempFile, cacheFile(key));
+
+  const existing = entries.get(key);
+  if (existing) {
+    entries.delete(key);
+    totalBytes -= existing.bytes;
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    key,
+    photoName,
+    size,
+    contentType,
+    bytes: buffer.length,
+    etag: `"${crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 32)}"`,
+    fetchedAt: now,
+    lastUsedAt: now
+  };
+  entries.set(key, entry);
+  totalBytes += entry.bytes;
+  evict();
+  scheduleIndexSave();
+  return { buffer, contentType, etag: entry.etag };
+}
+
+// Whether we may call Google now: not in a rate-limit cooldown and within our own budget
+function takeUpstreamSlot() {
+  const now = Date.now();
+  if (now < rateLimitedUntil) return false;
+  if (now - upstreamWindow.startedAt >= 60 * 1000) upstreamWindow = { startedAt: now, count: 0 };
+  if (upstreamWindow.count >= UPSTREAM_PER_MINUTE) return false;
+  upstreamWindow.count++;
+  return true;
+}
+
+async function fetchFromGoogle(photoName, size) {
+  if (!process.env.GOOGLE_MAPS_API_KEY) throw photoError('Google Maps API key not configured', 'PHOTO_UNAVAILABLE');
+  if (!takeUpstreamSlot()) throw photoError('Too many photo requests - try again in a minute', 'PHOTO_UNAVAILABLE');
+
+  const photoUrl = `https://places.googleapis.com/v1/${photoName}/media?maxHeightPx=${size}&maxWidthPx=${size}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
+  try {
+    const response = await axios.get(photoUrl, { responseType: 'arraybuffer', timeout: 10000 });
+    return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] || 'image/jpeg' };
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status === 429) {
+      rateLimitedUntil = Date.now() + RATE_LIMIT_COOLDOWN;
+      console.warn('⚠️ Google is rate-limiting place photos - serving cached photos only for a minute');
+      throw photoError('Too many photo requests - try again in a minute', 'PHOTO_UNAVAILABLE');
+    }
+    if (status === 400 || status === 404) throw photoError('Photo not found', 'PHOTO_NOT_FOUND');
+
+    console.error('Failed to fetch photo from Google:', error.message);
+    throw photoError('Photo service unavailable', 'PHOTO_UNAVAILABLE');
+  }
+}
+
+// The same photo at another size: the smallest bigger one, else the biggest smaller one
+function otherSizeKey(photoName, size) {
+  const sizes = Array.from(entries.values())
+    .filter(entry => entry.photoName === photoName && entry.size !== size)
+    .sort((a, b) => a.size - b.size);
+  const match = sizes.find(entry => entry.size > size) || sizes[sizes.length - 1];
+  return match ? match.key : null;
+}
+
+// A place photo as { buffer, contentType, etag, cache } - cache is HIT, MISS or STALE
+// (an expired copy or another size, served because Google couldn't be asked)
+async function getPlacePhoto(photoName, requestedSize) {
+  if (!PHOTO_NAME_PATTERN.test(String(photoName || ''))) throw photoError('Invalid photo name', 'PHOTO_INVALID');
+
+  const size = sizeBucket(requestedSize);
+  const key = cacheKey(photoName, size);
+  const cached = entries.get(key);
+  if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < MAX_AGE) {
+    const photo = readCached(key);
+    if (photo) return { ...photo, cache: 'HIT' };
+  }
+
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fetchFromGoogle(photoName, size)
+      .then(photo => storePhoto(key, photoName, size, photo))
+      .finally(() => inFlight.delete(key)));
+  }
+
+  try {
+    return { ...(await inFlight.get(key)), cache: 'MISS' };
+  } catch (error) {
+    if (error.code === 'PHOTO_NOT_FOUND') {
+      removeEntry(key);
+      throw error;
+    }
+
+    const fallbackKey = entries.has(key) ? key : otherSizeKey(photoName, size);
+    const photo = fallbackKey ? readCached(fallbackKey) : null;
+    if (photo) return { ...photo, cache: 'STALE' };
+    throw error;
+  }
+}
+
+function photoCacheStatus() {
+  return {
+    photos: entries.size,
+    bytes: totalBytes,
+    maxBytes: MAX_CACHE_BYTES,
+    sizeBuckets: SIZE_BUCKETS,
+    fetching: inFlight.size,
+    upstreamThisMinute: Date.now() - upstreamWindow.startedAt < 60 * 1000 ? upstreamWindow.count : 0,
+    upstreamPerMinute: UPSTREAM_PER_MINUTE,
+    rateLimitedUntil: rateLimitedUntil > Date.now() ? new Date(rateLimitedUntil).toISOString() : null
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_COOLDOWN,
+  initPhotoCache,
+  getPlacePhoto,
+  photoCacheStatus
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { db } = require('./database');
+
+// Per-hotel QR branding: one uploaded logo plus named presets (colours, rounded
+// modules, caption) that staff pick when generating codes.
+const BRANDING_FILE = path.join(__dirname, 'data', 'qr_branding.json');
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+const LOGO_SIZE = 512; // Logos are normalized to a PNG of at most 512x512
+const HEX_COLOUR = /^#[0-9a-fA-F]{6}$/;
+
+let useDatabase = false;
+let fileBranding = {};
+
+function brandingError(message) {
+  const error = new Error(message);
+  error.code = 'QR_BRANDING_INVALID';
+  return error;
+}
+
+function initBrandingStore(databaseEnabled) {
+  useDatabase = databaseEnabled;
+  if (useDatabase) return;
+
+  try {
+    if (fs.existsSync(BRANDING_FILE)) {
+      fileBranding = JSON.parse(fs.readFileSync(BRANDING_FILE, 'utf8'));
+      console.log(`🎨 Loaded QR branding for ${Object.keys(fileBranding).length} hotels from file`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading QR branding:', error);
+    fileBranding = {};
+  }
+}
+
+async function getBranding(hotelId) {
+  const stored = useDatabase ? await db.getQRBranding(hotelId) : fileBranding[hotelId];
+  return stored || { hotelId, logo: null, presets: [] };
+}
+
+async function saveBranding(branding) {
+  if (useDatabase) {
+    if (!(await db.saveQRBranding(branding))) throw new Error('Failed to save QR branding to database');
+    return branding;
+  }
+
+  fileBranding[branding.hotelId] = { ...branding, updatedAt: new Date().toISOString() };
+  fs.writeFileSync(BRANDING_FILE, JSON.stringify(fileBranding, null, 2));
+  return fileBranding[branding.hotelId];
+}
+
+// Store a hotel logo from a data URL (PNG, JPEG, WebP or SVG) - null removes it
+async function setLogo(hotelId, dataUrl) {
+  let logo = null;
+
+  if (dataUrl) {
+    const match = /^data:image\/(png|jpeg|webp|svg\+xml);base64,(.+)$/.exec(dataUrl);
+    if (!match) throw brandingError('Logo must be a base64 PNG, JPEG, WebP or SVG data URL');
+
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length > MAX_LOGO_BYTES) throw brandingError('Logo must be smaller than 2MB');
+
+    try {
+      const png = await sharp(buffer).resize(LOGO_SIZE, LOGO_SIZE, { fit: 'inside', withoutEnlargement: true }).png().toBuffer();
+      logo = `data:image/png;base64,${png.toString('base64')}`;
+    } catch (error) {
+      throw brandingError('Logo image could not be read');
+    }
+  }
+
+  const branding = await getBranding(hotelId);
+  return saveBranding({ ...branding, hotelId, logo });
+}
+
+// Validate preset input and fill in defaults
+function normalizePreset(input = {}) {
+  const name = String(input.name || '').trim().substring(0, 50);
+  if (!name) throw brandingError('Preset name is required');
+
+  const preset = {
+    id: input.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset',
+    name,
+    foreground: input.foreground || '#000000',
+    background: input.background || '#FFFFFF',
+    rounded: Boolean(input.rounded),
+    useLogo: Boolean(input.useLogo),
+    caption: String(input.caption || '').trim().substring(0, 40)
+  };
+
+  for (const colour of ['foreground', 'background']) {
+    if (!HEX_COLOUR.test(preset[colour])) throw brandingError(`${colour} must be a hex colour like #1A2B3C`);
+  }
+
+  return preset;
+}
+
+async function savePreset(hotelId, preset) {
+  const branding = await getBranding(hotelId);
+  const presets = branding.presets.filter(existing => existing.id !== preset.id);
+  presets.push(preset);
+  return saveBranding({ ...branding, hotelId, presets });
+}
+
+async function deletePreset(hotelId, presetId) {
+  const branding = await getBranding(hotelId);
+  const presets = branding.presets.filter(preset => preset.id !== presetId);
+  if (presets.length === branding.presets.length) return null;
+  return saveBranding({ ...branding, hotelId, presets });
+}
+
+// Rendering options for a preset (with the hotel logo when the preset uses it)
+function brandingForPreset(branding, preset) {
+  return {
+    foreground: preset.foreground,
+    background: preset.background,
+    rounded: preset.rounded,
+    caption: preset.caption,
+    logo: preset.useLogo ? branding.logo : null
+  };
+}
+
+// Look up a hotel's preset and return its rendering options, or null if it doesn't exist
+async function resolveBranding(hotelId, presetId) {
+  if (!presetId) return null;
+
+  const branding = await getBranding(hotelId);
+  const preset = branding.presets.find(p => p.id === presetId);
+  return preset ? brandingForPreset(branding, preset) : null;
+}
+
+module.exports = {
+  initBrandingStore,
+  getBranding,
+  setLogo,
+  normalizePreset,
+  savePreset,
+  deletePreset,
+  brandingForPreset,
+  resolveBranding
+};
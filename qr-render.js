@@ -0,0 +1,331 @@
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const jsQR = require('jsqr');
+
+// Output formats for printed and on-screen QR codes
+const QR_FORMATS = {
+  png: { contentType: 'image/png', extension: 'png' },
+  svg: { contentType: 'image/svg+xml', extension: 'svg' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+const PDF_CARD_SIZES = ['A6', 'A4'];
+const PRINT_PNG_WIDTH = 2048; // ~300 DPI at 17cm, enough for signage
+const LABELED_PNG_WIDTH = 1024; // Room labels/cards: ~430 DPI at 6cm
+const SHEET_COLUMNS = 2;
+const SHEET_ROWS = 3;
+const SCAN_CHECK_PIXELS = 6; // Pixels per module when decoding branded codes back
+
+// Branded codes are drawn on a 10-unit module grid
+const MODULE_SIZE = 10;
+const BRANDED_MARGIN = 3; // Quiet zone in modules (inside the caption frame)
+// Logo box width as a share of the symbol: covers ~5% of the modules, well inside
+// the ~30% that level-H error correction can recover
+const LOGO_MAX_RATIO = 0.22;
+
+// Plain look used when a labeled code has no branding preset
+const PLAIN_BRANDING = { foreground: '#000000', background: '#FFFFFF', rounded: false, caption: '', logo: null };
+
+const QR_OPTIONS = {
+  errorCorrectionLevel: 'H', // High error correction for better reliability
+  margin: 1,
+  color: {
+    dark: '#000000',
+    light: '#FFFFFF'
+  }
+};
+
+// Default guest instructions printed on PDF cards
+const CARD_INSTRUCTIONS = [
+  'Open your phone camera and point it at the code',
+  'Tap the link that appears',
+  'Browse restaurants, sights and services near the hotel'
+];
+
+function qrRenderError(message) {
+  const error = new Error(message);
+  error.code = 'QR_FORMAT_INVALID';
+  return error;
+}
+
+// Draw the QR modules as vector rectangles so the card stays sharp at any print size
+function drawQRModules(doc, url, x, y, size) {
+  const qr = QRCode.create(url, { errorCorrectionLevel: QR_OPTIONS.errorCorrectionLevel });
+  const count = qr.modules.size;
+  const quietZone = 2;
+  const cell = size / (count + quietZone * 2);
+
+  doc.rect(x, y, size, size).fill('#FFFFFF');
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.modules.get(row, col)) {
+        doc.rect(x + (col + quietZone) * cell, y + (row + quietZone) * cell, cell, cell);
+      }
+    }
+  }
+  doc.fill('#000000');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Branded QR as SVG: colours, rounded modules, centered logo and caption frame.
+// branding: { foreground, background, rounded, caption, logo (data URL) }
+function buildBrandedSVG(url, branding) {
+  const qr = QRCode.create(url, { errorCorrectionLevel: 'H' });
+  const count = qr.modules.size;
+  const offset = BRANDED_MARGIN * MODULE_SIZE;
+  const width = count * MODULE_SIZE + offset * 2;
+  const captionHeight = branding.caption ? Math.max(7, Math.round(count * 0.12)) * MODULE_SIZE : 0;
+  const height = width + captionHeight;
+  const { foreground, background } = branding;
+
+  // Modules under the logo are left out - error correction recovers them
+  let logo = null;
+  if (branding.logo) {
+    let logoModules = Math.floor(count * LOGO_MAX_RATIO);
+    if (logoModules % 2 === 0) logoModules--; // Odd so the box is centered on a module
+    const start = (count - logoModules) / 2;
+    logo = { start, end: start + logoModules, position: offset + start * MODULE_SIZE, size: logoModules * MODULE_SIZE };
+  }
+
+  // Rounded style: finder patterns become solid rounded rings (drawn separately so
+  // they keep their shape) and data modules get softened corners
+  const finders = branding.rounded ? [[0, 0], [0, count - 7], [count - 7, 0]] : [];
+  const inFinder = (row, col) => finders.some(([r, c]) => row >= r && row < r + 7 && col >= c && col < c + 7);
+  const radius = branding.rounded ? ` rx="${MODULE_SIZE * 0.3}"` : '';
+
+  const modules = [];
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (!qr.modules.get(row, col) || inFinder(row, col)) continue;
+      if (logo && row >= logo.start && row < logo.end && col >= logo.start && col < logo.end) continue;
+      modules.push(`<rect x="${offset + col * MODULE_SIZE}" y="${offset + row * MODULE_SIZE}" width="${MODULE_SIZE}" height="${MODULE_SIZE}"${radius}/>`);
+    }
+  }
+
+  finders.forEach(([row, col]) => {
+    const x = offset + col * MODULE_SIZE;
+    const y = offset + row * MODULE_SIZE;
+    modules.push(`<rect x="${x}" y="${y}" width="${MODULE_SIZE * 7}" height="${MODULE_SIZE * 7}" rx="${MODULE_SIZE * 2}"/>`);
+    modules.push(`<rect x="${x + MODULE_SIZE}" y="${y + MODULE_SIZE}" width="${MODULE_SIZE * 5}" height="${MODULE_SIZE * 5}" rx="${MODULE_SIZE * 1.4}" fill="${background}"/>`);
+    modules.push(`<rect x="${x + MODULE_SIZE * 2}" y="${y + MODULE_SIZE * 2}" width="${MODULE_SIZE * 3}" height="${MODULE_SIZE * 3}" rx="${MODULE_SIZE}"/>`);
+  });
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`,
+    `<rect width="${width}" height="${height}" fill="${background}"${branding.caption ? ` rx="${MODULE_SIZE * 1.5}"` : ''}/>`,
+    `<g fill="${foreground}">${modules.join('')}</g>`
+  ];
+
+  if (logo) {
+    const padding = MODULE_SIZE / 2;
+    parts.push(`<rect x="${logo.position}" y="${logo.position}" width="${logo.size}" height="${logo.size}" rx="${MODULE_SIZE}" fill="${background}"/>`);
+    parts.push(`<image x="${logo.position + padding}" y="${logo.position + padding}" width="${logo.size - padding * 2}" height="${logo.size - padding * 2}" preserveAspectRatio="xMidYMid meet" href="${branding.logo}" xlink:href="${branding.logo}"/>`);
+  }
+
+  if (branding.caption) {
+    const stroke = MODULE_SIZE * 0.8;
+    parts.push(`<rect x="${stroke / 2}" y="${stroke / 2}" width="${width - stroke}" height="${height - stroke}" rx="${MODULE_SIZE * 1.5}" fill="none" stroke="${foreground}" stroke-width="${stroke}"/>`);
+    parts.push(`<rect x="0" y="${width}" width="${width}" height="${captionHeight}" fill="${foreground}"/>`);
+    parts.push(`<text x="${width / 2}" y="${width + captionHeight / 2}" font-family="Helvetica, Arial, sans-serif" font-size="${captionHeight * 0.45}" font-weight="bold" fill="${background}" text-anchor="middle" dominant-baseline="central">${escapeXml(branding.caption)}</text>`);
+  }
+
+  parts.push('</svg>');
+  return { svg: parts.join(''), width, height };
+}
+
+// Rasterize an SVG to PNG at the given pixel width
+function rasterizeSVG({ svg, width }, targetWidth) {
+  const density = Math.ceil(72 * targetWidth / width);
+  return sharp(Buffer.from(svg), { density }).resize(targetWidth).png().toBuffer();
+}
+
+// Decode a rendered code and make sure it still points at the URL
+async function assertScannable(rendered, url) {
+  // Whole pixels per module - anti-aliased fractional modules throw the decoder off
+  const png = await rasterizeSVG(rendered, rendered.width / MODULE_SIZE * SCAN_CHECK_PIXELS);
+  const { data, info } = await sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const decoded = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height, {
+    inversionAttempts: 'dontInvert' // Many phone scanners can't read light-on-dark codes
+  });
+
+  if (!decoded || decoded.data !== url) {
+    const error = new Error('Branded QR code could not be decoded - use more contrast between the colours or a darker foreground');
+    error.code = 'QR_BRANDING_UNSCANNABLE';
+    throw error;
+  }
+}
+
+// Print-ready card: hotel name, custom message, QR code and short instructions
+// (card.image is a pre-rendered PNG, e.g. a branded code, used instead of vector modules)
+function renderQRCard(url, card = {}) {
+  const size = PDF_CARD_SIZES.includes(card.size) ? card.size : 'A6';
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size, margin: 0, info: { Title: card.hotelName || 'Hotel QR Code' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const scale = width / 298; // Layout is designed for A6 (298pt wide) and scaled up for A4
+    const margin = 20 * scale;
+    const textWidth = width - margin * 2;
+
+    doc.fillColor('#2d3748').font('Helvetica-Bold').fontSize(18 * scale)
+      .text(card.hotelName || 'Welcome', margin, margin * 1.5, { width: textWidth, align: 'center' });
+
+    if (card.customMessage) {
+      doc.moveDown(0.4).fillColor('#4a5568').font('Helvetica').fontSize(10 * scale)
+        .text(card.customMessage, { width: textWidth, align: 'center' });
+    }
+
+    const qrSize = Math.min(width * 0.62, height * 0.45);
+    const qrY = doc.y + 14 * scale;
+    let qrHeight = qrSize;
+    if (card.image) {
+      qrHeight = qrSize * card.image.height / card.image.width;
+      doc.image(card.image.buffer, (width - qrSize) / 2, qrY, { width: qrSize, height: qrHeight });
+    } else {
+      drawQRModules(doc, url, (width - qrSize) / 2, qrY, qrSize);
+    }
+
+    doc.fillColor('#2d3748').font('Helvetica-Bold').fontSize(10 * scale)
+      .text('Scan to discover nearby places', margin, qrY + qrHeight + 14 * scale, { width: textWidth, align: 'center' });
+
+    doc.moveDown(0.5).font('Helvetica').fontSize(8 * scale).fillColor('#4a5568');
+    (card.instructions || CARD_INSTRUCTIONS).forEach((line, index) => {
+      doc.text(`${index + 1}. ${line}`, { width: textWidth, align: 'center' });
+    });
+
+    doc.end();
+  });
+}
+
+// Render a QR URL in the requested format - returns { buffer, contentType, extension }.
+// With branding the code is checked for scannability before it is returned.
+async function renderQRCode(url, format = 'png', card = {}, branding = null) {
+  const output = QR_FORMATS[format];
+  if (!output) {
+    throw qrRenderError(`Invalid format. Must be one of: ${Object.keys(QR_FORMATS).join(', ')}`);
+  }
+
+  if (branding) {
+    const rendered = buildBrandedSVG(url, branding);
+    await assertScannable(rendered, url);
+
+    if (format === 'svg') return { buffer: Buffer.from(rendered.svg), ...output };
+
+    const png = await rasterizeSVG(rendered, card.pngWidth || PRINT_PNG_WIDTH);
+    if (format === 'png') return { buffer: png, ...output };
+
+    const image = { buffer: png, width: rendered.width, height: rendered.height };
+    return { buffer: await renderQRCard(url, { ...card, image }), ...output };
+  }
+
+  let buffer;
+  if (format === 'svg') {
+    buffer = Buffer.from(await QRCode.toString(url, { ...QR_OPTIONS, type: 'svg' }));
+  } else if (format === 'pdf') {
+    buffer = await renderQRCard(url, card);
+  } else {
+    buffer = await QRCode.toBuffer(url, { ...QR_OPTIONS, type: 'png', width: card.pngWidth || PRINT_PNG_WIDTH });
+  }
+
+  return { buffer, ...output };
+}
+
+// QR with a label (e.g. a room number) in its caption frame, for batch downloads
+function renderLabeledQR(url, label, format = 'png', branding = null) {
+  return renderQRCode(url, format, { pngWidth: LABELED_PNG_WIDTH }, { ...PLAIN_BRANDING, ...branding, caption: label });
+}
+
+// Multi-page A4 print sheet with one cut-out card per item ({ url, label })
+async function renderQRSheet(items, sheet = {}) {
+  // Branded codes are pre-rendered (and checked) before the document is laid out
+  const images = [];
+  if (sheet.branding) {
+    for (const item of items) {
+      const rendered = buildBrandedSVG(item.url, sheet.branding);
+      await assertScannable(rendered, item.url);
+      images.push({ buffer: await rasterizeSVG(rendered, LABELED_PNG_WIDTH), width: rendered.width, height: rendered.height });
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false, info: { Title: `${sheet.hotelName || 'Hotel'} QR codes` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const perPage = SHEET_COLUMNS * SHEET_ROWS;
+    const margin = 28;
+
+    items.forEach((item, index) => {
+      if (index % perPage === 0) doc.addPage();
+
+      const { width, height } = doc.page;
+      const cellWidth = (width - margin * 2) / SHEET_COLUMNS;
+      const cellHeight = (height - margin * 2) / SHEET_ROWS;
+      const x = margin + (index % SHEET_COLUMNS) * cellWidth;
+      const y = margin + Math.floor((index % perPage) / SHEET_COLUMNS) * cellHeight;
+      const textWidth = cellWidth - 20;
+
+      // Cut guide
+      doc.save().dash(4, { space: 4 }).strokeColor('#cbd5e0').rect(x, y, cellWidth, cellHeight).stroke().restore();
+
+      doc.fillColor('#4a5568').font('Helvetica').fontSize(9)
+        .text(sheet.hotelName || '', x + 10, y + 12, { width: textWidth, align: 'center', lineBreak: false, ellipsis: true });
+      doc.fillColor('#2d3748').font('Helvetica-Bold').fontSize(15)
+        .text(item.label, x + 10, y + 26, { width: textWidth, align: 'center', lineBreak: false, ellipsis: true });
+
+      const qrSize = Math.min(cellWidth - 60, cellHeight - 90);
+      const qrX = x + (cellWidth - qrSize) / 2;
+      const qrY = y + 50;
+      let qrHeight = qrSize;
+      if (images[index]) {
+        const image = images[index];
+        const imageWidth = Math.min(qrSize, qrSize * image.width / image.height);
+        qrHeight = imageWidth * image.height / image.width;
+        doc.image(image.buffer, x + (cellWidth - imageWidth) / 2, qrY, { width: imageWidth, height: qrHeight });
+      } else {
+        drawQRModules(doc, item.url, qrX, qrY, qrSize);
+      }
+
+      doc.fillColor('#4a5568').font('Helvetica').fontSize(8)
+        .text('Scan to discover nearby places', x + 10, qrY + qrHeight + 8, { width: textWidth, align: 'center' });
+    });
+
+    doc.end();
+  });
+}
+
+// Check a branding preset against a URL as long as a real scan URL
+async function checkBrandingScannable(branding) {
+  const sampleUrl = `https://example.com/?qr_token=${'x'.repeat(640)}&v=1.0&t=${Date.now()}`;
+  await assertScannable(buildBrandedSVG(sampleUrl, branding), sampleUrl);
+}
+
+// Same as renderQRCode, as a data URL for JSON responses
+async function renderQRDataURL(url, format = 'png', card = {}, branding = null) {
+  const { buffer, contentType } = await renderQRCode(url, format, card, branding);
+  return `data:${contentType};base64,${buffer.toString('base64')}`;
+}
+
+module.exports = {
+  QR_FORMATS,
+  PDF_CARD_SIZES,
+  renderQRCode,
+  renderQRDataURL,
+  renderLabeledQR,
+  renderQRSheet,
+  checkBrandingScannable
+};
@@ -0,0 +1,139 @@
+// Recommendation lists in formats partners' tools open directly: GeoJSON (web maps),
+// KML (Google My Maps, Google Earth), GPX (offline map apps) and CSV (spreadsheets).
+// Each renderer takes the recommendations to export (with `distance` when the list was
+// filtered by radius) and the hotel they are for. The field names match the ones
+// recommendation-import.js guesses, so an export can be imported into another hotel.
+const CSV_COLUMNS = ['id', 'name', 'address', 'latitude', 'longitude', 'rating', 'userRatingCount', 'description', 'website', 'category', 'featured', 'hotelId', 'distance'];
+
+function exportFields(rec) {
+  return {
+    id: rec.id,
+    name: rec.name,
+    address: rec.address || '',
+    latitude: rec.location.latitude,
+    longitude: rec.location.longitude,
+    rating: rec.rating || 0,
+    userRatingCount: rec.userRatingCount || 0,
+    description: rec.description || '',
+    website: rec.websiteUri || '',
+    category: rec.category || 'recommend',
+    featured: Boolean(rec.featured),
+    hotelId: rec.hotelId || null,
+    distance: rec.distance === undefined ? null : rec.distance
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toGeoJson(recommendations, hotel) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    name: `${hotel.name} recommendations`,
+    features: recommendations.map(rec => {
+      const { latitude, longitude, ...properties } = exportFields(rec);
+      return {
+        type: 'Feature',
+        id: rec.id,
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      };
+    })
+  }, null, 2);
+}
+
+function toKml(recommendations, hotel) {
+  const placemarks = recommendations.map(rec => {
+    const fields = exportFields(rec);
+    const data = ['rating', 'userRatingCount', 'website', 'category', 'featured', 'distance']
+      .filter(field => fields[field] !== null && fields[field] !== '')
+      .map(field => `        <Data name="${field}"><value>${escapeXml(fields[field])}</value></Data>`)
+      .join('\n');
+
+    return [
+      `    <Placemark id="${escapeXml(fields.id)}">`,
+      `      <name>${escapeXml(fields.name)}</name>`,
+      fields.address ? `      <address>${escapeXml(fields.address)}</address>` : null,
+      fields.description ? `      <description>${escapeXml(fields.description)}</description>` : null,
+      fields.featured ? '      <styleUrl>#featured</styleUrl>' : null,
+      data ? `      <ExtendedData>\n${data}\n      </ExtendedData>` : null,
+      `      <Point><coordinates>${fields.longitude},${fields.latitude},0</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(hotel.name)} recommendations</name>`,
+    '    <Style id="featured"><IconStyle><color>ff00d7ff</color><scale>1.3</scale></IconStyle></Style>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+function toGpx(recommendations, hotel) {
+  const waypoints = recommendations.map(rec => {
+    const fields = exportFields(rec);
+    const desc = [fields.address, fields.description].filter(Boolean).join(' - ');
+
+    return [
+      `  <wpt lat="${fields.latitude}" lon="${fields.longitude}">`,
+      `    <name>${escapeXml(fields.name)}</name>`,
+      desc ? `    <desc>${escapeXml(desc)}</desc>` : null,
+      fields.website ? `    <link href="${escapeXml(fields.website)}"><text>${escapeXml(fields.name)}</text></link>` : null,
+      `    <type>${escapeXml(fields.category)}</type>`,
+      '  </wpt>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Nearby Places QR Discovery" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(hotel.name)} recommendations</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+// Quote fields that need it, and stop spreadsheet apps from running text that looks like
+// a formula (=, +, -, @)
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(recommendations) {
+  const lines = recommendations.map(rec => {
+    const fields = exportFields(rec);
+    return CSV_COLUMNS.map(column => csvValue(fields[column])).join(',');
+  });
+  // BOM so Excel opens Vietnamese and other non-ASCII names correctly
+  return '\uFEFF' + [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+const EXPORT_FORMATS = {
+  geojson: { extension: 'geojson', contentType: 'application/geo+json', render: toGeoJson },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml', render: toKml },
+  gpx: { extension: 'gpx', contentType: 'application/gpx+xml', render: toGpx },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', render: toCsv }
+};
+
+module.exports = {
+  EXPORT_FORMATS
+};
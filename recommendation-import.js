@@ -0,0 +1,352 @@
+const axios = require('axios');
+const { newRecommendation, listRecommendations, createRecommendation } = require('./recommendations');
+
+// Bulk import of curated recommendations from CSV, GeoJSON or KML (Google My Maps and
+// Google Earth exports). Every format is read into flat rows of column -> text, the
+// columns are mapped onto recommendation fields (guessed from the header names unless a
+// mapping is given), rows without coordinates are geocoded from their address, and each
+// row gets the same validation as POST /api/recommendations. planImport() only reports
+// what would happen; commitImport() then creates the rows that are ready.
+const MAX_IMPORT_ROWS = parseInt(process.env.RECOMMENDATION_IMPORT_MAX_ROWS) || 500;
+const DUPLICATE_DISTANCE = 100; // Meters - same name this close is the same place
+const FORMATS = ['csv', 'geojson', 'kml'];
+
+// Recommendation fields an import can fill, with the header names each is guessed from
+const FIELD_SYNONYMS = {
+  name: ['name', 'place', 'place name', 'title'],
+  address: ['address', 'street address', 'location', 'formatted address'],
+  latitude: ['latitude', 'lat', 'y'],
+  longitude: ['longitude', 'lng', 'lon', 'long', 'x'],
+  rating: ['rating', 'stars'],
+  userRatingCount: ['user rating count', 'userratingcount', 'reviews', 'review count', 'ratings'],
+  description: ['description', 'notes', 'note', 'comment', 'comments'],
+  websiteUri: ['website', 'websiteuri', 'url', 'link'],
+  featured: ['featured', 'highlight']
+};
+
+function importError(message) {
+  const error = new Error(message);
+  error.code = 'IMPORT_INVALID';
+  return error;
+}
+
+function detectFormat(content) {
+  const start = content.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (start.startsWith('<')) return 'kml';
+  return 'csv';
+}
+
+// Comma, semicolon (European spreadsheet exports) or tab - whichever the header uses most
+function detectDelimiter(headerLine) {
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// RFC 4180 CSV: quoted fields may hold delimiters, newlines and doubled quotes
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text.split(/\r?\n/, 1)[0]);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw importError('CSV has an unclosed quote');
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...body] = records.filter(values => values.some(value => value.trim()));
+  if (!header) throw importError('CSV is empty');
+
+  const columns = header.map(column => column.trim());
+  return {
+    columns,
+    rows: body.map(values => Object.fromEntries(columns.map((column, index) => [column, (values[index] || '').trim()])))
+  };
+}
+
+// Point features from a FeatureCollection; properties become columns
+function parseGeoJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw importError(`GeoJSON is not valid JSON: ${error.message}`);
+  }
+
+  const features = data && data.type === 'FeatureCollection' ? data.features : data && data.type === 'Feature' ? [data] : null;
+  if (!Array.isArray(features)) throw importError('GeoJSON must be a Feature or FeatureCollection');
+
+  const columns = new Set();
+  const rows = features.map(feature => {
+    const row = {};
+    Object.entries((feature && feature.properties) || {}).forEach(([key, value]) => {
+      if (value === null || typeof value === 'object') return;
+      row[key] = String(value).trim();
+      columns.add(key);
+    });
+
+    const geometry = feature && feature.geometry;
+    if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      row.longitude = String(geometry.coordinates[0]);
+      row.latitude = String(geometry.coordinates[1]);
+      columns.add('latitude');
+      columns.add('longitude');
+    }
+    return row;
+  });
+
+  return { columns: Array.from(columns), rows };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, '&');
+}
+
+function stripHtml(text) {
+  return text.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').replace(/[ \t]+/g, ' ').trim();
+}
+
+function xmlElement(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]).trim() : '';
+}
+
+// Placemarks with their name, description, address, Point and ExtendedData values
+function parseKml(content) {
+  if (!/<kml[\s>]/.test(content)) throw importError('KML must have a <kml> root element');
+
+  const columns = new Set();
+  const rows = (content.match(/<Placemark[\s>][\s\S]*?<\/Placemark>/g) || []).map(placemark => {
+    const row = {};
+    [['name', xmlElement(placemark, 'name')], ['description', stripHtml(xmlElement(placemark, 'description'))], ['address', xmlElement(placemark, 'address')]]
+      .filter(([, value]) => value)
+      .forEach(([key, value]) => {
+        row[key] = value;
+        columns.add(key);
+      });
+
+    const point = xmlElement(placemark, 'Point');
+    const [longitude, latitude] = xmlElement(point, 'coordinates').split(',');
+    if (point && latitude !== undefined) {
+      row.latitude = latitude.trim();
+      row.longitude = longitude.trim();
+      columns.add('latitude');
+      columns.add('longitude');
+    }
+
+    // My Maps puts spreadsheet columns in <Data name="..."><value>, Earth in <SimpleData name="...">
+    const dataPattern = /<Data\s+name="([^"]+)"[^>]*>[\s\S]*?<value>([\s\S]*?)<\/value>[\s\S]*?<\/Data>|<SimpleData\s+name="([^"]+)"[^>]*>([\s\S]*?)<\/SimpleData>/g;
+    let data;
+    while ((data = dataPattern.exec(placemark))) {
+      const key = decodeXml(data[1] || data[3]).trim();
+      if (!row[key]) row[key] = decodeXml(data[2] !== undefined ? data[2] : data[4]).trim();
+      columns.add(key);
+    }
+    return row;
+  });
+
+  return { columns: Array.from(columns), rows };
+}
+
+function parseImport(content, format) {
+  if (format === 'geojson') return parseGeoJson(content);
+  if (format === 'kml') return parseKml(content);
+  return parseCsv(content);
+}
+
+function normalizeHeader(column) {
+  return column.toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Field -> column for every field a column can be found for; `overrides` (from the
+// column-mapping step) wins over the guesses
+function resolveMapping(columns, overrides = {}) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw importError('mapping must map recommendation fields to column names');
+  }
+
+  const mapping = {};
+  Object.entries(FIELD_SYNONYMS).forEach(([field, synonyms]) => {
+    const column = columns.find(candidate => synonyms.includes(normalizeHeader(candidate)));
+    if (column) mapping[field] = column;
+  });
+
+  Object.entries(overrides).forEach(([field, column]) => {
+    if (!FIELD_SYNONYMS[field]) throw importError(`Unknown field "${field}" in mapping`);
+    if (!column) {
+      delete mapping[field];
+      return;
+    }
+    if (!columns.includes(column)) throw importError(`Column "${column}" mapped to ${field} is not in the file`);
+    mapping[field] = column;
+  });
+
+  return mapping;
+}
+
+function mapRow(row, mapping) {
+  const input = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (row[column] !== undefined && row[column] !== '') input[field] = row[column];
+  });
+  if (input.featured !== undefined) input.featured = /^(true|yes|y|1|x)$/i.test(input.featured);
+  return input;
+}
+
+// Google geocoding of an address; null if it can't be found
+async function geocodeAddress(address) {
+  if (!process.env.GOOGLE_MAPS_API_KEY) throw importError('Google Maps API key not configured - add latitude and longitude to the file');
+
+  const geocodeUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${process.env.GOOGLE_MAPS_API_KEY}`;
+  const response = await axios.get(geocodeUrl, { timeout: 10000 });
+  if (response.data.status !== 'OK' || response.data.results.length === 0) return null;
+
+  const { lat, lng } = response.data.results[0].geometry.location;
+  return { latitude: String(lat), longitude: String(lng) };
+}
+
+function distanceMeters(a, b) {
+  const R = 6371000;
+  const dLat = (b.latitude - a.latitude) * Math.PI / 180;
+  const dLng = (b.longitude - a.longitude) * Math.PI / 180;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.latitude * Math.PI / 180) * Math.cos(b.latitude * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function sameName(a, b) {
+  const normalize = name => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return normalize(a) === normalize(b);
+}
+
+function findDuplicate(recommendation, candidates) {
+  return candidates.find(candidate =>
+    sameName(candidate.name, recommendation.name) &&
+    distanceMeters(candidate.location, recommendation.location) <= DUPLICATE_DISTANCE) || null;
+}
+
+// Dry run: parse, map, geocode and validate every row. Each row is ready, a duplicate
+// (of a saved recommendation or an earlier row) or invalid; nothing is saved.
+async function planImport(content, { format, mapping, hotelId, sharedWith = [], addedBy = 'bulk_import' } = {}) {
+  if (typeof content !== 'string' || !content.trim()) throw importError('content is required');
+  const resolvedFormat = format ? String(format).toLowerCase() : detectFormat(content);
+  if (!FORMATS.includes(resolvedFormat)) throw importError(`format must be one of: ${FORMATS.join(', ')}`);
+
+  const { columns, rows } = parseImport(content, resolvedFormat);
+  if (rows.length === 0) throw importError('The file has no rows to import');
+  if (rows.length > MAX_IMPORT_ROWS) throw importError(`The file has ${rows.length} rows - the limit is ${MAX_IMPORT_ROWS}`);
+
+  const fieldMapping = resolveMapping(columns, mapping || {});
+  const existing = listRecommendations();
+  const geocoded = new Map(); // Address -> coordinates, so repeated addresses are looked up once
+  const ready = [];
+  const report = [];
+
+  for (const [index, row] of rows.entries()) {
+    const input = mapRow(row, fieldMapping);
+    const result = { row: index + 1, name: input.name || null };
+
+    try {
+      if ((!input.latitude || !input.longitude) && input.address) {
+        if (!geocoded.has(input.address)) geocoded.set(input.address, await geocodeAddress(input.address));
+        const location = geocoded.get(input.address);
+        if (!location) throw importError(`Address "${input.address}" could not be geocoded`);
+        Object.assign(input, location);
+        result.geocoded = true;
+      }
+
+      const recommendation = newRecommendation(input, { hotelId, sharedWith, addedBy });
+      const duplicate = findDuplicate(recommendation, existing) || findDuplicate(recommendation, ready);
+      if (duplicate) {
+        const earlierRow = ready.includes(duplicate) ? report.find(candidate => candidate.recommendation === duplicate).row : null;
+        Object.assign(result, { status: 'duplicate', duplicateOf: earlierRow ? { row: earlierRow } : { id: duplicate.id, hotelId: duplicate.hotelId } });
+      } else {
+        ready.push(recommendation);
+        Object.assign(result, { status: 'ready', recommendation });
+      }
+    } catch (error) {
+      const expected = ['RECOMMENDATION_INVALID', 'IMPORT_INVALID'].includes(error.code);
+      if (!expected) console.error(`❌ Error importing row ${index + 1}:`, error.message);
+      Object.assign(result, { status: 'invalid', error: expected ? error.message : 'Geocoding failed' });
+    }
+    report.push(result);
+  }
+
+  const count = status => report.filter(result => result.status === status).length;
+  return {
+    format: resolvedFormat,
+    columns,
+    mapping: fieldMapping,
+    hotelId,
+    total: report.length,
+    ready: count('ready'),
+    duplicates: count('duplicate'),
+    invalid: count('invalid'),
+    rows: report
+  };
+}
+
+// Create the ready rows of a plan. Returns the plan with each row's saved recommendation.
+async function commitImport(plan, staff) {
+  let created = 0;
+  for (const result of plan.rows) {
+    if (result.status !== 'ready') continue;
+    try {
+      result.recommendation = await createRecommendation(result.recommendation, staff);
+      result.status = 'created';
+      created++;
+    } catch (error) {
+      Object.assign(result, { status: 'invalid', error: error.code === 'RECOMMENDATION_INVALID' ? error.message : 'Failed to save' });
+      if (error.code !== 'RECOMMENDATION_INVALID') console.error(`❌ Error saving imported row ${result.row}:`, error);
+    }
+  }
+
+  console.log(`📥 Imported ${created} of ${plan.total} recommendations for ${plan.hotelId}`);
+  return { ...plan, created };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  FORMATS,
+  detectFormat,
+  planImport,
+  commitImport
+};
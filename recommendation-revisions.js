@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./database');
+
+// Per-recommendation edit history. Every write through the recommendations store records
+// a numbered revision: who made it, the field-level changes and a snapshot of the record
+// afterwards (null once deleted), so any earlier version can be brought back.
+const REVISIONS_FILE = path.join(__dirname, 'data', 'recommendation_revisions.json');
+const REVISIONS_PER_RECOMMENDATION = parseInt(process.env.RECOMMENDATION_REVISIONS_KEEP) || 50;
+const IGNORED_FIELDS = ['updatedDate']; // Changes on every save
+const COUNTED_FIELDS = ['images', 'photos']; // Diffs show how many, not the (base64) contents
+
+let useDatabase = false;
+let fileRevisions = [];
+
+function initRevisionStore(databaseEnabled) {
+  useDatabase = databaseEnabled;
+  if (useDatabase) return;
+
+  try {
+    if (fs.existsSync(REVISIONS_FILE)) {
+      fileRevisions = JSON.parse(fs.readFileSync(REVISIONS_FILE, 'utf8'));
+      console.log(`🕘 Loaded ${fileRevisions.length} recommendation revisions from file`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading recommendation revisions:', error);
+    fileRevisions = [];
+  }
+}
+
+function saveFileRevisions() {
+  fs.writeFileSync(REVISIONS_FILE, JSON.stringify(fileRevisions, null, 2));
+}
+
+function diffValue(field, value) {
+  if (COUNTED_FIELDS.includes(field)) return Array.isArray(value) ? value.length : 0;
+  return value === undefined ? null : value;
+}
+
+// Field-level changes between two versions of a record ({} for a record that doesn't exist)
+function diffRecords(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = (before || {})[field];
+    const to = (after || {})[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from: diffValue(field, from), to: diffValue(field, to) });
+    }
+  });
+  return changes;
+}
+
+// Revision without its snapshot, for listings
+function describeRevision(revision) {
+  const { snapshot, ...meta } = revision;
+  return meta;
+}
+
+// All revisions of a recommendation, newest first
+async function listRevisions(recommendationId) {
+  const revisions = useDatabase
+    ? (await db.getRecommendationRevisions(recommendationId)) || []
+    : fileRevisions.filter(revision => revision.recommendationId === recommendationId);
+
+  return revisions.sort((a, b) => b.revision - a.revision);
+}
+
+async function getRevision(recommendationId, revisionNumber) {
+  return (await listRevisions(recommendationId)).find(revision => revision.revision === revisionNumber) || null;
+}
+
+// The newest version of a recommendation history knows about - for deleted ones, the
+// version before the delete
+async function latestSnapshot(recommendationId) {
+  const revision = (await listRevisions(recommendationId)).find(candidate => candidate.snapshot);
+  return revision ? revision.snapshot : null;
+}
+
+async function addRevision(revision) {
+  if (useDatabase) {
+    if (!(await db.addRecommendationRevision(revision))) throw new Error('Failed to save recommendation revision to database');
+    await db.pruneRecommendationRevisions(revision.recommendationId, REVISIONS_PER_RECOMMENDATION);
+    return;
+  }
+
+  fileRevisions.push(revision);
+  const kept = fileRevisions
+    .filter(candidate => candidate.recommendationId === revision.recommendationId)
+    .sort((a, b) => b.revision - a.revision)
+    .slice(0, REVISIONS_PER_RECOMMENDATION);
+  fileRevisions = fileRevisions.filter(candidate =>
+    candidate.recommendationId !== revision.recommendationId || kept.includes(candidate));
+  saveFileRevisions();
+}
+
+// Record a change from before to after (either may be null) made by staff (null for the
+// system). Records with no history yet - from before history was kept - first get a
+// 'baseline' revision of how they were, so the first tracked edit can be reverted.
+// The write itself already happened, so failures are only logged.
+async function recordRevision(before, after, action, staff, extra = {}) {
+  const changes = diffRecords(before, after);
+  if (changes.length === 0) return null;
+
+  const recommendationId = (after || before).id;
+  try {
+    const [latest] = await listRevisions(recommendationId);
+    let next = latest ? latest.revision + 1 : 1;
+
+    if (!latest && before) {
+      await addRevision({
+        id: `rev_${uuidv4()}`,
+        recommendationId,
+        revision: next++,
+        action: 'baseline',
+        staffId: null,
+        staffUsername: null,
+        changes: [],
+        revertedTo: null,
+        createdAt: before.updatedDate || new Date().toISOString(),
+        snapshot: before
+      });
+    }
+
+    const revision = {
+      id: `rev_${uuidv4()}`,
+      recommendationId,
+      revision: next,
+      action,
+      staffId: staff ? staff.id : null,
+      staffUsername: staff ? staff.username : null,
+      changes,
+      revertedTo: extra.revertedTo || null,
+      createdAt: new Date().toISOString(),
+      snapshot: after
+    };
+    await addRevision(revision);
+    return revision;
+  } catch (error) {
+    console.error(`❌ Error recording revision for ${recommendationId}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  initRevisionStore,
+  diffRecords,
+  describeRevision,
+  listRevisions,
+  getRevision,
+  latestSnapshot,
+  recordRevision
+};
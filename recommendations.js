@@ -0,0 +1,615 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./database');
+const { recordRevision } = require('./recommendation-revisions');
+const { getMedia, saveMediaFromDataUrl, mediaUrl } = require('./media');
+
+// Curated recommendations repository. The file and Postgres stores implement the same
+// operations (load, save, remove, replaceAll) and every route goes through the functions
+// below, so a write lands in the same place - with the same fields - whatever the storage
+// mode. Every change is also recorded in the recommendation's revision history
+// (recommendation-revisions.js) with the staff member who made it. Records are cached in
+// memory so guest pages can list them without a query, and data/recommendations.json
+// (with rotating copies in data/backups) is kept in both modes for the backup endpoints.
+//
+// Uploaded images live in the media store (media.js); records keep { id, name, mediaId }
+// for each. Images still embedded as data URLs - from old clients or backups made before
+// the media store - are moved into it on the way in.
+//
+// Deleting only moves a recommendation to the trash (deletedAt/deletedBy are set); it is
+// hidden from every listing until restored, and purged for good after
+// RECOMMENDATION_TRASH_DAYS.
+const RECOMMENDATIONS_FILE = path.join(__dirname, 'data', 'recommendations.json');
+const BACKUP_DIR = path.join(__dirname, 'data', 'backups');
+const BACKUPS_KEPT = 10;
+const BACKUP_NAME_PATTERN = /^recommendations_backup_[\w.-]+\.json$/;
+const REFRESH_INTERVAL = 5 * 60 * 1000; // Pick up edits made on other instances
+const TRASH_RETENTION_DAYS = parseInt(process.env.RECOMMENDATION_TRASH_DAYS) || 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+let store = null;
+let recommendations = [];
+
+function recommendationError(message) {
+  const error = new Error(message);
+  error.code = 'RECOMMENDATION_INVALID';
+  return error;
+}
+
+function toISODate(value, fallback) {
+  const date = new Date(value);
+  return value && !isNaN(date) ? date.toISOString() : fallback;
+}
+
+// Round to the precision the database columns keep, so both stores return the same numbers
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// The one record shape both stores keep. Distances are worked out per request, not stored.
+function toRecord(input) {
+  if (!input || typeof input !== 'object') throw recommendationError('Recommendation must be an object');
+
+  const id = String(input.id || '').trim();
+  if (!id || id.length > 50) throw recommendationError('Recommendation id must be 1-50 characters');
+  if (!input.name) throw recommendationError(`Recommendation ${id} needs a name`);
+
+  const location = input.location || {};
+  const latitude = parseFloat(location.latitude);
+  const longitude = parseFloat(location.longitude);
+  if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+    throw recommendationError(`Recommendation ${id} needs valid GPS coordinates`);
+  }
+
+  const addedDate = toISODate(input.addedDate, new Date().toISOString());
+  const deletedAt = toISODate(input.deletedAt, null);
+  const openingHours = input.openingHours || input.regularOpeningHours || null;
+
+  return {
+    id,
+    name: String(input.name).substring(0, 255),
+    address: String(input.address || ''),
+    location: { latitude: round(latitude, 8), longitude: round(longitude, 8) },
+    rating: round(Math.max(0, Math.min(5, parseFloat(input.rating) || 0)), 2),
+    userRatingCount: Math.max(0, parseInt(input.userRatingCount) || 0),
+    description: String(input.description || ''),
+    category: String(input.category || 'recommend').substring(0, 50),
+    websiteUri: String(input.websiteUri || ''),
+    featured: Boolean(input.featured),
+    addedBy: String(input.addedBy || 'manual_entry').substring(0, 100),
+    addedDate,
+    updatedDate: toISODate(input.updatedDate, addedDate),
+    images: Array.isArray(input.images) ? input.images : [],
+    photos: Array.isArray(input.photos) ? input.photos : [],
+    openingHours,
+    parsedData: input.parsedData || null,
+    hotelId: input.hotelId || null,
+    sharedWith: Array.isArray(input.sharedWith) ? input.sharedWith : [],
+    deletedAt,
+    deletedBy: deletedAt && input.deletedBy ? String(input.deletedBy).substring(0, 100) : null
+  };
+}
+
+// Same trimming and length limit as sanitizeInput() in server.js
+function cleanText(value) {
+  return value ? String(value).trim().substring(0, 200) : '';
+}
+
+// Validate a new recommendation from staff input - POST /api/recommendations and bulk
+// imports. The hotel and sharedWith must already be checked by the caller.
+function newRecommendation(input = {}, { hotelId, sharedWith = [], addedBy = 'manual_entry' }) {
+  const { name, address, latitude, longitude, images, parsedData } = input;
+  if (!name || !address || !latitude || !longitude) {
+    throw recommendationError('Missing required fields: name, address, latitude, longitude');
+  }
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw recommendationError('Invalid coordinates. Latitude must be -90 to 90, longitude must be -180 to 180');
+  }
+
+  return {
+    id: `rec_${uuidv4()}`,
+    name: cleanText(name),
+    address: cleanText(address),
+    location: { latitude: lat, longitude: lng },
+    rating: Math.max(0, Math.min(5, parseFloat(input.rating) || 0)),
+    userRatingCount: Math.max(0, parseInt(input.userRatingCount) || 0),
+    description: cleanText(input.description),
+    category: 'recommend',
+    photos: [],
+    images: Array.isArray(images) ? images.map(img => ({
+      id: cleanText(img.id),
+      name: cleanText(img.name),
+      mediaId: img.mediaId,
+      dataUrl: img.dataUrl // Older clients still embed images - stored as media on save
+    })) : [],
+    websiteUri: cleanText(input.websiteUri),
+    addedBy,
+    addedDate: new Date().toISOString(),
+    featured: input.featured === true || input.featured === 'true',
+    hotelId,
+    sharedWith,
+    parsedData: parsedData ? {
+      prices: cleanText(parsedData.prices),
+      hours: cleanText(parsedData.hours),
+      foodItems: cleanText(parsedData.foodItems),
+      googleMapsUrl: cleanText(parsedData.googleMapsUrl)
+    } : null
+  };
+}
+
+function hasEmbeddedImages(record) {
+  return Array.isArray(record.images) && record.images.some(image => image && image.dataUrl);
+}
+
+// The { id, name, mediaId } reference a record keeps for an image, storing embedded data
+// URLs as media. With verify, references to media that doesn't exist are rejected (off
+// for restores, which put back references that were valid when they were made).
+async function toImageRef(image, verify) {
+  if (!image || typeof image !== 'object') throw recommendationError('Images must be objects');
+  const label = image.name || image.id || 'image';
+
+  let mediaId = image.mediaId;
+  try {
+    if (image.dataUrl) {
+      mediaId = (await saveMediaFromDataUrl(image.dataUrl, { name: image.name })).id;
+    } else if (!mediaId || (verify && !(await getMedia(mediaId)))) {
+      throw recommendationError(`Image ${label} has not been uploaded`);
+    }
+  } catch (error) {
+    if (error.code === 'MEDIA_INVALID' || error.code === 'MEDIA_TOO_LARGE') {
+      throw recommendationError(`Image ${label}: ${error.message}`);
+    }
+    throw error;
+  }
+
+  return {
+    id: String(image.id || mediaId).substring(0, 100),
+    name: String(image.name || '').substring(0, 200),
+    mediaId
+  };
+}
+
+// Input with its images as media references. Images already on the record (known) aren't
+// looked up again.
+async function storeImages(input, { verify = true, known = [] } = {}) {
+  if (!input || !Array.isArray(input.images)) return input;
+
+  const knownIds = new Set(known.map(image => image.mediaId).filter(Boolean));
+  const images = [];
+  for (const image of input.images) {
+    images.push(await toImageRef(image, verify && !(image && knownIds.has(image.mediaId))));
+  }
+  return { ...input, images };
+}
+
+// What the API returns: the stored record plus the opening-hours fields the page reads
+// from Google places, and where to load each image from
+function present(record) {
+  return {
+    ...record,
+    images: record.images.map(image => (image && image.mediaId
+      ? { ...image, url: mediaUrl(image.mediaId), thumbnailUrl: mediaUrl(image.mediaId, 'thumb') }
+      : image)),
+    currentOpeningHours: record.openingHours,
+    regularOpeningHours: record.openingHours
+  };
+}
+
+// Delete all but the newest backup files
+function cleanupOldBackups() {
+  fs.readdirSync(BACKUP_DIR)
+    .filter(file => file.startsWith('recommendations_backup_'))
+    .map(file => ({ name: file, mtime: fs.statSync(path.join(BACKUP_DIR, file)).mtime }))
+    .sort((a, b) => b.mtime - a.mtime)
+    .slice(BACKUPS_KEPT)
+    .forEach(file => {
+      fs.unlinkSync(path.join(BACKUP_DIR, file.name));
+      console.log(`🗑️ Deleted old backup: ${file.name}`);
+    });
+}
+
+// Copy the current file into data/backups (prefix names the reason) and return the path
+function backupRecommendationsFile(prefix = 'recommendations_backup_') {
+  if (!fs.existsSync(RECOMMENDATIONS_FILE)) return null;
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupFile = path.join(BACKUP_DIR, `${prefix}${timestamp}.json`);
+  fs.copyFileSync(RECOMMENDATIONS_FILE, backupFile);
+  console.log(`📋 Created backup: ${backupFile}`);
+  return backupFile;
+}
+
+// Path of a backup file in data/backups from its id (the file name), or null when the id
+// isn't a backup name - ids come from URLs, so nothing else in data/ may be reachable
+function backupFilePath(backupId) {
+  const name = String(backupId || '');
+  if (path.basename(name) !== name || !BACKUP_NAME_PATTERN.test(name)) return null;
+  return path.join(BACKUP_DIR, name);
+}
+
+// Write the whole list to data/recommendations.json, keeping a copy of the previous version
+function writeRecommendationsFile(records) {
+  const dataToSave = JSON.stringify(records, null, 2);
+
+  // For Render's ephemeral file system, also keep the data in memory and in the logs
+  if (process.env.NODE_ENV === 'production') {
+    global.BACKUP_DATA = dataToSave;
+    console.log('📊 PERSISTENT_BACKUP:', Buffer.from(dataToSave).toString('base64'));
+  }
+
+  backupRecommendationsFile();
+  fs.writeFileSync(RECOMMENDATIONS_FILE, dataToSave);
+  cleanupOldBackups();
+  console.log(`💾 Saved ${records.length} recommendations`);
+}
+
+// Records from data/recommendations.json, or null if there is no file
+function readRecommendationsFile() {
+  if (!fs.existsSync(RECOMMENDATIONS_FILE)) return null;
+  return JSON.parse(fs.readFileSync(RECOMMENDATIONS_FILE, 'utf8')).map(toRecord);
+}
+
+// Demo recommendations for a new file store
+function defaultRecommendations() {
+  const now = new Date().toISOString();
+  return [
+    {
+      id: 'rec_001',
+      name: 'Hanoi Old Quarter Walking Tour',
+      address: '36 Streets, Hoan Kiem, Hanoi, Vietnam',
+      location: { latitude: 21.033333, longitude: 105.85 },
+      rating: 4.8,
+      userRatingCount: 127,
+      description: 'Explore the historic heart of Hanoi with narrow streets, traditional shops, and colonial architecture.',
+      addedBy: 'hotel_management',
+      addedDate: now,
+      featured: true
+    },
+    {
+      id: 'rec_002',
+      name: 'Hoan Kiem Lake & Ngoc Son Temple',
+      address: 'Hoan Kiem Lake, Hanoi, Vietnam',
+      location: { latitude: 21.028511, longitude: 105.852245 },
+      rating: 4.6,
+      userRatingCount: 89,
+      description: 'Peaceful lake in the city center with a beautiful temple on a small island.',
+      addedBy: 'hotel_management',
+      addedDate: now,
+      featured: true
+    }
+  ].map(toRecord);
+}
+
+// Each store gets the changed record (or id) and the full list after the change, and
+// throws if the write didn't happen
+const fileStore = {
+  name: 'file',
+
+  async load() {
+    try {
+      const records = readRecommendationsFile();
+      if (records) return records;
+
+      // Render wipes the file system on deploy - recover from the memory copy if there is one
+      if (process.env.NODE_ENV === 'production' && global.BACKUP_DATA) {
+        const recovered = JSON.parse(global.BACKUP_DATA).map(toRecord);
+        console.log(`🔄 Recovered ${recovered.length} recommendations from memory backup`);
+        writeRecommendationsFile(recovered);
+        return recovered;
+      }
+    } catch (error) {
+      console.error('❌ Error loading recommendations:', error);
+      return null;
+    }
+
+    const defaults = defaultRecommendations();
+    writeRecommendationsFile(defaults);
+    console.log(`📋 Created ${defaults.length} default recommendations`);
+    return defaults;
+  },
+
+  async save(record, records) {
+    writeRecommendationsFile(records);
+  },
+
+  async remove(id, records) {
+    writeRecommendationsFile(records);
+  },
+
+  async replaceAll(records) {
+    writeRecommendationsFile(records);
+  }
+};
+
+// The database is the source of truth; the JSON file is a copy for the backup endpoints,
+// so failing to write it only logs a warning
+function mirrorToFile(records) {
+  try {
+    writeRecommendationsFile(records);
+  } catch (error) {
+    console.warn('⚠️ Failed to copy recommendations to file storage:', error);
+  }
+}
+
+const databaseStore = {
+  name: 'database',
+
+  async load() {
+    const records = await db.getAllRecommendations();
+    if (records) mirrorToFile(records);
+    return records;
+  },
+
+  async save(record, records) {
+    if (!(await db.saveRecommendation(record))) throw new Error('Failed to save recommendation to database');
+    mirrorToFile(records);
+  },
+
+  async remove(id, records) {
+    if (!(await db.deleteRecommendation(id))) throw new Error('Failed to delete recommendation from database');
+    mirrorToFile(records);
+  },
+
+  async replaceAll(records) {
+    if (!(await db.replaceAllRecommendations(records))) throw new Error('Failed to replace recommendations in database');
+    mirrorToFile(records);
+  }
+};
+
+async function refreshRecommendations() {
+  const records = await store.load();
+  if (records) recommendations = records;
+  return records;
+}
+
+async function initRecommendationStore(databaseEnabled) {
+  store = databaseEnabled ? databaseStore : fileStore;
+  await refreshRecommendations();
+
+  console.log(`📋 Loaded ${recommendations.length} recommendations from ${store.name} storage`);
+  const embedded = recommendations.filter(hasEmbeddedImages).length;
+  if (embedded > 0) {
+    console.warn(`⚠️ ${embedded} recommendations still embed their images - run npm run migrate-media to move them to the media store`);
+  }
+  if (databaseEnabled) {
+    setInterval(() => refreshRecommendations().catch(error => console.error('❌ Error refreshing recommendations:', error)), REFRESH_INTERVAL);
+  }
+
+  await purgeExpiredRecommendations();
+  setInterval(purgeExpiredRecommendations, PURGE_INTERVAL);
+}
+
+function findRecord(id, { trashed = false } = {}) {
+  return recommendations.find(rec => rec.id === id && Boolean(rec.deletedAt) === trashed) || null;
+}
+
+// Write one record (new or replacing the one with its id) and update the cache
+async function saveRecord(record) {
+  const exists = recommendations.some(rec => rec.id === record.id);
+  const records = exists
+    ? recommendations.map(rec => (rec.id === record.id ? record : rec))
+    : [...recommendations, record];
+  await store.save(record, records);
+  recommendations = records;
+}
+
+// Recommendations that aren't in the trash
+function listRecommendations() {
+  return recommendations.filter(rec => !rec.deletedAt).map(present);
+}
+
+function getRecommendation(id) {
+  const record = findRecord(id);
+  return record ? present(record) : null;
+}
+
+function purgeDate(record) {
+  return new Date(new Date(record.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Trashed recommendations, most recently deleted first, with when each will be purged
+function listTrashedRecommendations() {
+  return recommendations
+    .filter(rec => rec.deletedAt)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    .map(rec => ({ ...present(rec), purgeAt: purgeDate(rec) }));
+}
+
+function getTrashedRecommendation(id) {
+  const record = findRecord(id, { trashed: true });
+  return record ? { ...present(record), purgeAt: purgeDate(record) } : null;
+}
+
+async function createRecommendation(input, staff = null) {
+  const record = toRecord(await storeImages(input));
+  const existing = recommendations.find(rec => rec.id === record.id);
+  if (existing) {
+    throw recommendationError(existing.deletedAt
+      ? `Recommendation ${record.id} is in the trash - restore it instead`
+      : `Recommendation ${record.id} already exists`);
+  }
+
+  await saveRecord(record);
+  await recordRevision(null, record, 'create', staff);
+  return present(record);
+}
+
+// Apply field updates to a recommendation (id and addedDate never change). Returns null
+// if it doesn't exist or is in the trash.
+async function updateRecommendation(id, updates, staff = null) {
+  const existing = findRecord(id);
+  if (!existing) return null;
+
+  const record = toRecord(await storeImages({
+    ...existing,
+    ...updates,
+    id,
+    addedDate: existing.addedDate,
+    updatedDate: new Date().toISOString(),
+    deletedAt: null
+  }, { known: existing.images }));
+  await saveRecord(record);
+  await recordRevision(existing, record, 'update', staff);
+  return present(record);
+}
+
+// Move a recommendation to the trash. Returns it, or null if it doesn't exist or is
+// already trashed.
+async function deleteRecommendation(id, staff = null) {
+  const existing = findRecord(id);
+  if (!existing) return null;
+
+  const now = new Date().toISOString();
+  const record = { ...existing, updatedDate: now, deletedAt: now, deletedBy: staff ? staff.username : null };
+  await saveRecord(record);
+  await recordRevision(existing, record, 'delete', staff);
+  return { ...present(record), purgeAt: purgeDate(record) };
+}
+
+// Take a recommendation out of the trash. Returns null if it isn't trashed.
+async function restoreRecommendation(id, staff = null) {
+  const existing = findRecord(id, { trashed: true });
+  if (!existing) return null;
+
+  const record = { ...existing, updatedDate: new Date().toISOString(), deletedAt: null, deletedBy: null };
+  await saveRecord(record);
+  await recordRevision(existing, record, 'undelete', staff);
+  return present(record);
+}
+
+// Permanently delete a trashed recommendation (its history is kept). Returns null if it
+// isn't trashed.
+async function purgeRecommendation(id, staff = null) {
+  const existing = findRecord(id, { trashed: true });
+  if (!existing) return null;
+
+  const records = recommendations.filter(rec => rec.id !== id);
+  await store.remove(id, records);
+  recommendations = records;
+  await recordRevision(existing, null, 'purge', staff);
+  return present(existing);
+}
+
+// Purge everything that has been in the trash longer than the retention period
+async function purgeExpiredRecommendations() {
+  const expired = recommendations.filter(rec => rec.deletedAt && new Date(purgeDate(rec)) <= new Date());
+
+  for (const record of expired) {
+    try {
+      await purgeRecommendation(record.id);
+      console.log(`🗑️ Purged ${record.name} (in the trash since ${record.deletedAt})`);
+    } catch (error) {
+      console.error(`❌ Error purging recommendation ${record.id}:`, error);
+    }
+  }
+  return expired.length;
+}
+
+// Bring back a recommendation as it was after the given revision - recreating it if it
+// has since been purged
+async function revertRecommendation(id, revision, staff = null) {
+  if (!revision.snapshot) {
+    throw recommendationError(`Revision ${revision.revision} removed the recommendation - revert to an earlier revision`);
+  }
+
+  const existing = recommendations.find(rec => rec.id === id) || null;
+  const record = toRecord(await storeImages({
+    ...revision.snapshot,
+    id,
+    addedDate: existing ? existing.addedDate : revision.snapshot.addedDate,
+    updatedDate: new Date().toISOString()
+  }, { verify: false }));
+  await saveRecord(record);
+  await recordRevision(existing, record, 'revert', staff, { revertedTo: revision.revision });
+  return present(record);
+}
+
+// Replace every recommendation (backup restores and data recovery). All records are
+// validated before anything is written; each one that changes gets a 'restore' revision.
+async function replaceAllRecommendations(inputs, staff = null) {
+  if (!Array.isArray(inputs)) throw recommendationError('Recommendations must be a list');
+
+  const records = inputs.map(toRecord);
+  for (const [index, record] of records.entries()) {
+    if (hasEmbeddedImages(record)) records[index] = toRecord(await storeImages(record, { verify: false }));
+  }
+  const ids = new Set(records.map(rec => rec.id));
+  if (ids.size !== records.length) throw recommendationError('Recommendation ids must be unique');
+
+  const previous = recommendations;
+  await store.replaceAll(records);
+  recommendations = records;
+
+  for (const record of records) {
+    await recordRevision(previous.find(rec => rec.id === record.id) || null, record, 'restore', staff);
+  }
+  for (const record of previous.filter(rec => !ids.has(rec.id))) {
+    await recordRevision(record, null, 'restore', staff);
+  }
+  return records.length;
+}
+
+// One-off move of images embedded in records into the media store (migrate-media.js).
+// This changes how images are stored, not the recommendations, so no revisions are
+// recorded. Records whose images can't be read are left as they are.
+async function migrateEmbeddedImages() {
+  let migrated = 0;
+  let failed = 0;
+  const records = [];
+
+  for (const record of recommendations) {
+    if (!hasEmbeddedImages(record)) {
+      records.push(record);
+      continue;
+    }
+    try {
+      records.push(toRecord(await storeImages(record, { verify: false })));
+      migrated++;
+    } catch (error) {
+      console.error(`❌ Could not move the images of ${record.id} (${record.name}):`, error.message);
+      records.push(record);
+      failed++;
+    }
+  }
+
+  if (migrated > 0) {
+    await store.replaceAll(records);
+    recommendations = records;
+  }
+  return { migrated, failed };
+}
+
+// Write the cached list back to the store (repairs a store that missed writes)
+async function syncRecommendations() {
+  await store.replaceAll(recommendations);
+  return recommendations.length;
+}
+
+module.exports = {
+  BACKUP_DIR,
+  initRecommendationStore,
+  refreshRecommendations,
+  newRecommendation,
+  listRecommendations,
+  getRecommendation,
+  listTrashedRecommendations,
+  getTrashedRecommendation,
+  createRecommendation,
+  updateRecommendation,
+  deleteRecommendation,
+  restoreRecommendation,
+  purgeRecommendation,
+  revertRecommendation,
+  replaceAllRecommendations,
+  syncRecommendations,
+  migrateEmbeddedImages,
+  backupRecommendationsFile,
+  backupFilePath,
+  readRecommendationsFile
+};
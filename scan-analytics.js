@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { db } = require('./database');
+
+// QR scan event log for analytics. Each accepted scan stores when it happened, which
+// code (hotel/room) was scanned, a coarse device class and salted hashes of the IP and
+// device - never the raw IP or user agent.
+const EVENTS_FILE = path.join(__dirname, 'data', 'qr_scan_events.jsonl'); // One JSON event per line
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Asia/Ho_Chi_Minh';
+const HASH_SALT = process.env.SCAN_HASH_SALT || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const SCAN_REPORTS = ['daily', 'codes', 'hotels', 'hours', 'devices'];
+
+let useDatabase = false;
+let fileEvents = [];
+
+if (!process.env.SCAN_HASH_SALT && !process.env.JWT_SECRET) {
+  console.warn('⚠️ SCAN_HASH_SALT is not set - unique device counts reset when the server restarts');
+}
+
+function initScanAnalytics(databaseEnabled) {
+  useDatabase = databaseEnabled;
+  if (useDatabase) return;
+
+  try {
+    if (fs.existsSync(EVENTS_FILE)) {
+      fileEvents = fs.readFileSync(EVENTS_FILE, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+      console.log(`📈 Loaded ${fileEvents.length} QR scan events from file`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading QR scan events:', error);
+    fileEvents = [];
+  }
+}
+
+function hashValue(value) {
+  return crypto.createHmac('sha256', HASH_SALT).update(String(value)).digest('hex').substring(0, 16);
+}
+
+// Coarse device class from a user agent: mobile, tablet, desktop, bot or unknown
+function deviceClassFor(userAgent) {
+  const ua = String(userAgent || '').toLowerCase();
+  if (!ua || ua === 'unknown') return 'unknown';
+  if (/bot|crawl|spider|preview|curl|wget|python|monitor/.test(ua)) return 'bot';
+  if (/ipad|tablet|kindle|silk/.test(ua) || (ua.includes('android') && !ua.includes('mobile'))) return 'tablet';
+  if (/mobi|iphone|ipod|android|phone/.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+// Log an accepted scan. Analytics must never block a guest, so failures are only logged.
+async function recordScanEvent({ qrId, metadata = {}, clientIp, userAgent }) {
+  const event = {
+    scannedAt: new Date().toISOString(),
+    qrId,
+    hotelId: metadata.hotelId || null,
+    room: metadata.room || null,
+    deviceClass: deviceClassFor(userAgent),
+    ipHash: hashValue(clientIp),
+    deviceHash: hashValue(`${clientIp}|${userAgent}`)
+  };
+
+  try {
+    if (useDatabase) {
+      if (!(await db.addScanEvent(event))) throw new Error('Failed to save scan event to database');
+      return event;
+    }
+
+    fileEvents.push(event);
+    fs.appendFileSync(EVENTS_FILE, `${JSON.stringify(event)}\n`);
+    return event;
+  } catch (error) {
+    console.error('❌ Error recording QR scan event:', error);
+    return null;
+  }
+}
+
+// Scan events between two Date bounds (inclusive), oldest first
+async function listScanEvents(from, to) {
+  if (useDatabase) return (await db.getScanEvents(from, to)) || [];
+
+  return fileEvents.filter(event => {
+    const scannedAt = new Date(event.scannedAt);
+    return scannedAt >= from && scannedAt <= to;
+  });
+}
+
+const localFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: ANALYTICS_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Local (hotel timezone) date and hour of a timestamp
+function localDateHour(timestamp) {
+  const parts = {};
+  localFormat.formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = part.value; });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour) };
+}
+
+// Group events by key, counting scans, unique devices and codes per group
+function groupScans(events, keyFor) {
+  const groups = new Map();
+
+  events.forEach(event => {
+    const key = keyFor(event);
+    if (!groups.has(key)) groups.set(key, { key, scans: 0, devices: new Set(), codes: new Set(), lastScan: null, sample: event });
+
+    const group = groups.get(key);
+    group.scans++;
+    group.devices.add(event.deviceHash);
+    group.codes.add(event.qrId);
+    if (!group.lastScan || event.scannedAt > group.lastScan) group.lastScan = event.scannedAt;
+  });
+
+  return Array.from(groups.values());
+}
+
+// Build every report for a set of events (dates and hours in the hotel timezone)
+function summarizeScans(events) {
+  const localised = events.map(event => ({ ...event, ...localDateHour(event.scannedAt) }));
+
+  const daily = groupScans(localised, event => event.date)
+    .map(group => ({ date: group.key, scans: group.scans, uniqueDevices: group.devices.size }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const codes = groupScans(localised, event => event.qrId)
+    .map(group => ({
+      qrId: group.key,
+      hotelId: group.sample.hotelId,
+      room: group.sample.room,
+      scans: group.scans,
+      uniqueDevices: group.devices.size,
+      lastScan: group.lastScan
+    }))
+    .sort((a, b) => b.scans - a.scans);
+
+  const hotels = groupScans(localised, event => event.hotelId)
+    .map(group => ({
+      hotelId: group.key,
+      scans: group.scans,
+      uniqueDevices: group.devices.size,
+      codes: group.codes.size
+    }))
+    .sort((a, b) => b.scans - a.scans);
+
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, scans: 0 }));
+  localised.forEach(event => { hours[event.hour].scans++; });
+
+  const devices = groupScans(localised, event => event.deviceClass)
+    .map(group => ({ deviceClass: group.key, scans: group.scans, uniqueDevices: group.devices.size }))
+    .sort((a, b) => b.scans - a.scans);
+
+  return {
+    timezone: ANALYTICS_TIMEZONE,
+    totalScans: events.length,
+    uniqueDevices: new Set(events.map(event => event.deviceHash)).size,
+    daily,
+    codes,
+    hotels,
+    hours,
+    devices
+  };
+}
+
+// CSV text for report rows (columns from the first row)
+function toCSV(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = Object.keys(rows[0]);
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  ANALYTICS_TIMEZONE,
+  SCAN_REPORTS,
+  initScanAnalytics,
+  deviceClassFor,
+  recordScanEvent,
+  listScanEvents,
+  localDateHour,
+  summarizeScans,
+  toCSV
+};
@@ -1,55 +1,183 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const {
+  registerToken,
+  getToken,
+  recordTokenUse,
+  revokeToken,
+  deleteExpiredTokens
+} = require('./token-registry');
+const { ENV_KID, getSigningKey, getVerificationSecret } = require('./keyring');
+const { recordScanEvent } = require('./scan-analytics');
 
 // Security configuration
-const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
 const QR_SECRET = process.env.QR_SECRET || crypto.randomBytes(32).toString('hex');
 const TOKEN_EXPIRY = '10y'; // Permanent QR codes (10 years = effectively permanent)
 const MAX_USES_PER_TOKEN = 999999; // Unlimited uses (very high number)
+const STAFF_TOKEN_EXPIRY = '12h'; // Staff sessions last one working shift
+const QR_SESSION_EXPIRY = '12h'; // Guest sessions after a verified scan (engagement tracking)
+const QR_POLICY_TYPES = ['permanent', 'guest_stay', 'event'];
 
-// In-memory store for token usage tracking (in production, use Redis or database)
-const tokenUsage = new Map();
-const blacklistedTokens = new Set();
+// Legacy HMAC-signed QR codes (?sig=...&ts=...) from before the JWT pipeline.
+// They were valid for 24h; codes still inside that window are migrated to a qr_token.
+const LEGACY_QR_SECRET_KEY = process.env.QR_SECRET_KEY || 'your-secret-key-change-in-production';
+const LEGACY_QR_MAX_AGE = 24 * 60 * 60 * 1000;
 
-// Generate secure QR token
-function generateSecureQRToken(metadata = {}) {
+// Guest-facing explanations for each QR verification error code
+const QR_ERROR_MESSAGES = {
+  QR_TOKEN_MISSING: 'Please scan the QR code in your room or at reception to open this page.',
+  QR_TOKEN_INVALID: 'This QR code is not valid. Please scan the code provided by the hotel.',
+  QR_TOKEN_REVOKED: 'This QR code has been deactivated. Please ask reception for a new one.',
+  QR_TOKEN_EXPIRED: 'This QR code has expired. If you are still staying with us, reception can give you a new one.',
+  QR_TOKEN_NOT_YET_VALID: 'This QR code is not active yet. Please try again on the date of your event.',
+  QR_TOKEN_EXHAUSTED: 'This QR code has reached its scan limit. Please ask reception for a new one.',
+  QR_TOKEN_DEVICE_LIMIT: 'This QR code is already in use on the maximum number of devices. Please use one of those devices or ask reception for a new code.',
+  QR_TOKEN_LEGACY_EXPIRED: 'This QR code uses an older format that is no longer accepted. Please ask reception for a new code.',
+  QR_SHORT_LINK_UNKNOWN: 'This QR code is not recognised. Please scan the code provided by the hotel.',
+  QR_SERVICE_UNAVAILABLE: 'We could not check this QR code right now. Please try again in a moment.'
+};
+
+function qrTokenError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Verify a JWT against the keyring key named in its header (no kid = the env key).
+// Throws jsonwebtoken errors, including for retired or unknown keys.
+async function verifyWithKeyring(token, options = {}) {
+  const complete = jwt.decode(token, { complete: true });
+  if (!complete) throw new jwt.JsonWebTokenError('jwt malformed');
+
+  const kid = complete.header.kid || ENV_KID;
+  const secret = await getVerificationSecret(kid);
+  if (!secret) throw new jwt.JsonWebTokenError(`signing key ${kid} is retired or unknown`);
+
+  const decoded = jwt.verify(token, secret, { algorithms: ['HS256'], ...options });
+  return { decoded, kid };
+}
+
+// Validate per-QR policy options and work out the token's validity window
+function buildQRPolicy(options = {}) {
+  const type = options.type || 'permanent';
+  if (!QR_POLICY_TYPES.includes(type)) {
+    throw qrTokenError(`Invalid policy type. Must be one of: ${QR_POLICY_TYPES.join(', ')}`, 'QR_POLICY_INVALID');
+  }
+
+  const policy = { type };
+  let notBefore = null;
+  let expiresAt = null;
+
+  if (type === 'guest_stay') {
+    // Guest-stay codes stop working at checkout
+    const checkout = new Date(options.checkoutAt);
+    if (isNaN(checkout.getTime()) || checkout <= new Date()) {
+      throw qrTokenError('Guest-stay codes need a future checkoutAt date/time', 'QR_POLICY_INVALID');
+    }
+    policy.checkoutAt = checkout.toISOString();
+    expiresAt = checkout;
+  } else if (type === 'event') {
+    // Event codes are valid for a single calendar day (server local time)
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(options.eventDate || '')) {
+      throw qrTokenError('Event codes need an eventDate in YYYY-MM-DD format', 'QR_POLICY_INVALID');
+    }
+    notBefore = new Date(`${options.eventDate}T00:00:00`);
+    expiresAt = new Date(`${options.eventDate}T23:59:59.999`);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw qrTokenError('eventDate must be today or later', 'QR_POLICY_INVALID');
+    }
+    policy.eventDate = options.eventDate;
+  }
+
+  for (const limit of ['maxScans', 'maxDevices']) {
+    if (options[limit] === undefined || options[limit] === null || options[limit] === '') continue;
+    const value = parseInt(options[limit]);
+    if (isNaN(value) || value < 1) {
+      throw qrTokenError(`${limit} must be a positive number`, 'QR_POLICY_INVALID');
+    }
+    policy[limit] = value;
+  }
+
+  return { policy, notBefore, expiresAt };
+}
+
+// Human-readable validity of a policy (for admin responses)
+function describeQRPolicy(policy = {}) {
+  if (policy.type === 'guest_stay') return `Until checkout (${policy.checkoutAt})`;
+  if (policy.type === 'event') return `Event day only (${policy.eventDate})`;
+  return TOKEN_EXPIRY;
+}
+
+// Stable per-device identifier from IP address and user agent
+function deviceIdFor(clientIp, userAgent) {
+  return crypto.createHash('sha256').update(`${clientIp}|${userAgent}`).digest('hex').substring(0, 16);
+}
+
+// Scan URL for a token (reproducible, so stored codes can be re-rendered)
+function buildSecureQRURL(baseUrl, token, issuedAt) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('qr_token', token);
+  url.searchParams.set('v', '1.0'); // Version
+  url.searchParams.set('t', issuedAt); // Timestamp
+  return url.toString();
+}
+
+// Generate secure QR token and register it in the persistent token registry.
+// options.qrId fixes the id; options.baseUrl also builds and stores the scan URL,
+// unless options.url gives a fixed one (dynamic short links).
+async function generateSecureQRToken(metadata = {}, policyOptions = {}, options = {}) {
   try {
+    const qrId = options.qrId || crypto.randomUUID();
+    const { policy, notBefore, expiresAt: policyExpiresAt } = buildQRPolicy(policyOptions);
+
     const payload = {
       type: 'qr_access',
       iat: Math.floor(Date.now() / 1000),
-      qrId: crypto.randomUUID(),
+      qrId,
       clientType: 'customer',
-      maxUses: MAX_USES_PER_TOKEN,
+      maxUses: policy.maxScans || MAX_USES_PER_TOKEN,
       metadata: {
         generatedAt: new Date().toISOString(),
         version: '1.0',
-        ...metadata
+        ...metadata,
+        policy
       }
     };
+
+    // Policy windows are signed into the token so they cannot be tampered with
+    const signOptions = { algorithm: 'HS256' };
+    if (policyExpiresAt) {
+      payload.exp = Math.floor(policyExpiresAt.getTime() / 1000);
+    } else {
+      signOptions.expiresIn = TOKEN_EXPIRY;
+    }
+    if (notBefore) {
+      payload.nbf = Math.floor(notBefore.getTime() / 1000);
+    }
     
-    console.log('🔍 Generating JWT with payload:', { qrId: payload.qrId, type: payload.type });
+    console.log('🔍 Generating JWT with payload:', { qrId: payload.qrId, type: payload.type, policy });
 
-    // Sign with QR-specific secret
-    const token = jwt.sign(payload, JWT_SECRET, { 
-      algorithm: 'HS256',
-      expiresIn: TOKEN_EXPIRY 
-    });
+    // Sign with the keyring's active key (its kid goes in the JWT header)
+    const signingKey = getSigningKey();
+    const token = jwt.sign(payload, signingKey.secret, { ...signOptions, keyid: signingKey.kid });
     
     // Get expiration time for response
     const decoded = jwt.decode(token);
     const expiresAt = new Date(decoded.exp * 1000);
+    const url = options.url || (options.baseUrl ? buildSecureQRURL(options.baseUrl, token, payload.iat * 1000) : null);
 
     // Initialize usage tracking
-    tokenUsage.set(payload.qrId, {
-      uses: 0,
-      firstUsed: null,
-      lastUsed: null,
-      ipAddresses: new Set(),
-      userAgents: new Set()
+    await registerToken({
+      qrId: payload.qrId,
+      metadata: payload.metadata,
+      issuedAt: new Date(payload.iat * 1000).toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      signingKid: signingKey.kid,
+      url
     });
 
-    console.log(`🔐 Generated PERMANENT secure QR token: ${payload.qrId}`);
-    return { token, qrId: payload.qrId, expiresAt, permanent: true };
+    console.log(`🔐 Generated secure QR token (${policy.type}): ${payload.qrId}`);
+    return { token, qrId: payload.qrId, url, expiresAt, policy, permanent: policy.type === 'permanent' };
   } catch (error) {
     console.error('❌ Error generating QR token:', error);
     throw error;
@@ -57,101 +185,204 @@ function generateSecureQRToken(metadata = {}) {
 }
 
 // Verify QR token
-function verifyQRToken(token, req) {
+async function verifyQRToken(token, req) {
   try {
-    // Check if token is blacklisted
-    if (blacklistedTokens.has(token)) {
-      throw new Error('Token has been revoked');
-    }
-
     // Verify JWT signature and expiration
-    const decoded = jwt.verify(token, JWT_SECRET);
+    let decoded, kid;
+    try {
+      ({ decoded, kid } = await verifyWithKeyring(token));
+    } catch (jwtError) {
+      if (jwtError.name === 'TokenExpiredError') {
+        throw qrTokenError('Token has expired', 'QR_TOKEN_EXPIRED');
+      }
+      if (jwtError.name === 'NotBeforeError') {
+        throw qrTokenError('Token is not active yet', 'QR_TOKEN_NOT_YET_VALID');
+      }
+      throw qrTokenError(jwtError.message, 'QR_TOKEN_INVALID');
+    }
     
     // Validate token type
     if (decoded.type !== 'qr_access') {
-      throw new Error('Invalid token type');
+      throw qrTokenError('Invalid token type', 'QR_TOKEN_INVALID');
     }
 
-    // Check usage limits
-    const usage = tokenUsage.get(decoded.qrId);
-    if (!usage) {
-      throw new Error('Token usage data not found');
-    }
+    const policy = (decoded.metadata && decoded.metadata.policy) || { type: 'permanent' };
+    const limits = {
+      maxScans: decoded.maxUses || MAX_USES_PER_TOKEN,
+      maxDevices: policy.maxDevices || null
+    };
 
-    if (usage.uses >= MAX_USES_PER_TOKEN) {
-      throw new Error('Token usage limit exceeded');
+    // Look up the registry record. Validly signed tokens issued before the registry
+    // existed (their usage lived only in memory) are registered on first scan.
+    let record = await getToken(decoded.qrId);
+    if (!record) {
+      console.log(`📋 Registering previously issued QR token: ${decoded.qrId}`);
+      record = await registerToken({
+        qrId: decoded.qrId,
+        metadata: decoded.metadata,
+        issuedAt: new Date(decoded.iat * 1000).toISOString(),
+        expiresAt: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null,
+        signingKid: kid
+      });
     }
 
-    // Track usage
+    // Track usage - the registry applies the scan and device limits atomically
     const clientIp = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent') || 'Unknown';
+    const deviceId = deviceIdFor(clientIp, userAgent);
     
-    usage.uses++;
-    usage.lastUsed = new Date();
-    if (!usage.firstUsed) {
-      usage.firstUsed = new Date();
+    let usage = null;
+    if (!record.revoked) {
+      try {
+        usage = await recordTokenUse(decoded.qrId, clientIp, userAgent, deviceId, limits);
+      } catch (registryError) {
+        // Not the guest's fault - don't answer with a limit they haven't reached
+        throw qrTokenError(`Token use could not be recorded: ${registryError.message}`, 'QR_SERVICE_UNAVAILABLE');
+      }
+    }
+    if (!usage) {
+      const current = (await getToken(decoded.qrId)) || record;
+      if (current.revoked) {
+        throw qrTokenError('Token has been revoked', 'QR_TOKEN_REVOKED');
+      }
+      if (current.uses >= limits.maxScans) {
+        throw qrTokenError('Token usage limit exceeded', 'QR_TOKEN_EXHAUSTED');
+      }
+      throw qrTokenError('Token device limit reached', 'QR_TOKEN_DEVICE_LIMIT');
     }
-    usage.ipAddresses.add(clientIp);
-    usage.userAgents.add(userAgent);
 
-    console.log(`✅ QR token verified: ${decoded.qrId} (use ${usage.uses}/${MAX_USES_PER_TOKEN})`);
+    console.log(`✅ QR token verified: ${decoded.qrId} (use ${usage.uses}/${limits.maxScans})`);
+    await recordScanEvent({ qrId: decoded.qrId, metadata: decoded.metadata, clientIp, userAgent });
     
     return {
       valid: true,
       decoded,
       usage: {
         uses: usage.uses,
-        maxUses: MAX_USES_PER_TOKEN,
-        remaining: MAX_USES_PER_TOKEN - usage.uses
+        maxUses: limits.maxScans,
+        remaining: limits.maxScans - usage.uses,
+        devices: usage.devices.length,
+        maxDevices: limits.maxDevices
       }
     };
   } catch (error) {
     console.log(`❌ QR token verification failed: ${error.message}`);
-    return { valid: false, error: error.message };
+    return { valid: false, error: error.message, code: error.code || 'QR_TOKEN_INVALID' };
   }
 }
 
 // Generate secure QR code URL
-function generateSecureQRURL(baseUrl, metadata = {}) {
-  const { token, qrId, expiresAt } = generateSecureQRToken(metadata);
-  
-  // Create URL with token and additional security parameters
-  const url = new URL(baseUrl);
-  url.searchParams.set('qr_token', token);
-  url.searchParams.set('v', '1.0'); // Version
-  url.searchParams.set('t', Date.now()); // Timestamp
+async function generateSecureQRURL(baseUrl, metadata = {}, policyOptions = {}, options = {}) {
+  const { token, qrId, url, expiresAt, policy } = await generateSecureQRToken(metadata, policyOptions, { ...options, baseUrl });
   
   return {
-    url: url.toString(),
+    url,
     qrId,
     token,
     expiresAt,
+    policy,
     securityInfo: {
-      maxUses: MAX_USES_PER_TOKEN,
-      validFor: TOKEN_EXPIRY,
+      maxUses: policy.maxScans || MAX_USES_PER_TOKEN,
+      maxDevices: policy.maxDevices || null,
+      validFor: describeQRPolicy(policy),
       securityLevel: 'HIGH'
     }
   };
 }
 
-// Middleware for QR token authentication
-function authenticateQRToken(req, res, next) {
+// Explain a rejected QR scan - HTML for guests' browsers, JSON for API clients
+function sendQRAccessDenied(req, res, code, reason) {
+  const message = QR_ERROR_MESSAGES[code] || QR_ERROR_MESSAGES.QR_TOKEN_INVALID;
+  const status = code === 'QR_SERVICE_UNAVAILABLE' ? 503 : 401;
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.status(status).send(`
+      <html>
+        <head><title>QR Code Not Accepted</title><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+        <body style="font-family: Arial; text-align: center; padding: 50px;">
+          <h1>📱 QR Code Not Accepted</h1>
+          <p>${message}</p>
+          <p style="color: #718096; font-size: 12px;">Code: ${code}</p>
+        </body>
+      </html>
+    `);
+  }
+
+  return res.status(status).json({
+    error: `Access denied: ${reason}`,
+    message,
+    code
+  });
+}
+
+// Check a legacy sig/ts signature. Old generators signed either the bare origin
+// or the page URL, so both forms are accepted.
+function verifyLegacyQRSignature(req, signature, timestamp) {
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const candidates = [origin, `${origin}${req.path}`, `${origin}/mobile`];
+  const provided = Buffer.from(String(signature), 'hex');
+
+  return candidates.some(url => {
+    const expected = crypto.createHmac('sha256', LEGACY_QR_SECRET_KEY).update(`${url}:${timestamp}`).digest();
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+}
+
+// Compatibility path for legacy sig/ts codes: a valid code still inside its 24h window
+// is exchanged for a qr_token expiring at the same time, then the guest is redirected.
+async function migrateLegacyQRCode(req, res) {
+  const { sig, ts, lat, lng, label, hotel } = req.query;
+  const timestamp = parseInt(ts);
+
+  if (isNaN(timestamp) || !verifyLegacyQRSignature(req, sig, timestamp)) {
+    console.warn(`🚨 Security Alert: Invalid legacy QR signature from ${req.ip}`);
+    return sendQRAccessDenied(req, res, 'QR_TOKEN_INVALID', 'Invalid QR code signature');
+  }
+
+  const validUntil = new Date(timestamp + LEGACY_QR_MAX_AGE);
+  if (validUntil <= new Date()) {
+    console.log(`📋 Rejected expired legacy QR code from ${req.ip} (issued ${new Date(timestamp).toISOString()})`);
+    return sendQRAccessDenied(req, res, 'QR_TOKEN_LEGACY_EXPIRED', 'Legacy QR code has expired');
+  }
+
+  // Derive the qrId from the signature so rescans of one legacy code share a registry record
+  const qrId = `legacy_${crypto.createHash('sha256').update(String(sig)).digest('hex').substring(0, 24)}`;
+  const { token } = await generateSecureQRToken({
+    hotelId: hotel || undefined,
+    hotelName: label || 'Hotel Guest Access',
+    location: lat && lng ? { latitude: parseFloat(lat), longitude: parseFloat(lng) } : undefined,
+    migratedFrom: 'legacy_signature',
+    legacyIssuedAt: new Date(timestamp).toISOString()
+  }, { type: 'guest_stay', checkoutAt: validUntil.toISOString() }, { qrId });
+
+  const params = new URLSearchParams({ qr_token: token });
+  if (hotel) params.set('hotel', hotel);
+
+  console.log(`🔁 Migrated legacy QR code to token ${qrId} for ${req.ip}`);
+  res.redirect(`/?${params.toString()}`);
+}
+
+// Middleware for QR token authentication (the single entry point for guest QR scans)
+async function authenticateQRToken(req, res, next) {
   const token = req.query.qr_token || req.headers['x-qr-token'];
+
+  if (!token && req.query.sig && req.query.ts) {
+    try {
+      return await migrateLegacyQRCode(req, res);
+    } catch (error) {
+      console.error('❌ Error migrating legacy QR code:', error);
+      return res.status(500).json({ error: 'Failed to verify QR code' });
+    }
+  }
   
   if (!token) {
-    return res.status(401).json({ 
-      error: 'Access denied. Valid QR code required.',
-      code: 'QR_TOKEN_MISSING'
-    });
+    return sendQRAccessDenied(req, res, 'QR_TOKEN_MISSING', 'Valid QR code required.');
   }
 
-  const verification = verifyQRToken(token, req);
+  const verification = await verifyQRToken(token, req);
   
   if (!verification.valid) {
-    return res.status(401).json({ 
-      error: `Access denied: ${verification.error}`,
-      code: 'QR_TOKEN_INVALID'
-    });
+    return sendQRAccessDenied(req, res, verification.code, verification.error);
   }
 
   // Add token info to request
@@ -167,14 +398,21 @@ function authenticateQRToken(req, res, next) {
 }
 
 // Revoke QR token
-function revokeQRToken(token) {
+async function revokeQRToken(token) {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
-    blacklistedTokens.add(token);
-    
-    if (tokenUsage.has(decoded.qrId)) {
-      tokenUsage.delete(decoded.qrId);
+    const { decoded, kid } = await verifyWithKeyring(token, { ignoreExpiration: true });
+
+    // Register unknown tokens first so the revocation is remembered
+    if (!(await getToken(decoded.qrId))) {
+      await registerToken({
+        qrId: decoded.qrId,
+        metadata: decoded.metadata,
+        issuedAt: new Date(decoded.iat * 1000).toISOString(),
+        expiresAt: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null,
+        signingKid: kid
+      });
     }
+    await revokeToken(decoded.qrId);
     
     console.log(`🚫 Revoked QR token: ${decoded.qrId}`);
     return true;
@@ -184,43 +422,146 @@ function revokeQRToken(token) {
   }
 }
 
-// Get token statistics
-function getTokenStats(qrId) {
-  const usage = tokenUsage.get(qrId);
-  if (!usage) return null;
-  
+// Generate staff session token
+function generateStaffToken(staff) {
+  const signingKey = getSigningKey();
+  const token = jwt.sign({
+    type: 'staff_session',
+    sub: staff.id,
+    username: staff.username,
+    role: staff.role
+  }, signingKey.secret, {
+    algorithm: 'HS256',
+    expiresIn: STAFF_TOKEN_EXPIRY,
+    keyid: signingKey.kid
+  });
+
+  const decoded = jwt.decode(token);
+  console.log(`🔑 Issued staff session for ${staff.username}`);
+  return { token, expiresAt: new Date(decoded.exp * 1000) };
+}
+
+// Guest session issued after a verified scan, so engagement events can be tied to the
+// scanned code without resending (and re-counting) the QR token itself
+function generateQRSessionToken(qrAuth) {
+  const signingKey = getSigningKey();
+  const token = jwt.sign({
+    type: 'qr_session',
+    sid: crypto.randomUUID(),
+    qrId: qrAuth.qrId,
+    hotelId: (qrAuth.metadata && qrAuth.metadata.hotelId) || null
+  }, signingKey.secret, {
+    algorithm: 'HS256',
+    expiresIn: QR_SESSION_EXPIRY,
+    keyid: signingKey.kid
+  });
+
+  const decoded = jwt.decode(token);
+  return { token, expiresAt: new Date(decoded.exp * 1000) };
+}
+
+// Verify a guest session token - returns { sessionId, qrId, hotelId } or null
+async function verifyQRSessionToken(token) {
+  try {
+    const { decoded } = await verifyWithKeyring(token);
+    if (decoded.type !== 'qr_session') return null;
+    return { sessionId: decoded.sid, qrId: decoded.qrId, hotelId: decoded.hotelId };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Verify staff session token
+async function verifyStaffToken(token) {
+  try {
+    const { decoded } = await verifyWithKeyring(token);
+
+    if (decoded.type !== 'staff_session') {
+      throw new Error('Invalid token type');
+    }
+
+    return { valid: true, staff: { id: decoded.sub, username: decoded.username, role: decoded.role } };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+// Middleware for staff authentication on admin and mutating routes
+async function authenticateStaff(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Staff login required.',
+      code: 'STAFF_AUTH_MISSING'
+    });
+  }
+
+  const verification = await verifyStaffToken(token);
+
+  if (!verification.valid) {
+    console.warn(`🚨 Security Alert: Rejected staff token from ${req.ip} (${verification.error})`);
+    return res.status(401).json({
+      error: 'Staff session is invalid or has expired. Please log in again.',
+      code: 'STAFF_AUTH_INVALID'
+    });
+  }
+
+  req.staff = verification.staff;
+  next();
+}
+
+// Revoke QR token by its qrId (for admin tools that never see the raw token)
+async function revokeQRTokenById(qrId) {
+  const record = await revokeToken(qrId);
+  if (!record) return null;
+
+  console.log(`🚫 Revoked QR token: ${qrId}`);
+  return record;
+}
+
+// Build usage statistics from a token registry record
+function formatTokenStats(usage) {
+  const policy = (usage.metadata && usage.metadata.policy) || { type: 'permanent' };
+  const maxUses = policy.maxScans || MAX_USES_PER_TOKEN;
+
   return {
-    qrId,
+    qrId: usage.qrId,
+    policy,
     uses: usage.uses,
-    maxUses: MAX_USES_PER_TOKEN,
-    remaining: MAX_USES_PER_TOKEN - usage.uses,
+    maxUses,
+    remaining: Math.max(0, maxUses - usage.uses),
     firstUsed: usage.firstUsed,
     lastUsed: usage.lastUsed,
-    uniqueIPs: usage.ipAddresses.size,
-    uniqueUserAgents: usage.userAgents.size
+    expiresAt: usage.expiresAt,
+    uniqueIPs: usage.ipAddresses.length,
+    uniqueUserAgents: usage.userAgents.length,
+    uniqueDevices: usage.devices.length,
+    maxDevices: policy.maxDevices || null,
+    revoked: usage.revoked,
+    revokedAt: usage.revokedAt
   };
 }
 
-// Cleanup expired tokens (run periodically)
-function cleanupExpiredTokens() {
-  const now = Date.now() / 1000;
-  let cleaned = 0;
+// Get token statistics
+async function getTokenStats(qrId) {
+  const usage = await getToken(qrId);
+  if (!usage) return null;
   
-  for (const [qrId, usage] of tokenUsage.entries()) {
-    try {
-      // Try to decode token to check expiration
-      const fakeToken = jwt.sign({ qrId, type: 'qr_access' }, JWT_SECRET, { expiresIn: '1s' });
-      jwt.verify(fakeToken, JWT_SECRET);
-    } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        tokenUsage.delete(qrId);
-        cleaned++;
-      }
+  return formatTokenStats(usage);
+}
+
+// Cleanup expired tokens (run periodically)
+async function cleanupExpiredTokens() {
+  try {
+    const cleaned = await deleteExpiredTokens();
+    
+    if (cleaned > 0) {
+      console.log(`🧹 Cleaned up ${cleaned} expired QR tokens`);
     }
-  }
-  
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned up ${cleaned} expired QR tokens`);
+  } catch (error) {
+    console.error('Error cleaning up expired tokens:', error);
   }
 }
 
@@ -232,7 +573,17 @@ module.exports = {
   verifyQRToken,
   generateSecureQRURL,
   authenticateQRToken,
+  sendQRAccessDenied,
   revokeQRToken,
+  revokeQRTokenById,
+  buildQRPolicy,
+  describeQRPolicy,
   getTokenStats,
-  cleanupExpiredTokens
+  formatTokenStats,
+  cleanupExpiredTokens,
+  generateQRSessionToken,
+  verifyQRSessionToken,
+  generateStaffToken,
+  verifyStaffToken,
+  authenticateStaff
 };
\ No newline at end of file
@@ -9,7 +9,135 @@ const axios = require('axios');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { initDatabase, db } = require('./database');
-const { generateSecureQRURL, authenticateQRToken, getTokenStats, revokeQRToken } = require('./security');
+const {
+  generateSecureQRURL,
+  authenticateQRToken,
+  verifyQRToken,
+  sendQRAccessDenied,
+  generateQRSessionToken,
+  verifyQRSessionToken,
+  getTokenStats,
+  revokeQRToken,
+  revokeQRTokenById,
+  formatTokenStats,
+  generateStaffToken
+} = require('./security');
+const {
+  STAFF_ROLES,
+  ALL_HOTELS,
+  initStaffStore,
+  listAccounts,
+  findAccountById,
+  findAccountByUsername,
+  updateAccount,
+  toPublicAccount,
+  authenticateAccount,
+  inviteAccount,
+  changePassword,
+  hasPermission,
+  requireStaff
+} = require('./staff');
+const { initTokenRegistry, getToken, listTokens, countLiveTokensByKid } = require('./token-registry');
+const { ENV_KID, initKeyring, rotateKeys, retireKey, listKeys } = require('./keyring');
+const archiver = require('archiver');
+const {
+  QR_FORMATS,
+  renderQRCode,
+  renderQRDataURL,
+  renderLabeledQR,
+  renderQRSheet,
+  checkBrandingScannable
+} = require('./qr-render');
+const {
+  initBrandingStore,
+  getBranding,
+  setLogo,
+  normalizePreset,
+  savePreset,
+  deletePreset,
+  brandingForPreset,
+  resolveBranding
+} = require('./qr-branding');
+const {
+  initShortLinks,
+  normalizeDestination,
+  getShortLink,
+  listShortLinks,
+  generateShortCode,
+  shortLinkURL,
+  createShortLink,
+  updateShortLinkDestination,
+  destinationURL,
+  describeShortLink
+} = require('./short-links');
+const {
+  SCAN_REPORTS,
+  initScanAnalytics,
+  listScanEvents,
+  localDateHour,
+  summarizeScans,
+  toCSV
+} = require('./scan-analytics');
+const {
+  ENGAGEMENT_EVENTS,
+  initEngagementStore,
+  normalizeEngagement,
+  recordEngagement,
+  listEngagementEvents,
+  rankPlaces
+} = require('./engagement');
+const {
+  initClientBackups,
+  validateClientId,
+  normalizeClientBackup,
+  saveClientSnapshot,
+  listClientSnapshots,
+  getClientSnapshot,
+  describeSnapshot,
+  summarizeClients
+} = require('./client-backups');
+const {
+  BACKUP_DIR,
+  backupFilePath,
+  initRecommendationStore,
+  newRecommendation,
+  listRecommendations,
+  getRecommendation,
+  listTrashedRecommendations,
+  getTrashedRecommendation,
+  createRecommendation,
+  updateRecommendation,
+  deleteRecommendation,
+  restoreRecommendation,
+  purgeRecommendation,
+  revertRecommendation,
+  replaceAllRecommendations,
+  syncRecommendations,
+  backupRecommendationsFile,
+  readRecommendationsFile
+} = require('./recommendations');
+const {
+  initRevisionStore,
+  describeRevision,
+  listRevisions,
+  getRevision,
+  latestSnapshot
+} = require('./recommendation-revisions');
+const { MAX_MEDIA_BYTES, VARIANTS, initMediaStore, describeMedia, saveMedia, readMedia } = require('./media');
+const { RATE_LIMIT_COOLDOWN: PHOTO_RATE_LIMIT_COOLDOWN, initPhotoCache, getPlacePhoto, photoCacheStatus } = require('./photo-cache');
+const { planImport, commitImport } = require('./recommendation-import');
+const { EXPORT_FORMATS } = require('./recommendation-export');
+const {
+  DEFAULT_HOTEL_KEY,
+  initHotelStore,
+  getHotel,
+  hotelExists,
+  listHotels,
+  createHotel,
+  updateHotel,
+  deleteHotel,
+  publicHotel
+} = require('./hotels');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -50,9 +178,12 @@ const limiter = rateLimit({
                          userAgent.toLowerCase().includes('monitor');
     
     // Skip rate limiting for photo endpoints to prevent gallery loading issues
-    const isPhotoRequest = req.path.includes('/api/place-photo/');
+    const isPhotoRequest = req.path.includes('/api/place-photo/') || req.path.startsWith('/media/');
+
+    // Engagement beacons have their own limiter so browsing doesn't use up the guest's budget
+    const isEngagementBeacon = req.path === '/api/engagement';
     
-    return isHealthCheck || isPhotoRequest;
+    return isHealthCheck || isPhotoRequest || isEngagementBeacon;
   }
 });
 app.use(limiter);
@@ -88,6 +219,24 @@ const apiLimiter = rateLimit({
   }
 });
 
+// Rate limiting for guest engagement beacons (one per place view/click)
+const engagementLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Strict rate limiting for staff login to slow down PIN guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { error: 'Too many login attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true
+});
+
 // Cache for API responses to reduce Google API calls
 const apiCache = new Map();
 const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes - longer cache to reduce API calls
@@ -122,12 +271,18 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware. Images are uploaded to /api/media as raw files, so JSON bodies
+// only need a large limit on the routes that carry whole data sets or a logo.
+const LARGE_JSON_ROUTES = [/^\/api\/save-client-data$/, /^\/api\/qr-branding\/[^/]+\/logo$/, /^\/api\/recommendations\/import$/];
+const jsonParser = express.json({ limit: '1mb' });
+const largeJsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => (LARGE_JSON_ROUTES.some(route => route.test(req.path)) ? largeJsonParser : jsonParser)(req, res, next));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Serve static files with cache control
+// index: false so "/" always goes through the QR token check below
 app.use(express.static(path.join(__dirname, 'public'), {
+  index: false,
   setHeaders: (res, path) => {
     if (path.endsWith('.js') || path.endsWith('.css')) {
       res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
@@ -141,23 +296,6 @@ const DEFAULT_SEARCH_RADIUS = parseInt(process.env.DEFAULT_SEARCH_RADIUS) || 200
 const MAX_SEARCH_RADIUS = parseInt(process.env.MAX_SEARCH_RADIUS) || 10000;
 const RESULTS_PER_CATEGORY = Math.min(parseInt(process.env.RESULTS_PER_CATEGORY) || 20, 20); // Google Places API (New) max limit is 20
 
-// Default Hotel Location - 118 Hang Bac, Hanoi Old Quarter
-const DEFAULT_HOTEL = {
-  name: "Old Quarter Hotel",
-  address: "118 Hang Bac, Hoan Kiem, Hanoi, Vietnam",
-  latitude: 21.034087,
-  longitude: 105.85114,
-  description: "Discover amazing places near our hotel in Hanoi's historic Old Quarter"
-};
-
-// Additional Hotel Locations (can be expanded)
-const HOTEL_LOCATIONS = {
-  'hanoi-old-quarter': DEFAULT_HOTEL,
-  // Add more hotels here:
-  // 'saigon-downtown': { name: "...", latitude: 10.7769, longitude: 106.7009, ... },
-  // 'da-nang-beach': { name: "...", latitude: 16.0544, longitude: 108.2022, ... }
-};
-
 // Security Configuration
 const ALLOWED_DOMAINS = [
   'localhost:3000',
@@ -167,8 +305,6 @@ const ALLOWED_DOMAINS = [
   process.env.CUSTOM_DOMAIN       // Your custom domain
 ].filter(Boolean);
 
-const QR_SECRET_KEY = process.env.QR_SECRET_KEY || 'your-secret-key-change-in-production';
-const crypto = require('crypto');
 
 // Place types for different categories - expanded for better coverage
 const PLACE_TYPES = {
@@ -178,188 +314,101 @@ const PLACE_TYPES = {
   culture: ['museum']
 };
 
-// Manual Recommendations Storage
-const RECOMMENDATIONS_FILE = path.join(__dirname, 'data', 'recommendations.json');
-let manualRecommendations = [];
-
 // Ensure data directory exists
 const DATA_DIR = path.join(__dirname, 'data');
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Load existing recommendations on startup
-function loadRecommendations() {
-  try {
-    // First try to load from file
-    if (fs.existsSync(RECOMMENDATIONS_FILE)) {
-      const data = fs.readFileSync(RECOMMENDATIONS_FILE, 'utf8');
-      manualRecommendations = JSON.parse(data);
-      console.log(`📋 Loaded ${manualRecommendations.length} manual recommendations from file`);
-    } 
-    // For Render, try to recover from memory backup if file doesn't exist
-    else if (process.env.NODE_ENV === 'production' && global.BACKUP_DATA) {
-      try {
-        manualRecommendations = JSON.parse(global.BACKUP_DATA);
-        console.log(`🔄 Recovered ${manualRecommendations.length} recommendations from memory backup`);
-        // Save recovered data back to file
-        saveRecommendations();
-      } catch (recoveryError) {
-        console.warn('⚠️ Failed to recover from memory backup:', recoveryError);
-        loadDefaultRecommendations();
-      }
-    } else {
-      loadDefaultRecommendations();
-    }
-  } catch (error) {
-    console.error('Error loading recommendations:', error);
-    
-    // Try to recover from memory backup as last resort
-    if (process.env.NODE_ENV === 'production' && global.BACKUP_DATA) {
-      try {
-        manualRecommendations = JSON.parse(global.BACKUP_DATA);
-        console.log(`🚀 Emergency recovery: Loaded ${manualRecommendations.length} recommendations from memory`);
-      } catch (emergencyError) {
-        console.error('❌ Emergency recovery failed:', emergencyError);
-        manualRecommendations = [];
-      }
-    } else {
-      manualRecommendations = [];
-    }
-  }
+// Hotel key a staff action applies to (used for per-hotel permission checks)
+function hotelKeyFromRequest(req) {
+  return (req.body && req.body.hotelId) || req.query.hotel || DEFAULT_HOTEL_KEY;
 }
 
-// Load default recommendations for demo
-function loadDefaultRecommendations() {
-  manualRecommendations = [
-        {
-          id: 'rec_001',
-          name: 'Hanoi Old Quarter Walking Tour',
-          address: '36 Streets, Hoan Kiem, Hanoi, Vietnam',
-          location: {
-            latitude: 21.033333,
-            longitude: 105.85
-          },
-          rating: 4.8,
-          userRatingCount: 127,
-          distance: 150,
-          description: 'Explore the historic heart of Hanoi with narrow streets, traditional shops, and colonial architecture.',
-          category: 'recommend',
-          photos: [],
-          websiteUri: '',
-          addedBy: 'hotel_management',
-          addedDate: new Date().toISOString(),
-          featured: true
-        },
-        {
-          id: 'rec_002', 
-          name: 'Hoan Kiem Lake & Ngoc Son Temple',
-          address: 'Hoan Kiem Lake, Hanoi, Vietnam',
-          location: {
-            latitude: 21.028511,
-            longitude: 105.852245
-          },
-          rating: 4.6,
-          userRatingCount: 89,
-          distance: 300,
-          description: 'Peaceful lake in the city center with a beautiful temple on a small island.',
-          category: 'recommend',
-          photos: [],
-          websiteUri: '',
-          addedBy: 'hotel_management',
-          addedDate: new Date().toISOString(),
-          featured: true
-        }
-  ];
-  saveRecommendations();
-  console.log(`📋 Created ${manualRecommendations.length} default recommendations`);
+// Hotel filter of a list route: ?hotel= when given, else null for every hotel the staff
+// member can see (the route filters records with hasPermission)
+function hotelFilterFromRequest(req) {
+  return req.query.hotel || null;
 }
 
-// Save recommendations to file with backup
-function saveRecommendations() {
-  try {
-    // Ensure data directory exists
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
+// Hotel key an issued QR token belongs to
+function tokenHotelKey(record) {
+  return (record.metadata && record.metadata.hotelId) || DEFAULT_HOTEL_KEY;
+}
 
-    // Create backup directory if it doesn't exist
-    const backupDir = path.join(__dirname, 'data', 'backups');
-    if (!fs.existsSync(backupDir)) {
-      fs.mkdirSync(backupDir, { recursive: true });
-    }
-    
-    // Create backup file with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = path.join(backupDir, `recommendations_backup_${timestamp}.json`);
-    
-    // If main file exists, create backup before saving
-    if (fs.existsSync(RECOMMENDATIONS_FILE)) {
-      fs.copyFileSync(RECOMMENDATIONS_FILE, backupFile);
-      console.log(`📋 Created backup: ${backupFile}`);
-    }
-    
-    // Save main file
-    const dataToSave = JSON.stringify(manualRecommendations, null, 2);
-    fs.writeFileSync(RECOMMENDATIONS_FILE, dataToSave);
-    console.log(`💾 Saved ${manualRecommendations.length} recommendations`);
-    
-    // For Render's ephemeral file system, also save to memory and try external persistence
-    if (process.env.NODE_ENV === 'production') {
-      try {
-        global.BACKUP_DATA = dataToSave;
-        console.log('💾 Saved backup data to memory for Render persistence');
-        
-        // Try to save to a persistent external service or logs
-        console.log('📊 PERSISTENT_BACKUP:', Buffer.from(dataToSave).toString('base64'));
-      } catch (memError) {
-        console.warn('⚠️ Failed to save to memory backup:', memError);
-      }
-    }
-    
-    // Keep only last 10 backups to prevent storage overflow
-    cleanupOldBackups(backupDir);
-    
-  } catch (error) {
-    console.error('Error saving recommendations:', error);
-    
-    // Try to save to memory as fallback for Render
-    try {
-      global.BACKUP_DATA = JSON.stringify(manualRecommendations);
-      console.log('💾 Fallback: Saved to memory backup for Render');
-    } catch (fallbackError) {
-      console.error('❌ Complete save failure:', fallbackError);
-    }
-  }
+// Hotel key of the QR token named in the route (for per-hotel permission checks)
+async function qrTokenHotelKey(req) {
+  const record = await getToken(req.params.qrId);
+  return record ? tokenHotelKey(record) : hotelKeyFromRequest(req);
 }
 
-// Clean up old backup files (keep only last 10)
-function cleanupOldBackups(backupDir) {
-  try {
-    const files = fs.readdirSync(backupDir)
-      .filter(file => file.startsWith('recommendations_backup_'))
-      .map(file => ({
-        name: file,
-        path: path.join(backupDir, file),
-        mtime: fs.statSync(path.join(backupDir, file)).mtime
-      }))
-      .sort((a, b) => b.mtime - a.mtime); // Sort by modification time, newest first
-    
-    // Keep only the 10 most recent backups
-    const filesToDelete = files.slice(10);
-    filesToDelete.forEach(file => {
-      fs.unlinkSync(file.path);
-      console.log(`🗑️ Deleted old backup: ${file.name}`);
-    });
-    
-  } catch (error) {
-    console.error('Error cleaning up backups:', error);
-  }
+// Validate a list of hotel keys for staff scopes
+function validateHotelScopes(hotels) {
+  if (!Array.isArray(hotels) || hotels.length === 0) return false;
+  return hotels.every(key => key === ALL_HOTELS || hotelExists(key));
 }
 
-// Generate unique ID for recommendations
-function generateRecommendationId() {
-  return `rec_${uuidv4()}`;
+// Hotel that owns a recommendation (entries from before per-hotel lists belong to the default hotel)
+function recommendationHotel(rec) {
+  return rec.hotelId || DEFAULT_HOTEL_KEY;
+}
+
+// Hotels a recommendation is shown at: its owner plus any sister hotels it's shared with
+function recommendationHotels(rec) {
+  return [recommendationHotel(rec), ...(rec.sharedWith || [])];
+}
+
+// Drop the cached nearby searches of these hotels (all hotels without a list), so guests
+// see added, edited, trashed and restored recommendations straight away
+function forgetNearbySearches(hotelKeys = null) {
+  Array.from(apiCache.keys())
+    .filter(key => key.startsWith('search|') && (!hotelKeys || hotelKeys.includes(key.split('|')[1])))
+    .forEach(key => apiCache.delete(key));
+}
+
+function recommendationsForHotel(hotelKey) {
+  return listRecommendations().filter(rec => recommendationHotels(rec).includes(hotelKey));
+}
+
+// Hotel key of the recommendation named in the route or body (for per-hotel permission
+// checks) - new recommendations belong to the requested hotel
+function recommendationHotelKey(req) {
+  const id = req.params.id || (req.body && req.body.id);
+  const rec = id ? getRecommendation(id) : null;
+  return rec ? recommendationHotel(rec) : hotelKeyFromRequest(req);
+}
+
+// Like recommendationHotelKey, but also finds trashed recommendations and (through their
+// history) purged ones
+async function revisionHotelKey(req) {
+  const rec = getRecommendation(req.params.id) || getTrashedRecommendation(req.params.id) || await latestSnapshot(req.params.id);
+  return rec ? recommendationHotel(rec) : hotelKeyFromRequest(req);
+}
+
+// Validate the sister hotels a recommendation is shared with - returns { sharedWith } or { error }.
+// Staff can only share into hotels they can edit recommendations for.
+function parseSharedWith(req, sharedWith, ownerKey) {
+  if (sharedWith === undefined || sharedWith === null) return { sharedWith: [] };
+  if (!Array.isArray(sharedWith)) return { error: 'sharedWith must be a list of hotel keys' };
+
+  const keys = [...new Set(sharedWith.map(key => String(key)))].filter(key => key !== ownerKey);
+  const unknown = keys.find(key => !hotelExists(key));
+  if (unknown) return { error: `Unknown hotel "${unknown}"` };
+
+  const forbidden = keys.find(key => !hasPermission(req.staff, 'recommendations:write', key));
+  if (forbidden) return { error: `You cannot share recommendations with "${forbidden}"`, status: 403 };
+
+  return { sharedWith: keys };
+}
+
+// Hotel a guest request is for: ?hotel= (or hotelId in the body), else the hotel of the
+// guest's QR session, else the default hotel
+async function guestHotelKey(req) {
+  const requested = (req.body && req.body.hotelId) || req.query.hotel;
+  if (requested) return requested;
+
+  const session = await verifyQRSessionToken(readCookie(req, QR_SESSION_COOKIE));
+  return (session && session.hotelId) || DEFAULT_HOTEL_KEY;
 }
 
 // Security Functions
@@ -402,33 +451,189 @@ function sanitizeInput(input, type = 'string') {
   }
 }
 
-function generateQRSignature(url) {
-  const timestamp = Date.now();
-  const data = `${url}:${timestamp}`;
-  const signature = crypto.createHmac('sha256', QR_SECRET_KEY).update(data).digest('hex');
-  return { signature, timestamp };
+// Expand a room list ("101-130, 201-230, Lobby" or an array) into unique room names
+const MAX_BATCH_ROOMS = 300;
+
+function parseRoomList(input) {
+  const entries = Array.isArray(input) ? input : String(input || '').split(/[,\n]/);
+  const rooms = [];
+
+  for (const raw of entries) {
+    const entry = sanitizeInput(String(raw), 'string');
+    if (!entry) continue;
+
+    const range = /^(\d+)\s*-\s*(\d+)$/.exec(entry);
+    if (!range) {
+      rooms.push(entry.substring(0, 50));
+      continue;
+    }
+
+    const start = parseInt(range[1]);
+    const end = parseInt(range[2]);
+    if (end < start || end - start + 1 > MAX_BATCH_ROOMS) {
+      return { error: `Invalid room range "${entry}"` };
+    }
+    for (let room = start; room <= end; room++) {
+      rooms.push(String(room).padStart(range[1].length, '0')); // Keep zero padding (e.g. 001-020)
+    }
+  }
+
+  const unique = [...new Set(rooms)];
+  if (unique.length === 0) return { error: 'At least one room is required' };
+  if (unique.length > MAX_BATCH_ROOMS) return { error: `A batch can have at most ${MAX_BATCH_ROOMS} rooms` };
+  return { rooms: unique };
+}
+
+// Printed label for a room ("101" -> "Room 101", public areas as entered)
+function roomLabel(room) {
+  return /^\d+$/.test(room) ? `Room ${room}` : room;
 }
 
-function verifyQRSignature(url, signature, timestamp) {
-  const now = Date.now();
-  const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-  
-  // Check if signature is not too old
-  if (now - timestamp > maxAge) {
-    console.warn('🚨 Security Alert: QR code signature expired');
-    return false;
+// Live codes of a batch, in natural room order
+async function batchTokens(batchId) {
+  const records = await listTokens();
+  return records
+    .filter(record => record.metadata && record.metadata.batchId === batchId && !record.revoked)
+    .sort((a, b) => String(a.metadata.room).localeCompare(String(b.metadata.room), undefined, { numeric: true }));
+}
+
+// Hotel key of the batch named in the route (for per-hotel permission checks)
+async function qrBatchHotelKey(req) {
+  const records = await batchTokens(req.params.batchId);
+  return records.length > 0 ? tokenHotelKey(records[0]) : hotelKeyFromRequest(req);
+}
+
+// Validate the short link destination in a request body for a hotel's code - returns
+// { destination } or { error }
+function parseShortLinkDestination(body, hotelKey) {
+  let destination;
+  try {
+    destination = normalizeDestination(body.destination);
+  } catch (error) {
+    return { error: error.message };
   }
-  
-  const expectedData = `${url}:${timestamp}`;
-  const expectedSignature = crypto.createHmac('sha256', QR_SECRET_KEY).update(expectedData).digest('hex');
-  
-  const isValid = crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expectedSignature, 'hex'));
-  
-  if (!isValid) {
-    console.warn('🚨 Security Alert: Invalid QR code signature');
+
+  if (destination.type === 'hotel' && !hotelExists(destination.value)) {
+    return { error: `Unknown hotel "${destination.value}"` };
   }
-  
-  return isValid;
+  if (destination.type === 'recommendation' && !recommendationsForHotel(hotelKey).some(rec => rec.id === destination.value)) {
+    return { error: `Recommendation "${destination.value}" not found for hotel "${hotelKey}"` };
+  }
+  return { destination };
+}
+
+// Hotel key of the short link named in the route (for per-hotel permission checks)
+async function shortLinkHotelKey(req) {
+  const link = await getShortLink(req.params.code);
+  return link ? link.hotelId : hotelKeyFromRequest(req);
+}
+
+const QR_SESSION_COOKIE = 'qr_session';
+
+// Read one cookie from the request (the app sets only a few, so no cookie parser)
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ANALYTICS_DAYS = 366;
+
+// Analytics date range from ?from=&to= (hotel-local YYYY-MM-DD, inclusive) - the last
+// 30 days by default. Returns { from, to } or { error }.
+function parseAnalyticsRange(query) {
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+  const to = query.to || localDateHour(Date.now()).date;
+  const from = query.from || (isDate(to) ? new Date(Date.parse(`${to}T00:00:00Z`) - 29 * DAY_MS).toISOString().substring(0, 10) : to);
+
+  if (!isDate(from) || !isDate(to)) return { error: 'from and to must be dates like 2025-01-31' };
+  if (from > to) return { error: 'from must not be after to' };
+  if (Date.parse(to) - Date.parse(from) >= MAX_ANALYTICS_DAYS * DAY_MS) {
+    return { error: `A report can cover at most ${MAX_ANALYTICS_DAYS} days` };
+  }
+  return { from, to };
+}
+
+// Analytics events (scans or engagement) in a hotel-local date range from the hotels the
+// staff member has `permission` for (?hotel= narrows it). timeField names the event's
+// timestamp.
+async function analyticsEventsForRequest(req, range, listEvents, timeField, permission) {
+  // Fetch a day either side, then filter on the hotel-local date
+  const events = await listEvents(
+    new Date(Date.parse(`${range.from}T00:00:00Z`) - DAY_MS),
+    new Date(Date.parse(`${range.to}T00:00:00Z`) + 2 * DAY_MS)
+  );
+
+  return events
+    .map(event => ({ ...event, hotelId: event.hotelId || DEFAULT_HOTEL_KEY }))
+    .filter(event => hasPermission(req.staff, permission, event.hotelId))
+    .filter(event => !req.query.hotel || event.hotelId === req.query.hotel)
+    .filter(event => {
+      const date = localDateHour(event[timeField]).date;
+      return date >= range.from && date <= range.to;
+    });
+}
+
+// Scan reports with the printed label of each code
+async function buildScanReports(events) {
+  const summary = summarizeScans(events);
+  const records = new Map((await listTokens()).map(record => [record.qrId, record]));
+
+  summary.codes = summary.codes.map(code => {
+    const metadata = (records.get(code.qrId) || {}).metadata || {};
+    return {
+      ...code,
+      label: [metadata.hotelName, code.room && roomLabel(code.room)].filter(Boolean).join(' - ') || 'Unlabeled',
+      shortCode: metadata.shortCode || null
+    };
+  });
+  return summary;
+}
+
+// Render a secure QR URL as a high-resolution PNG data URL
+// (with a branding preset the code is rendered branded and checked for scannability)
+function generateSecureQRImage(url, branding = null) {
+  if (branding) return renderQRDataURL(url, 'png', {}, branding);
+
+  return QRCode.toDataURL(url, {
+    errorCorrectionLevel: 'H', // High error correction for better reliability
+    type: 'image/png',
+    quality: 0.92,
+    margin: 1,
+    color: {
+      dark: '#000000',
+      light: '#FFFFFF'
+    },
+    width: 512 // High resolution
+  });
+}
+
+// Admin view of an issued QR token: label, lifecycle and usage stats
+function describeQRToken(record, allRecords) {
+  const metadata = record.metadata || {};
+  const replacement = allRecords.find(other => other.metadata && other.metadata.replaces === record.qrId);
+
+  return {
+    qrId: record.qrId,
+    hotelId: tokenHotelKey(record),
+    hotelName: metadata.hotelName || '',
+    customMessage: metadata.customMessage || '',
+    generatedAt: metadata.generatedAt || record.issuedAt,
+    expiresAt: record.expiresAt,
+    revoked: record.revoked,
+    revokedAt: record.revokedAt,
+    downloadable: Boolean(record.url),
+    room: metadata.room || null,
+    batchId: metadata.batchId || null,
+    shortCode: metadata.shortCode || null,
+    replaces: metadata.replaces || null,
+    replacedBy: replacement ? replacement.qrId : null,
+    stats: formatTokenStats(record)
+  };
 }
 
 function logQRGeneration(ip, userAgent, baseUrl, label, coordinates, success, reason = '') {
@@ -588,47 +793,6 @@ function generateMapsUrl(destinationLat, destinationLng, placeName) {
 
 // Routes
 
-// Security middleware for QR verification
-function verifyQRAccess(req, res, next) {
-  const { sig, ts } = req.query;
-  
-  // If no signature, allow normal access (direct URL visit)
-  if (!sig || !ts) {
-    next();
-    return;
-  }
-  
-  try {
-    const timestamp = parseInt(ts);
-    const baseUrl = `${req.protocol}://${req.get('host')}${req.path}`;
-    
-    if (!verifyQRSignature(baseUrl, sig, timestamp)) {
-      console.warn(`🚨 Security Alert: Invalid QR access from ${req.ip}`);
-      return res.status(403).send(`
-        <html>
-          <head><title>Security Alert</title></head>
-          <body style="font-family: Arial; text-align: center; padding: 50px;">
-            <h1>🚨 Security Alert</h1>
-            <p>This QR code appears to be invalid or tampered with.</p>
-            <p>For your security, access has been blocked.</p>
-            <a href="/" style="color: #1976D2;">Go to main site</a>
-          </body>
-        </html>
-      `);
-    }
-    
-    // Add security info to request for frontend
-    req.qrVerified = true;
-    req.qrTimestamp = timestamp;
-    
-    console.log(`✅ Verified QR access from ${req.ip} at ${new Date(timestamp).toISOString()}`);
-    next();
-  } catch (error) {
-    console.error('QR verification error:', error);
-    next(); // Allow access on verification error
-  }
-}
-
 // PRIORITY HEALTH ENDPOINTS - Must be first to avoid middleware issues
 // Ultra-minimal health check for Render (no JSON, no processing)
 app.get('/health', (req, res) => {
@@ -652,6 +816,35 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Uploaded images. Ids are content hashes, so a URL always returns the same bytes and
+// browsers and CDNs can keep them for good. ?size=thumb for the thumbnail.
+app.get('/media/:id', async (req, res) => {
+  try {
+    const variant = req.query.size || 'web';
+    if (!VARIANTS[variant]) {
+      return res.status(400).json({ error: `size must be one of: ${Object.keys(VARIANTS).join(', ')}` });
+    }
+
+    const etag = `"${req.params.id}-${variant}"`;
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const media = await readMedia(req.params.id, variant);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.setHeader('Content-Type', media.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('ETag', etag);
+    res.send(media.buffer);
+  } catch (error) {
+    console.error('Error serving media:', error);
+    res.status(500).json({ error: 'Failed to load media' });
+  }
+});
+
 // Health check with HTML page (no JavaScript execution)
 app.get('/health.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'health.html'));
@@ -667,48 +860,189 @@ app.get('/hotel-map', (req, res) => {
   res.redirect('/');
 });
 
-// QR Admin page - for generating secure QR codes (no authentication required for admin access)
+// QR Admin page - the page itself is public, its API calls require a staff login
 app.get('/qr-admin', (req, res) => {
   const htmlPath = path.join(__dirname, 'public', 'qr-admin.html');
   res.sendFile(htmlPath);
 });
 
-// Legacy mobile interface (if needed for specific use cases)
-app.get('/mobile', verifyQRAccess, (req, res) => {
-  // Check for hotel parameter
-  const hotelId = req.query.hotel || 'hanoi-old-quarter';
-  const hotel = HOTEL_LOCATIONS[hotelId] || DEFAULT_HOTEL;
-  
-  // Check for direct coordinates from QR
-  const lat = req.query.lat;
-  const lng = req.query.lng;
-  const label = req.query.label;
-  
-  let locationData = null;
-  
-  if (lat && lng) {
-    // Use coordinates from QR code
-    locationData = {
-      latitude: parseFloat(lat),
-      longitude: parseFloat(lng),
-      source: 'qr_coordinates',
-      label: label || 'QR Location'
-    };
-  } else {
-    // Use default hotel location
-    locationData = {
-      latitude: hotel.latitude,
-      longitude: hotel.longitude,
-      source: 'hotel_default',
-      label: hotel.name,
-      address: hotel.address,
-      description: hotel.description
-    };
+app.get('/qr-analytics', (req, res) => {
+  const htmlPath = path.join(__dirname, 'public', 'qr-analytics.html');
+  res.sendFile(htmlPath);
+});
+
+// Staff login - exchanges the admin password/PIN for a session token
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const account = await authenticateAccount(username, password);
+    if (!account) {
+      console.warn(`🚨 Security Alert: Failed staff login from ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid credentials', code: 'STAFF_LOGIN_FAILED' });
+    }
+
+    const { token, expiresAt } = generateStaffToken(account);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      staff: toPublicAccount(account)
+    });
+  } catch (error) {
+    console.error('❌ Staff login error:', error);
+    res.status(500).json({ error: 'Login failed' });
   }
-  
-  // Legacy interface no longer available - redirect to main interface
+});
+
+// Current staff session info
+app.get('/api/auth/me', requireStaff(), (req, res) => {
+  res.json({ success: true, staff: req.staff });
+});
+
+// Change own password (used after accepting an invite)
+app.post('/api/auth/change-password', requireStaff(), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || String(newPassword).length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters' });
+    }
+
+    const account = await authenticateAccount(req.staff.username, currentPassword);
+    if (!account) {
+      return res.status(401).json({ error: 'Current password is incorrect', code: 'STAFF_LOGIN_FAILED' });
+    }
+
+    await changePassword(account.id, newPassword);
+    console.log(`🔑 Password changed for ${account.username}`);
+
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('❌ Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Staff account management - owner only
+app.get('/api/staff', requireStaff('staff:manage'), async (req, res) => {
+  try {
+    const accounts = await listAccounts();
+
+    res.json({
+      success: true,
+      roles: STAFF_ROLES,
+      hotels: listHotels().map(hotel => hotel.key),
+      accounts: accounts.map(toPublicAccount)
+    });
+  } catch (error) {
+    console.error('Error listing staff accounts:', error);
+    res.status(500).json({ error: 'Failed to list staff accounts' });
+  }
+});
+
+app.post('/api/staff/invite', requireStaff('staff:manage'), async (req, res) => {
+  try {
+    const { username, role = 'viewer', hotels = [DEFAULT_HOTEL_KEY] } = req.body;
+    const cleanUsername = sanitizeInput(username, 'string');
+
+    if (!cleanUsername || !/^[a-zA-Z0-9._@-]{3,100}$/.test(cleanUsername)) {
+      return res.status(400).json({ error: 'Username must be 3-100 characters (letters, numbers, . _ @ -)' });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}` });
+    }
+
+    if (!validateHotelScopes(hotels)) {
+      return res.status(400).json({ error: 'Invalid hotels. Use hotel keys or "*" for all hotels' });
+    }
+
+    if (await findAccountByUsername(cleanUsername)) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const { account, temporaryPassword } = await inviteAccount({
+      username: cleanUsername,
+      role,
+      hotels,
+      invitedBy: req.staff.username
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff account invited. Share the temporary password securely - it is shown only once.',
+      account: toPublicAccount(account),
+      temporaryPassword
+    });
+  } catch (error) {
+    console.error('Error inviting staff account:', error);
+    res.status(500).json({ error: 'Failed to invite staff account' });
+  }
+});
+
+app.put('/api/staff/:id', requireStaff('staff:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, hotels, disabled } = req.body;
+
+    const account = await findAccountById(id);
+    if (!account) {
+      return res.status(404).json({ error: 'Staff account not found' });
+    }
+
+    // Prevent the owner from locking themselves out
+    if (id === req.staff.id && ((role && role !== 'owner') || disabled === true)) {
+      return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+    }
+
+    const updates = {};
+    if (role !== undefined) {
+      if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}` });
+      }
+      updates.role = role;
+    }
+    if (hotels !== undefined) {
+      if (!validateHotelScopes(hotels)) {
+        return res.status(400).json({ error: 'Invalid hotels. Use hotel keys or "*" for all hotels' });
+      }
+      updates.hotels = hotels;
+    }
+    if (disabled !== undefined) {
+      updates.disabled = Boolean(disabled);
+    }
+
+    const updated = await updateAccount(id, updates);
+    if (!updated) {
+      throw new Error('Failed to update staff account');
+    }
+
+    console.log(`👥 ${req.staff.username} updated staff account ${updated.username}:`, updates);
+
+    res.json({
+      success: true,
+      message: 'Staff account updated successfully',
+      account: toPublicAccount(updated)
+    });
+  } catch (error) {
+    console.error('Error updating staff account:', error);
+    res.status(500).json({ error: 'Failed to update staff account' });
+  }
+});
+
+// Legacy mobile interface (if needed for specific use cases)
+app.get('/mobile', (req, res) => {
+  // Legacy interface no longer available - redirect to main interface, keeping the
+  // query so qr_token and legacy sig/ts codes are verified there
   console.log(`Legacy mobile interface requested, redirecting to main interface`);
-  res.redirect('/');
+  const query = req.originalUrl.indexOf('?');
+  res.redirect(query === -1 ? '/' : `/${req.originalUrl.slice(query)}`);
 });
 
 // Main page with QR security verification - now serves hotel-map directly
@@ -724,56 +1058,138 @@ app.get('/', authenticateQRToken, (req, res) => {
   res.setHeader('X-Frame-Options', 'DENY');
   res.setHeader('X-Content-Type-Options', 'nosniff');
   res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+
+  // Anonymous guest session so engagement beacons can be attributed to this scan
+  const session = generateQRSessionToken(qrInfo);
+  res.cookie(QR_SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    expires: session.expiresAt
+  });
   
   // Serve the enhanced index interface with Gemini AI address extraction
   const htmlPath = path.join(__dirname, 'public', 'index.html');
   res.sendFile(htmlPath);
 });
 
-// Secure QR code generation endpoint - PROTECTED
-app.post('/api/generate-secure-qr', async (req, res) => {
-  const clientIp = req.ip || req.connection.remoteAddress;
-  const userAgent = req.get('User-Agent') || 'Unknown';
-  
+// Dynamic QR short link: resolve the code to its current destination. In-app
+// destinations redirect with the stored token so the main page verifies it and records
+// the scan; campaign URLs are external, so the token is verified and recorded here.
+app.get('/q/:code', async (req, res) => {
   try {
-    const { hotelName, customMessage } = req.body;
-    console.log('🔍 QR generation request:', { hotelName, customMessage });
-    
-    // Get base URL from request or environment
-    const baseUrl = process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
-    console.log('🔍 Base URL for QR:', baseUrl);
-    
-    // Generate secure QR with metadata
+    const link = await getShortLink(req.params.code);
+    if (!link) {
+      console.warn(`🚨 Unknown QR short code "${req.params.code}" from ${req.ip}`);
+      return sendQRAccessDenied(req, res, 'QR_SHORT_LINK_UNKNOWN', 'Unknown QR short code');
+    }
+
+    if (link.destination.type === 'campaign') {
+      const verification = await verifyQRToken(link.token, req);
+      if (!verification.valid) {
+        return sendQRAccessDenied(req, res, verification.code, verification.error);
+      }
+    }
+
+    console.log(`🔗 QR short link /q/${link.code} -> ${link.destination.type}:${link.destination.value}`);
+    res.redirect(destinationURL(link));
+  } catch (error) {
+    console.error('❌ Error resolving QR short link:', error);
+    res.status(500).json({ error: 'Failed to resolve QR code' });
+  }
+});
+
+// Secure QR code generation endpoint - PROTECTED (staff login required)
+app.post('/api/generate-secure-qr', requireStaff('qr:issue', hotelKeyFromRequest), async (req, res) => {
+  const clientIp = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent') || 'Unknown';
+  
+  try {
+    const { hotelName, customMessage, policy = {}, format = 'png', cardSize, brandingPreset } = req.body;
+    const hotelId = hotelKeyFromRequest(req);
+
+    if (!hotelExists(hotelId)) {
+      return res.status(400).json({ success: false, error: `Unknown hotel "${hotelId}"` });
+    }
+    if (!QR_FORMATS[format]) {
+      return res.status(400).json({ success: false, error: `Invalid format. Must be one of: ${Object.keys(QR_FORMATS).join(', ')}` });
+    }
+
+    // With a destination the code is a dynamic short link (/q/CODE) that can be re-targeted later
+    let destination = null;
+    if (req.body.destination) {
+      const parsed = parseShortLinkDestination(req.body, hotelId);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      destination = parsed.destination;
+    }
+
+    const branding = await resolveBranding(hotelId, brandingPreset);
+    if (brandingPreset && !branding) {
+      return res.status(400).json({ success: false, error: `Branding preset "${brandingPreset}" not found for this hotel` });
+    }
+    
+    // Get base URL from request or environment
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+    console.log('🔍 Base URL for QR:', baseUrl);
+    
+    // Generate secure QR with metadata
     console.log('🔍 Generating secure QR URL...');
-    const qrData = generateSecureQRURL(baseUrl, {
+    const shortCode = destination ? await generateShortCode() : null;
+    const qrData = await generateSecureQRURL(baseUrl, {
+      hotelId,
       hotelName: hotelName || 'Hotel Guest Access',
       customMessage: customMessage || 'Secure access to hotel recommendations',
+      branding: brandingPreset || undefined,
+      shortCode: shortCode || undefined,
       generatedBy: clientIp,
       userAgent: userAgent
-    });
+    }, policy, shortCode ? { url: shortLinkURL(baseUrl, shortCode) } : {});
     console.log('🔍 QR data generated:', { qrId: qrData.qrId, url: qrData.url.substring(0, 100) + '...' });
+
+    // Generate QR code image (PNG preview) and the file in the requested format; the short
+    // link is only stored once the code it belongs to has rendered
+    let qrCodeDataURL, fileDataURL;
+    let shortLink = null;
+    try {
+      qrCodeDataURL = await generateSecureQRImage(qrData.url, branding);
+      fileDataURL = await renderQRDataURL(qrData.url, format, {
+        hotelName: hotelName || 'Hotel Guest Access',
+        customMessage,
+        size: cardSize
+      }, branding);
+
+      if (shortCode) {
+        shortLink = await createShortLink({
+          code: shortCode,
+          qrId: qrData.qrId,
+          token: qrData.token,
+          hotelId,
+          destination,
+          createdBy: req.staff.username
+        });
+        console.log(`🔗 Created short link /q/${shortCode} -> ${destination.type}:${destination.value}`);
+      }
+    } catch (error) {
+      // Don't leave a registered code behind that was never handed out
+      await revokeQRTokenById(qrData.qrId);
+      throw error;
+    }
     
-    // Generate QR code image
-    const qrCodeDataURL = await QRCode.toDataURL(qrData.url, {
-      errorCorrectionLevel: 'H', // High error correction for better reliability
-      type: 'image/png',
-      quality: 0.92,
-      margin: 1,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      width: 512 // High resolution
-    });
-    
-    console.log(`🔐 Generated secure QR code: ${qrData.qrId} for ${clientIp}`);
+    console.log(`🔐 ${req.staff.username} generated QR code ${qrData.qrId} for ${hotelId}`);
     
     res.json({
       success: true,
       qrCode: qrCodeDataURL,
+      format,
+      file: fileDataURL,
+      downloadUrl: `/api/qr-tokens/${qrData.qrId}/download?format=${format}`,
       qrId: qrData.qrId,
       secureUrl: qrData.url,
+      shortLink: shortLink ? describeShortLink(shortLink, baseUrl) : null,
       expiresAt: qrData.expiresAt,
+      policy: qrData.policy,
       securityInfo: qrData.securityInfo,
       instructions: {
         usage: 'This QR code provides secure access to your hotel recommendations app',
@@ -784,6 +1200,13 @@ app.post('/api/generate-secure-qr', async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code === 'QR_POLICY_INVALID') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    if (error.code === 'QR_BRANDING_UNSCANNABLE') {
+      return res.status(422).json({ success: false, error: error.message, code: error.code });
+    }
+
     console.error('❌ Error generating secure QR:', error);
     console.error('Error stack:', error.stack);
     res.status(500).json({ 
@@ -795,8 +1218,865 @@ app.post('/api/generate-secure-qr', async (req, res) => {
   }
 });
 
+// Batch QR generation: one code per room, with the room embedded in its metadata
+app.post('/api/generate-qr-batch', requireStaff('qr:issue', hotelKeyFromRequest), async (req, res) => {
+  const clientIp = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent') || 'Unknown';
+
+  try {
+    const { hotelName, customMessage, rooms: roomInput, policy = {}, brandingPreset } = req.body;
+    const hotelId = hotelKeyFromRequest(req);
+    if (!hotelExists(hotelId)) {
+      return res.status(400).json({ success: false, error: `Unknown hotel "${hotelId}"` });
+    }
+
+    const { rooms, error } = parseRoomList(roomInput);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const branding = await resolveBranding(hotelId, brandingPreset);
+    if (brandingPreset && !branding) {
+      return res.status(400).json({ success: false, error: `Branding preset "${brandingPreset}" not found for this hotel` });
+    }
+
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+    const batchId = `batch_${uuidv4()}`;
+    const tokens = [];
+
+    try {
+      for (const room of rooms) {
+        const qrData = await generateSecureQRURL(baseUrl, {
+          hotelId,
+          hotelName: hotelName || 'Hotel Guest Access',
+          customMessage: customMessage || 'Secure access to hotel recommendations',
+          room,
+          batchId,
+          branding: brandingPreset || undefined,
+          generatedBy: clientIp,
+          userAgent
+        }, policy);
+
+        tokens.push({ room, label: roomLabel(room), qrId: qrData.qrId, secureUrl: qrData.url, expiresAt: qrData.expiresAt });
+      }
+    } catch (error) {
+      // A failed batch is never handed out - don't leave the rooms issued so far live
+      for (const token of tokens) {
+        if (!(await revokeQRTokenById(token.qrId))) {
+          console.error(`❌ Could not revoke ${token.qrId} (room ${token.room}) of failed batch ${batchId}`);
+        }
+      }
+      throw error;
+    }
+
+    console.log(`🏨 ${req.staff.username} generated ${tokens.length} room QR codes for ${hotelId} (${batchId})`);
+
+    res.status(201).json({
+      success: true,
+      batchId,
+      count: tokens.length,
+      tokens,
+      downloads: {
+        zip: `/api/qr-batches/${batchId}/download?format=zip`,
+        pdf: `/api/qr-batches/${batchId}/download?format=pdf`
+      }
+    });
+  } catch (error) {
+    if (error.code === 'QR_POLICY_INVALID') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+
+    console.error('❌ Error generating QR batch:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate QR batch' });
+  }
+});
+
+// Per-room codes and usage for a batch
+app.get('/api/qr-batches/:batchId', requireStaff('qr:read', qrBatchHotelKey), async (req, res) => {
+  try {
+    const records = await batchTokens(req.params.batchId);
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'QR batch not found' });
+    }
+
+    const tokens = records.map(record => describeQRToken(record, records));
+    res.json({ success: true, batchId: req.params.batchId, count: tokens.length, tokens });
+  } catch (error) {
+    console.error('Error loading QR batch:', error);
+    res.status(500).json({ error: 'Failed to load QR batch' });
+  }
+});
+
+// Download a batch as a ZIP of labeled PNGs (format=zip) or a multi-page A4 print sheet (format=pdf)
+app.get('/api/qr-batches/:batchId/download', requireStaff('qr:read', qrBatchHotelKey), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const format = req.query.format || 'zip';
+
+    if (!['zip', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be one of: zip, pdf' });
+    }
+
+    const records = (await batchTokens(batchId)).filter(record => record.url);
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'QR batch not found' });
+    }
+
+    const metadata = records[0].metadata;
+    const branding = await resolveBranding(tokenHotelKey(records[0]), metadata.branding);
+    const slug = (metadata.hotelName || 'hotel').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    if (format === 'pdf') {
+      const pdf = await renderQRSheet(
+        records.map(record => ({ url: record.url, label: roomLabel(record.metadata.room) })),
+        { hotelName: metadata.hotelName, branding }
+      );
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="qr-${slug}-rooms.pdf"`);
+      return res.send(pdf);
+    }
+
+    // Stream the ZIP as each room is rendered so large batches start downloading at once
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="qr-${slug}-rooms.zip"`);
+
+    const archive = archiver('zip');
+    archive.on('error', error => {
+      console.error('Error writing QR batch ZIP:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    const names = new Set();
+    for (const record of records) {
+      const label = roomLabel(record.metadata.room);
+      const file = await renderLabeledQR(record.url, label, 'png', branding);
+      let name = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || record.qrId;
+      if (names.has(name)) name = `${name}-${record.qrId.substring(0, 8)}`;
+      names.add(name);
+      archive.append(file.buffer, { name: `${name}.png` });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error rendering QR batch download:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Failed to render QR batch' });
+  }
+});
+
+// QR token management - list every issued code with its label and usage
+app.get('/api/qr-tokens', requireStaff('qr:read', hotelFilterFromRequest), async (req, res) => {
+  try {
+    const { hotel, batch } = req.query;
+    const records = await listTokens();
+
+    const tokens = records
+      .filter(record => hasPermission(req.staff, 'qr:read', tokenHotelKey(record)))
+      .filter(record => !hotel || tokenHotelKey(record) === hotel)
+      .filter(record => !batch || (record.metadata && record.metadata.batchId === batch))
+      .map(record => describeQRToken(record, records));
+
+    res.json({ success: true, count: tokens.length, tokens });
+  } catch (error) {
+    console.error('Error listing QR tokens:', error);
+    res.status(500).json({ error: 'Failed to list QR tokens' });
+  }
+});
+
+// Inspect a single issued QR code
+app.get('/api/qr-tokens/:qrId', requireStaff('qr:read', qrTokenHotelKey), async (req, res) => {
+  try {
+    const record = await getToken(req.params.qrId);
+    if (!record) {
+      return res.status(404).json({ error: 'QR token not found' });
+    }
+
+    res.json({
+      success: true,
+      token: describeQRToken(record, await listTokens()),
+      ipAddresses: record.ipAddresses,
+      userAgents: record.userAgents
+    });
+  } catch (error) {
+    console.error('Error getting QR token:', error);
+    res.status(500).json({ error: 'Failed to get QR token' });
+  }
+});
+
+// Download an issued QR code as a file: png (high-DPI), svg or pdf (print card, ?size=A6|A4)
+app.get('/api/qr-tokens/:qrId/download', requireStaff('qr:read', qrTokenHotelKey), async (req, res) => {
+  try {
+    const { qrId } = req.params;
+    const format = req.query.format || 'png';
+
+    if (!QR_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${Object.keys(QR_FORMATS).join(', ')}` });
+    }
+
+    const record = await getToken(qrId);
+    if (!record) {
+      return res.status(404).json({ error: 'QR token not found' });
+    }
+    if (record.revoked) {
+      return res.status(409).json({ error: 'QR code has been revoked - reissue it to get a new file' });
+    }
+    if (!record.url) {
+      return res.status(409).json({ error: 'This QR code was issued before downloads were available - reissue it to get a file' });
+    }
+
+    const metadata = record.metadata || {};
+    const branding = await resolveBranding(tokenHotelKey(record), metadata.branding);
+    const file = await renderQRCode(record.url, format, {
+      hotelName: metadata.hotelName,
+      customMessage: metadata.customMessage,
+      size: req.query.size
+    }, branding);
+
+    const slug = (metadata.hotelName || 'hotel').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="qr-${slug}-${qrId}.${file.extension}"`);
+    res.send(file.buffer);
+  } catch (error) {
+    console.error('Error rendering QR download:', error);
+    res.status(500).json({ error: 'Failed to render QR code file' });
+  }
+});
+
+// Revoke an issued QR code by qrId
+app.post('/api/qr-tokens/:qrId/revoke', requireStaff('qr:issue', qrTokenHotelKey), async (req, res) => {
+  try {
+    const { qrId } = req.params;
+
+    const record = await getToken(qrId);
+    if (!record) {
+      return res.status(404).json({ error: 'QR token not found' });
+    }
+
+    const revoked = await revokeQRTokenById(qrId);
+    if (!revoked) {
+      throw new Error('Failed to revoke token');
+    }
+
+    console.log(`🚫 ${req.staff.username} revoked QR code ${qrId} (${record.metadata.hotelName || 'unlabeled'})`);
+
+    res.json({
+      success: true,
+      message: 'QR code revoked. Scans of this code are now rejected.',
+      token: describeQRToken(revoked, [])
+    });
+  } catch (error) {
+    console.error('Error revoking QR token:', error);
+    res.status(500).json({ error: 'Failed to revoke QR token' });
+  }
+});
+
+// Reissue a QR code: revoke the old one and issue a replacement with the same label
+app.post('/api/qr-tokens/:qrId/reissue', requireStaff('qr:issue', qrTokenHotelKey), async (req, res) => {
+  const clientIp = req.ip || req.connection.remoteAddress;
+
+  try {
+    const { qrId } = req.params;
+
+    const record = await getToken(qrId);
+    if (!record) {
+      return res.status(404).json({ error: 'QR token not found' });
+    }
+
+    const { generatedAt, generatedBy, userAgent, version, replaces, policy, shortCode, ...label } = record.metadata || {};
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+
+    // A dynamic code gets a new short code (the old printed one stops working) with the same destination
+    const oldLink = shortCode ? await getShortLink(shortCode) : null;
+    const newShortCode = oldLink ? await generateShortCode() : null;
+
+    const qrData = await generateSecureQRURL(baseUrl, {
+      ...label,
+      shortCode: newShortCode || undefined,
+      replaces: qrId,
+      generatedBy: clientIp,
+      userAgent: req.get('User-Agent') || 'Unknown'
+    }, policy || {}, newShortCode ? { url: shortLinkURL(baseUrl, newShortCode) } : {});
+
+    // Render the replacement before touching the old code, so a failure leaves the guest's
+    // printed code working; the new token is revoked as it was never handed out
+    let qrCodeDataURL;
+    let shortLink = null;
+    try {
+      const branding = await resolveBranding(tokenHotelKey(record), label.branding);
+      qrCodeDataURL = await generateSecureQRImage(qrData.url, branding);
+
+      if (newShortCode) {
+        shortLink = await createShortLink({
+          code: newShortCode,
+          qrId: qrData.qrId,
+          token: qrData.token,
+          hotelId: oldLink.hotelId,
+          destination: oldLink.destination,
+          createdBy: req.staff.username
+        });
+      }
+    } catch (error) {
+      await revokeQRTokenById(qrData.qrId);
+      throw error;
+    }
+
+    if (!record.revoked) {
+      await revokeQRTokenById(qrId);
+    }
+
+    console.log(`🔁 ${req.staff.username} reissued QR code ${qrId} as ${qrData.qrId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Replacement QR code issued. The old code has been revoked.',
+      replaced: qrId,
+      qrCode: qrCodeDataURL,
+      qrId: qrData.qrId,
+      secureUrl: qrData.url,
+      shortLink: shortLink ? describeShortLink(shortLink, baseUrl) : null,
+      expiresAt: qrData.expiresAt,
+      policy: qrData.policy,
+      securityInfo: qrData.securityInfo
+    });
+  } catch (error) {
+    if (error.code === 'QR_POLICY_INVALID') {
+      return res.status(400).json({ error: `Cannot reissue with the original policy: ${error.message}`, code: error.code });
+    }
+    if (error.code === 'QR_BRANDING_UNSCANNABLE') {
+      return res.status(422).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error reissuing QR token:', error);
+    res.status(500).json({ error: 'Failed to reissue QR token' });
+  }
+});
+
+// Dynamic QR short links - list with their current destinations
+app.get('/api/qr-short-links', requireStaff('qr:read', hotelFilterFromRequest), async (req, res) => {
+  try {
+    const { hotel } = req.query;
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+    const links = (await listShortLinks())
+      .filter(link => hasPermission(req.staff, 'qr:read', link.hotelId))
+      .filter(link => !hotel || link.hotelId === hotel)
+      .map(link => describeShortLink(link, baseUrl));
+
+    res.json({ success: true, count: links.length, links });
+  } catch (error) {
+    console.error('Error listing QR short links:', error);
+    res.status(500).json({ error: 'Failed to list QR short links' });
+  }
+});
+
+app.get('/api/qr-short-links/:code', requireStaff('qr:read', shortLinkHotelKey), async (req, res) => {
+  try {
+    const link = await getShortLink(req.params.code);
+    if (!link) {
+      return res.status(404).json({ error: 'Short link not found' });
+    }
+
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+    res.json({ success: true, link: describeShortLink(link, baseUrl) });
+  } catch (error) {
+    console.error('Error getting QR short link:', error);
+    res.status(500).json({ error: 'Failed to get QR short link' });
+  }
+});
+
+// Re-target a printed short link without reprinting it
+app.put('/api/qr-short-links/:code', requireStaff('qr:issue', shortLinkHotelKey), async (req, res) => {
+  try {
+    const parsed = parseShortLinkDestination(req.body, await shortLinkHotelKey(req));
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const link = await updateShortLinkDestination(req.params.code, parsed.destination, req.staff.username);
+    if (!link) {
+      return res.status(404).json({ error: 'Short link not found' });
+    }
+
+    console.log(`🔗 ${req.staff.username} re-targeted /q/${link.code} to ${link.destination.type}:${link.destination.value}`);
+
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `${req.protocol}://${req.get('host')}`;
+    res.json({ success: true, link: describeShortLink(link, baseUrl) });
+  } catch (error) {
+    console.error('Error updating QR short link:', error);
+    res.status(500).json({ error: 'Failed to update QR short link' });
+  }
+});
+
+// QR scan analytics - every report for a date range (?from=&to=&hotel=)
+app.get('/api/scan-analytics', requireStaff('qr:read', hotelFilterFromRequest), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const events = await analyticsEventsForRequest(req, range, listScanEvents, 'scannedAt', 'qr:read');
+    res.json({ success: true, from: range.from, to: range.to, hotel: req.query.hotel || null, ...(await buildScanReports(events)) });
+  } catch (error) {
+    console.error('Error building scan analytics:', error);
+    res.status(500).json({ error: 'Failed to build scan analytics' });
+  }
+});
+
+// CSV export of a report, or of the raw scan events (?report=events)
+app.get('/api/scan-analytics/export', requireStaff('qr:read', hotelFilterFromRequest), async (req, res) => {
+  try {
+    const report = req.query.report || 'events';
+    if (report !== 'events' && !SCAN_REPORTS.includes(report)) {
+      return res.status(400).json({ error: `Invalid report. Must be one of: events, ${SCAN_REPORTS.join(', ')}` });
+    }
+
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const events = await analyticsEventsForRequest(req, range, listScanEvents, 'scannedAt', 'qr:read');
+    const rows = report === 'events' ? events : (await buildScanReports(events))[report];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="qr-scans-${report}-${range.from}-to-${range.to}.csv"`);
+    res.send(toCSV(rows));
+  } catch (error) {
+    console.error('Error exporting scan analytics:', error);
+    res.status(500).json({ error: 'Failed to export scan analytics' });
+  }
+});
+
+// A single report: daily, codes, hotels, hours or devices
+app.get('/api/scan-analytics/:report', requireStaff('qr:read', hotelFilterFromRequest), async (req, res) => {
+  try {
+    const { report } = req.params;
+    if (!SCAN_REPORTS.includes(report)) {
+      return res.status(404).json({ error: `Unknown report. Must be one of: ${SCAN_REPORTS.join(', ')}` });
+    }
+
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const summary = await buildScanReports(await analyticsEventsForRequest(req, range, listScanEvents, 'scannedAt', 'qr:read'));
+    res.json({ success: true, report, from: range.from, to: range.to, timezone: summary.timezone, rows: summary[report] });
+  } catch (error) {
+    console.error('Error building scan report:', error);
+    res.status(500).json({ error: 'Failed to build scan report' });
+  }
+});
+
+// Guest engagement beacon: { event, placeId, category } from the main page. Events are
+// only stored for a verified QR session; anything else is accepted and dropped.
+app.post('/api/engagement', engagementLimiter, async (req, res) => {
+  try {
+    let engagement;
+    try {
+      engagement = normalizeEngagement(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const session = await verifyQRSessionToken(readCookie(req, QR_SESSION_COOKIE));
+    if (session) {
+      await recordEngagement(engagement, { ...session, hotelId: session.hotelId || DEFAULT_HOTEL_KEY });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error recording engagement event:', error);
+    res.status(500).json({ error: 'Failed to record engagement event' });
+  }
+});
+
+// Places ranked by guest engagement (?from=&to=&hotel=&category=)
+app.get('/api/engagement/places', requireStaff('recommendations:read', hotelFilterFromRequest), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const events = await analyticsEventsForRequest(req, range, listEngagementEvents, 'occurredAt', 'recommendations:read');
+    const places = rankPlaces(events)
+      .filter(place => !req.query.category || place.category === req.query.category)
+      .map(place => {
+        const recommendation = getRecommendation(place.placeId);
+        return { ...place, name: recommendation ? recommendation.name : null, curated: Boolean(recommendation) };
+      });
+
+    res.json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      events: ENGAGEMENT_EVENTS,
+      sessions: new Set(events.map(event => event.sessionId)).size,
+      count: places.length,
+      places
+    });
+  } catch (error) {
+    console.error('Error ranking places by engagement:', error);
+    res.status(500).json({ error: 'Failed to rank places by engagement' });
+  }
+});
+
+// Curated recommendations ranked by engagement - including ones guests never used
+app.get('/api/engagement/recommendations', requireStaff('recommendations:read', hotelFilterFromRequest), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const events = await analyticsEventsForRequest(req, range, listEngagementEvents, 'occurredAt', 'recommendations:read');
+    const ranked = new Map(rankPlaces(events).map(place => [place.placeId, place]));
+    const emptyCounts = Object.fromEntries(ENGAGEMENT_EVENTS.map(type => [type, 0]));
+
+    const recommendations = listRecommendations()
+      .filter(rec => recommendationHotels(rec).some(key => hasPermission(req.staff, 'recommendations:read', key)))
+      .filter(rec => !req.query.hotel || recommendationHotels(rec).includes(req.query.hotel))
+      .map(rec => {
+        const { placeId, category, ...engagement } = ranked.get(rec.id) || { ...emptyCounts, sessions: 0, score: 0 };
+        return { id: rec.id, name: rec.name, featured: Boolean(rec.featured), ...engagement };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    res.json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      count: recommendations.length,
+      unused: recommendations.filter(rec => rec.score === 0).map(rec => rec.id),
+      recommendations
+    });
+  } catch (error) {
+    console.error('Error ranking recommendations by engagement:', error);
+    res.status(500).json({ error: 'Failed to rank recommendations by engagement' });
+  }
+});
+
+// Hotels guests can land on (public details only)
+app.get('/api/hotels', (req, res) => {
+  res.json({ success: true, hotels: listHotels().map(publicHotel) });
+});
+
+// Hotel for the main page: ?hotel= if given, otherwise the hotel of the guest's QR
+// session, otherwise the default hotel
+app.get('/api/hotels/current', async (req, res) => {
+  try {
+    const hotelKey = await guestHotelKey(req);
+    const hotel = getHotel(hotelKey);
+    if (!hotel) {
+      return res.status(404).json({ error: `Hotel "${hotelKey}" not found` });
+    }
+    res.json({ success: true, hotel: publicHotel(hotel) });
+  } catch (error) {
+    console.error('Error resolving current hotel:', error);
+    res.status(500).json({ error: 'Failed to load hotel' });
+  }
+});
+
+app.get('/api/hotels/:key', (req, res) => {
+  const hotel = getHotel(req.params.key);
+  if (!hotel) {
+    return res.status(404).json({ error: `Hotel "${req.params.key}" not found` });
+  }
+  res.json({ success: true, hotel: publicHotel(hotel) });
+});
+
+// Hotel pin used by the main page, in its { lat, lng, name, address } shape
+app.get('/api/get-hotel-location', async (req, res) => {
+  try {
+    const hotelKey = await guestHotelKey(req);
+    const hotel = getHotel(hotelKey);
+    if (!hotel) {
+      return res.status(404).json({ error: `Hotel "${hotelKey}" not found` });
+    }
+
+    res.json({
+      success: true,
+      hotelId: hotel.key,
+      location: { lat: hotel.latitude, lng: hotel.longitude, name: hotel.name, address: hotel.address },
+      updatedAt: hotel.updatedAt
+    });
+  } catch (error) {
+    console.error('Error loading hotel location:', error);
+    res.status(500).json({ error: 'Failed to load hotel location' });
+  }
+});
+
+// Staff correction of the hotel pin from the main page ({ hotelId, lat, lng, name, address }).
+// Stored on the hotel, so every guest's distances use it.
+app.post('/api/save-hotel-location', requireStaff('hotels:write', hotelKeyFromRequest), async (req, res) => {
+  try {
+    const hotelKey = hotelKeyFromRequest(req);
+    const { lat, lng, name, address } = req.body;
+    if (lat === undefined || lng === undefined) {
+      return res.status(400).json({ error: 'Missing required fields: lat, lng' });
+    }
+
+    const updates = { latitude: lat, longitude: lng };
+    if (name) updates.name = sanitizeInput(name, 'string');
+    if (address) updates.address = sanitizeInput(address, 'string');
+
+    const hotel = await updateHotel(hotelKey, updates);
+    if (!hotel) {
+      return res.status(404).json({ error: `Hotel "${hotelKey}" not found` });
+    }
+
+    console.log(`📍 ${req.staff.username} moved the ${hotel.key} pin to ${hotel.latitude}, ${hotel.longitude}`);
+    res.json({
+      success: true,
+      hotelId: hotel.key,
+      location: { lat: hotel.latitude, lng: hotel.longitude, name: hotel.name, address: hotel.address },
+      updatedAt: hotel.updatedAt
+    });
+  } catch (error) {
+    if (error.code === 'HOTEL_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error saving hotel location:', error);
+    res.status(500).json({ error: 'Failed to save hotel location' });
+  }
+});
+
+// Add a hotel - owners with access to all hotels only
+app.post('/api/hotels', requireStaff('system:manage'), async (req, res) => {
+  try {
+    const hotel = await createHotel(req.body);
+
+    console.log(`🏨 ${req.staff.username} added hotel ${hotel.key}`);
+    res.status(201).json({ success: true, hotel });
+  } catch (error) {
+    if (error.code === 'HOTEL_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error creating hotel:', error);
+    res.status(500).json({ error: 'Failed to create hotel' });
+  }
+});
+
+// Update a hotel (the key can't change - printed codes refer to it)
+app.put('/api/hotels/:key', requireStaff('system:manage', req => req.params.key), async (req, res) => {
+  try {
+    const hotel = await updateHotel(req.params.key, req.body);
+    if (!hotel) {
+      return res.status(404).json({ error: `Hotel "${req.params.key}" not found` });
+    }
+
+    console.log(`🏨 ${req.staff.username} updated hotel ${hotel.key}`);
+    res.json({ success: true, hotel });
+  } catch (error) {
+    if (error.code === 'HOTEL_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error updating hotel:', error);
+    res.status(500).json({ error: 'Failed to update hotel' });
+  }
+});
+
+const HOTEL_REFERENCE_LABELS = {
+  recommendations: 'recommendations',
+  staff: 'staff accounts',
+  qrCodes: 'QR codes',
+  shortLinks: 'short links'
+};
+
+// How many records still point at a hotel (only kinds with any) - deleting it would
+// orphan them
+async function hotelReferences(key) {
+  const references = {
+    recommendations: [...listRecommendations(), ...listTrashedRecommendations()]
+      .filter(rec => recommendationHotels(rec).includes(key)).length,
+    staff: (await listAccounts()).filter(account => (account.hotels || []).includes(key)).length,
+    qrCodes: (await listTokens()).filter(record => !record.revoked && tokenHotelKey(record) === key).length,
+    shortLinks: (await listShortLinks())
+      .filter(link => link.hotelId === key || (link.destination.type === 'hotel' && link.destination.value === key)).length
+  };
+  return Object.fromEntries(Object.entries(references).filter(([, count]) => count > 0));
+}
+
+// Only hotels nothing refers to any more can be deleted
+app.delete('/api/hotels/:key', requireStaff('system:manage'), async (req, res) => {
+  try {
+    const references = req.params.key === DEFAULT_HOTEL_KEY || !getHotel(req.params.key) ? {} : await hotelReferences(req.params.key);
+    if (Object.keys(references).length > 0) {
+      const usedBy = Object.entries(references).map(([kind, count]) => `${count} ${HOTEL_REFERENCE_LABELS[kind]}`);
+      return res.status(409).json({
+        error: `Hotel "${req.params.key}" is still used by ${usedBy.join(', ')} - move or remove them first`,
+        code: 'HOTEL_IN_USE',
+        references
+      });
+    }
+
+    const deleted = await deleteHotel(req.params.key);
+    if (!deleted) {
+      return res.status(404).json({ error: `Hotel "${req.params.key}" not found` });
+    }
+
+    console.log(`🗑️ ${req.staff.username} deleted hotel ${req.params.key}`);
+    res.json({ success: true, message: `Hotel "${req.params.key}" deleted` });
+  } catch (error) {
+    if (error.code === 'HOTEL_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error deleting hotel:', error);
+    res.status(500).json({ error: 'Failed to delete hotel' });
+  }
+});
+
+// QR branding for a hotel: uploaded logo and presets
+app.get('/api/qr-branding/:hotelId', requireStaff('qr:read', req => req.params.hotelId), async (req, res) => {
+  try {
+    const branding = await getBranding(req.params.hotelId);
+    res.json({ success: true, ...branding });
+  } catch (error) {
+    console.error('Error loading QR branding:', error);
+    res.status(500).json({ error: 'Failed to load QR branding' });
+  }
+});
+
+// Upload (or remove, with logo: null) the hotel logo used by branded presets
+app.put('/api/qr-branding/:hotelId/logo', requireStaff('qr:issue', req => req.params.hotelId), async (req, res) => {
+  try {
+    const branding = await setLogo(req.params.hotelId, req.body.logo);
+
+    console.log(`🎨 ${req.staff.username} ${branding.logo ? 'uploaded' : 'removed'} the QR logo for ${req.params.hotelId}`);
+    res.json({ success: true, ...branding });
+  } catch (error) {
+    if (error.code === 'QR_BRANDING_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error saving QR logo:', error);
+    res.status(500).json({ error: 'Failed to save QR logo' });
+  }
+});
+
+// Create or update a branding preset - rejected if a code rendered with it can't be decoded
+app.put('/api/qr-branding/:hotelId/presets/:presetId', requireStaff('qr:issue', req => req.params.hotelId), async (req, res) => {
+  try {
+    const { hotelId, presetId } = req.params;
+    const preset = normalizePreset({ ...req.body, id: presetId });
+
+    const current = await getBranding(hotelId);
+    if (preset.useLogo && !current.logo) {
+      return res.status(400).json({ error: 'Upload a hotel logo before enabling it in a preset' });
+    }
+    await checkBrandingScannable(brandingForPreset(current, preset));
+
+    const branding = await savePreset(hotelId, preset);
+
+    console.log(`🎨 ${req.staff.username} saved QR branding preset ${presetId} for ${hotelId}`);
+    res.json({ success: true, preset, ...branding });
+  } catch (error) {
+    if (error.code === 'QR_BRANDING_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'QR_BRANDING_UNSCANNABLE') {
+      return res.status(422).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Error saving QR branding preset:', error);
+    res.status(500).json({ error: 'Failed to save QR branding preset' });
+  }
+});
+
+app.delete('/api/qr-branding/:hotelId/presets/:presetId', requireStaff('qr:issue', req => req.params.hotelId), async (req, res) => {
+  try {
+    const branding = await deletePreset(req.params.hotelId, req.params.presetId);
+    if (!branding) {
+      return res.status(404).json({ error: 'Branding preset not found' });
+    }
+
+    console.log(`🗑️ ${req.staff.username} deleted QR branding preset ${req.params.presetId} for ${req.params.hotelId}`);
+    res.json({ success: true, ...branding });
+  } catch (error) {
+    console.error('Error deleting QR branding preset:', error);
+    res.status(500).json({ error: 'Failed to delete QR branding preset' });
+  }
+});
+
+// JWT signing keys with the number of live QR codes each one still verifies
+app.get('/api/security/keys', requireStaff('system:manage'), async (req, res) => {
+  try {
+    const liveTokens = await countLiveTokensByKid(ENV_KID);
+    const keys = listKeys().map(key => ({ ...key, liveTokens: liveTokens[key.kid] || 0 }));
+
+    res.json({ keys });
+  } catch (error) {
+    console.error('Error listing signing keys:', error);
+    res.status(500).json({ error: 'Failed to list signing keys' });
+  }
+});
+
+// Rotate the signing key - existing QR codes and sessions keep verifying with the old key
+app.post('/api/security/keys/rotate', requireStaff('system:manage'), async (req, res) => {
+  try {
+    const kid = await rotateKeys();
+
+    console.log(`🔄 ${req.staff.username} rotated the JWT signing key`);
+    res.status(201).json({
+      success: true,
+      message: 'New signing key is active. Codes signed with previous keys still work until those keys are retired.',
+      kid
+    });
+  } catch (error) {
+    if (error.code === 'KEYRING_NO_SECRETS_FILE') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('Error rotating signing key:', error);
+    res.status(500).json({ error: 'Failed to rotate signing key' });
+  }
+});
+
+// Retire a signing key - every token signed with it stops verifying
+app.post('/api/security/keys/:kid/retire', requireStaff('system:manage'), async (req, res) => {
+  try {
+    const { kid } = req.params;
+
+    const key = listKeys().find(k => k.kid === kid);
+    if (!key) {
+      return res.status(404).json({ error: 'Signing key not found' });
+    }
+    if (key.status === 'active') {
+      return res.status(400).json({ error: 'Rotate to a new key before retiring the active one' });
+    }
+
+    // Printed codes signed with this key would stop working - require explicit confirmation
+    const liveTokens = (await countLiveTokensByKid(ENV_KID))[kid] || 0;
+    if (liveTokens > 0 && !req.body.force) {
+      return res.status(409).json({
+        error: `${liveTokens} live QR codes are still signed with this key. Reissue them or retry with force: true.`,
+        liveTokens
+      });
+    }
+
+    await retireKey(kid);
+
+    console.log(`🚫 ${req.staff.username} retired JWT signing key ${kid} (${liveTokens} live QR codes)`);
+    res.json({
+      success: true,
+      message: 'Signing key retired. Tokens signed with it are now rejected.',
+      key: listKeys().find(k => k.kid === kid),
+      liveTokens
+    });
+  } catch (error) {
+    console.error('Error retiring signing key:', error);
+    res.status(500).json({ error: 'Failed to retire signing key' });
+  }
+});
+
 // Legacy QR endpoint for compatibility
-app.post('/api/generate-qr', async (req, res) => {
+app.post('/api/generate-qr', requireStaff('qr:issue', hotelKeyFromRequest), async (req, res) => {
   const clientIp = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('User-Agent') || 'Unknown';
   
@@ -829,38 +2109,16 @@ app.post('/api/generate-qr', async (req, res) => {
       return res.status(400).json({ error: 'Invalid coordinates. Must be between -180 and 180' });
     }
 
-    // Create secure URL with validated parameters
-    let qrUrl = baseUrl;
-    const params = new URLSearchParams();
-    
-    if (cleanLat !== null && cleanLng !== null) {
-      params.append('lat', cleanLat.toString());
-      params.append('lng', cleanLng.toString());
-    }
-    
-    if (cleanLabel) {
-      params.append('label', cleanLabel);
-    }
-
-    // Add security signature
-    const { signature, timestamp } = generateQRSignature(qrUrl);
-    params.append('sig', signature);
-    params.append('ts', timestamp.toString());
-    
-    if (params.toString()) {
-      qrUrl += '?' + params.toString();
-    }
+    // Issue a registered qr_token - the location travels in its signed metadata
+    const qrData = await generateSecureQRURL(baseUrl, {
+      hotelId: hotelKeyFromRequest(req),
+      hotelName: cleanLabel || 'Hotel Guest Access',
+      location: cleanLat !== null && cleanLng !== null ? { latitude: cleanLat, longitude: cleanLng } : undefined,
+      generatedBy: clientIp,
+      userAgent
+    }, req.body.policy || {});
 
-    // Generate QR code with security features
-    const qrCodeDataUrl = await QRCode.toDataURL(qrUrl, {
-      width: 300,
-      margin: 3,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      errorCorrectionLevel: 'H' // High error correction for security
-    });
+    const qrCodeDataUrl = await generateSecureQRImage(qrData.url);
 
     // Log successful generation
     logQRGeneration(clientIp, userAgent, baseUrl, cleanLabel, { lat: cleanLat, lng: cleanLng }, true, 'Success');
@@ -868,15 +2126,22 @@ app.post('/api/generate-qr', async (req, res) => {
     res.json({
       success: true,
       qrCode: qrCodeDataUrl,
-      url: qrUrl,
+      url: qrData.url,
+      qrId: qrData.qrId,
+      expiresAt: qrData.expiresAt,
+      policy: qrData.policy,
       security: {
         signed: true,
-        timestamp,
         domain: new URL(baseUrl).host,
-        expiresIn: '24 hours'
-      }
+        expiresIn: qrData.securityInfo.validFor
+      },
+      securityInfo: qrData.securityInfo
     });
   } catch (error) {
+    if (error.code === 'QR_POLICY_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
     console.error('🚨 QR generation error:', error);
     logQRGeneration(clientIp, userAgent, req.body.baseUrl || '', req.body.label || '', null, false, error.message);
     res.status(500).json({ error: 'Failed to generate QR code' });
@@ -884,7 +2149,7 @@ app.post('/api/generate-qr', async (req, res) => {
 });
 
 // Hotel-specific QR code generation endpoint
-app.post('/api/generate-hotel-qr', async (req, res) => {
+app.post('/api/generate-hotel-qr', requireStaff('qr:issue', hotelKeyFromRequest), async (req, res) => {
   const clientIp = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('User-Agent') || 'Unknown';
   
@@ -902,9 +2167,12 @@ app.post('/api/generate-hotel-qr', async (req, res) => {
         address: customLocation.address || 'Custom Location'
       };
     } else {
-      // Use predefined hotel
-      const selectedHotelId = hotelId || 'hanoi-old-quarter';
-      hotel = HOTEL_LOCATIONS[selectedHotelId] || DEFAULT_HOTEL;
+      // Use a hotel from the hotel store
+      const selectedHotelId = hotelId || DEFAULT_HOTEL_KEY;
+      hotel = getHotel(selectedHotelId);
+      if (!hotel) {
+        return res.status(404).json({ error: `Hotel "${selectedHotelId}" not found` });
+      }
     }
     
     // Validate coordinates
@@ -925,36 +2193,16 @@ app.post('/api/generate-hotel-qr', async (req, res) => {
       });
     }
 
-    // Create secure URL with hotel location
-    let qrUrl = baseUrl;
-    const params = new URLSearchParams();
-    
-    // Add hotel coordinates
-    params.append('lat', hotel.latitude.toString());
-    params.append('lng', hotel.longitude.toString());
-    params.append('label', hotel.name);
-    
-    if (hotelId && hotelId !== 'hanoi-old-quarter') {
-      params.append('hotel', hotelId);
-    }
-
-    // Add security signature
-    const { signature, timestamp } = generateQRSignature(qrUrl);
-    params.append('sig', signature);
-    params.append('ts', timestamp.toString());
-    
-    qrUrl += '?' + params.toString();
+    // Issue a registered qr_token for the hotel location
+    const qrData = await generateSecureQRURL(baseUrl, {
+      hotelId: hotelKeyFromRequest(req),
+      hotelName: hotel.name,
+      location: { latitude: hotel.latitude, longitude: hotel.longitude },
+      generatedBy: clientIp,
+      userAgent
+    }, req.body.policy || {});
 
-    // Generate QR code
-    const qrCodeDataUrl = await QRCode.toDataURL(qrUrl, {
-      width: 300,
-      margin: 3,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      errorCorrectionLevel: 'H'
-    });
+    const qrCodeDataUrl = await generateSecureQRImage(qrData.url);
 
     // Log successful generation
     logQRGeneration(clientIp, userAgent, baseUrl, hotel.name, { lat: hotel.latitude, lng: hotel.longitude }, true, 'Hotel QR Success');
@@ -962,8 +2210,12 @@ app.post('/api/generate-hotel-qr', async (req, res) => {
     res.json({
       success: true,
       qrCode: qrCodeDataUrl,
-      url: qrUrl,
+      url: qrData.url,
+      qrId: qrData.qrId,
+      expiresAt: qrData.expiresAt,
+      policy: qrData.policy,
       hotel: {
+        key: hotel.key || null,
         name: hotel.name,
         address: hotel.address,
         latitude: hotel.latitude,
@@ -971,24 +2223,32 @@ app.post('/api/generate-hotel-qr', async (req, res) => {
       },
       security: {
         signed: true,
-        timestamp,
         domain: new URL(baseUrl).host,
-        expiresIn: '24 hours'
-      }
+        expiresIn: qrData.securityInfo.validFor
+      },
+      securityInfo: qrData.securityInfo
     });
   } catch (error) {
+    if (error.code === 'QR_POLICY_INVALID') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
     console.error('🚨 Hotel QR generation error:', error);
     logQRGeneration(clientIp, userAgent, req.body.baseUrl || '', req.body.hotelId || '', null, false, error.message);
     res.status(500).json({ error: 'Failed to generate hotel QR code' });
   }
 });
 
-// Get manual recommendations endpoint
-app.get('/api/recommendations', (req, res) => {
+// Get manual recommendations endpoint - the list for the guest's hotel (?hotel= or QR session)
+app.get('/api/recommendations', async (req, res) => {
   try {
-    const { latitude, longitude } = req.query;
+    const hotelKey = await guestHotelKey(req);
+    const hotel = getHotel(hotelKey);
     
-    let recommendations = [...manualRecommendations];
+    // Distances are from the given point, else from the stored hotel pin
+    const { latitude = hotel && hotel.latitude, longitude = hotel && hotel.longitude } = req.query;
+    
+    let recommendations = recommendationsForHotel(hotelKey);
     
     // If coordinates provided, calculate distances and sort by distance
     if (latitude && longitude) {
@@ -1006,10 +2266,11 @@ app.get('/api/recommendations', (req, res) => {
       }
     }
     
-    console.log(`📋 Returning ${recommendations.length} manual recommendations`);
+    console.log(`📋 Returning ${recommendations.length} manual recommendations for ${hotelKey}`);
     
     res.json({
       success: true,
+      hotelId: hotelKey,
       count: recommendations.length,
       recommendations
     });
@@ -1020,109 +2281,101 @@ app.get('/api/recommendations', (req, res) => {
 });
 
 // Add new recommendation endpoint
-app.post('/api/recommendations', async (req, res) => {
+app.post('/api/recommendations', requireStaff('recommendations:write', hotelKeyFromRequest), async (req, res) => {
   try {
-    const {
-      name,
-      address,
-      latitude,
-      longitude,
-      rating = 0,
-      userRatingCount = 0,
-      description = '',
-      websiteUri = '',
-      featured = false,
-      images = [],
-      parsedData = null
-    } = req.body;
-    
-    // Validation
-    if (!name || !address || !latitude || !longitude) {
-      return res.status(400).json({
-        error: 'Missing required fields: name, address, latitude, longitude'
-      });
+    const hotelId = hotelKeyFromRequest(req);
+    if (!hotelExists(hotelId)) {
+      return res.status(400).json({ error: `Unknown hotel "${hotelId}"` });
     }
-    
-    // Validate coordinates
-    const lat = parseFloat(latitude);
-    const lng = parseFloat(longitude);
-    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-      return res.status(400).json({
-        error: 'Invalid coordinates. Latitude must be -90 to 90, longitude must be -180 to 180'
-      });
+
+    const sharing = parseSharedWith(req, req.body.sharedWith, hotelId);
+    if (sharing.error) {
+      return res.status(sharing.status || 400).json({ error: sharing.error });
     }
     
-    // Create new recommendation
-    const newRecommendation = {
-      id: generateRecommendationId(),
-      name: sanitizeInput(name, 'string'),
-      address: sanitizeInput(address, 'string'),
-      location: {
-        latitude: lat,
-        longitude: lng
-      },
-      rating: Math.max(0, Math.min(5, parseFloat(rating) || 0)),
-      userRatingCount: Math.max(0, parseInt(userRatingCount) || 0),
-      distance: 0, // Will be calculated when requested with coordinates
-      description: sanitizeInput(description, 'string'),
-      category: 'recommend',
-      photos: [],
-      images: Array.isArray(images) ? images.map(img => ({
-        id: sanitizeInput(img.id, 'string'),
-        name: sanitizeInput(img.name, 'string'),
-        dataUrl: img.dataUrl // Store base64 data URL for uploaded images
-      })) : [],
-      websiteUri: sanitizeInput(websiteUri, 'string'),
-      addedBy: 'manual_entry',
-      addedDate: new Date().toISOString(),
-      featured: Boolean(featured),
-      parsedData: parsedData ? {
-        prices: sanitizeInput(parsedData.prices || '', 'string'),
-        hours: sanitizeInput(parsedData.hours || '', 'string'),
-        foodItems: sanitizeInput(parsedData.foodItems || '', 'string'),
-        googleMapsUrl: sanitizeInput(parsedData.googleMapsUrl || '', 'string')
-      } : null
-    };
-    
-    // Add to recommendations (database or file)
-    if (useDatabase) {
-      const dbResult = await db.addRecommendation(newRecommendation);
-      if (dbResult) {
-        // Refresh in-memory cache from database
-        const dbRecommendations = await db.getAllRecommendations();
-        if (dbRecommendations) {
-          manualRecommendations = dbRecommendations;
-        }
-        console.log(`➕ Added new recommendation to database: ${newRecommendation.name}`);
-      } else {
-        throw new Error('Failed to save to database');
-      }
-    } else {
-      manualRecommendations.push(newRecommendation);
-      saveRecommendations();
-      console.log(`➕ Added new recommendation to file: ${newRecommendation.name}`);
-    }
+    const recommendation = await createRecommendation(newRecommendation(req.body, { hotelId, sharedWith: sharing.sharedWith }), req.staff);
+    forgetNearbySearches(recommendationHotels(recommendation));
+    console.log(`➕ Added new recommendation: ${recommendation.name}`);
     
     res.status(201).json({
       success: true,
       message: 'Recommendation added successfully',
-      recommendation: newRecommendation
+      recommendation
     });
   } catch (error) {
+    if (error.code === 'RECOMMENDATION_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error adding recommendation:', error);
     res.status(500).json({ error: 'Failed to add recommendation' });
   }
 });
 
-// Update recommendation endpoint
-app.put('/api/recommendations/:id', (req, res) => {
+// Upload an image for a recommendation: the raw file as the body with its image/* content
+// type, ?name= for the file name. Returns the media id to put in the recommendation's images.
+app.post('/api/media', requireStaff('recommendations:write', hotelKeyFromRequest),
+  express.raw({ type: 'image/*', limit: MAX_MEDIA_BYTES }), async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the image file as the request body with an image/* Content-Type' });
+      }
+
+      const media = await saveMedia(req.body, { name: req.query.name, staff: req.staff });
+      res.status(201).json({ success: true, media: describeMedia(media) });
+    } catch (error) {
+      if (error.code === 'MEDIA_INVALID') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.code === 'MEDIA_TOO_LARGE') {
+        return res.status(413).json({ error: error.message });
+      }
+      console.error('Error uploading media:', error);
+      res.status(500).json({ error: 'Failed to upload image' });
+    }
+  });
+
+// Bulk import recommendations from a CSV, GeoJSON or KML file. Dry run by default: the
+// report shows the column mapping and what would happen to every row; send it again with
+// dryRun: false (and any mapping corrections) to create the ready rows.
+app.post('/api/recommendations/import', requireStaff('recommendations:write', hotelKeyFromRequest), async (req, res) => {
+  try {
+    const { format, content, mapping, dryRun = true } = req.body;
+    const hotelId = hotelKeyFromRequest(req);
+    if (!hotelExists(hotelId)) {
+      return res.status(400).json({ error: `Unknown hotel "${hotelId}"` });
+    }
+
+    const sharing = parseSharedWith(req, req.body.sharedWith, hotelId);
+    if (sharing.error) {
+      return res.status(sharing.status || 400).json({ error: sharing.error });
+    }
+
+    const plan = await planImport(content, { format, mapping, hotelId, sharedWith: sharing.sharedWith });
+    if (dryRun !== false) {
+      return res.json({ success: true, dryRun: true, ...plan });
+    }
+
+    const result = await commitImport(plan, req.staff);
+    forgetNearbySearches([hotelId]);
+    res.status(result.created > 0 ? 201 : 200).json({ success: true, dryRun: false, ...result });
+  } catch (error) {
+    if (error.code === 'IMPORT_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error importing recommendations:', error);
+    res.status(500).json({ error: 'Failed to import recommendations' });
+  }
+});
+
+// Update recommendation endpoint (staff of the owning hotel only)
+app.put('/api/recommendations/:id', requireStaff('recommendations:write', recommendationHotelKey), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
     
     // Find recommendation
-    const recIndex = manualRecommendations.findIndex(rec => rec.id === id);
-    if (recIndex === -1) {
+    const existing = getRecommendation(id);
+    if (!existing) {
       return res.status(404).json({ error: 'Recommendation not found' });
     }
     
@@ -1139,7 +2392,7 @@ app.put('/api/recommendations/:id', (req, res) => {
           const coord = parseFloat(updateData[key]);
           if (!isNaN(coord) && coord >= -180 && coord <= 180) {
             if (key === 'latitude' && (coord < -90 || coord > 90)) return;
-            if (!updates.location) updates.location = { ...manualRecommendations[recIndex].location };
+            if (!updates.location) updates.location = { ...existing.location };
             updates.location[key] = coord;
           }
         } else if (key === 'rating') {
@@ -1154,60 +2407,47 @@ app.put('/api/recommendations/:id', (req, res) => {
       }
     });
     
-    // Apply updates
-    Object.assign(manualRecommendations[recIndex], updates);
-    manualRecommendations[recIndex].updatedDate = new Date().toISOString();
-    
-    saveRecommendations();
+    if (updateData.sharedWith !== undefined) {
+      const sharing = parseSharedWith(req, updateData.sharedWith, recommendationHotel(existing));
+      if (sharing.error) {
+        return res.status(sharing.status || 400).json({ error: sharing.error });
+      }
+      updates.sharedWith = sharing.sharedWith;
+    }
     
-    console.log(`✏️ Updated recommendation: ${manualRecommendations[recIndex].name}`);
+    const recommendation = await updateRecommendation(id, updates, req.staff);
+    forgetNearbySearches([...recommendationHotels(existing), ...recommendationHotels(recommendation)]);
+    console.log(`✏️ Updated recommendation: ${recommendation.name}`);
     
     res.json({
       success: true,
       message: 'Recommendation updated successfully',
-      recommendation: manualRecommendations[recIndex]
+      recommendation
     });
   } catch (error) {
+    if (error.code === 'RECOMMENDATION_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error updating recommendation:', error);
     res.status(500).json({ error: 'Failed to update recommendation' });
   }
 });
 
 // Delete recommendation endpoint
-app.delete('/api/recommendations/:id', async (req, res) => {
+app.delete('/api/recommendations/:id', requireStaff('recommendations:write', recommendationHotelKey), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Find recommendation first
-    const recIndex = manualRecommendations.findIndex(rec => rec.id === id);
-    if (recIndex === -1) {
+    const deletedRec = await deleteRecommendation(id, req.staff);
+    if (!deletedRec) {
       return res.status(404).json({ error: 'Recommendation not found' });
     }
-    
-    const deletedRec = manualRecommendations[recIndex];
-    
-    // Delete from database or file
-    if (useDatabase) {
-      const dbResult = await db.deleteRecommendation(id);
-      if (dbResult) {
-        // Refresh in-memory cache from database
-        const dbRecommendations = await db.getAllRecommendations();
-        if (dbRecommendations) {
-          manualRecommendations = dbRecommendations;
-        }
-        console.log(`🗑️ Deleted recommendation from database: ${deletedRec.name}`);
-      } else {
-        throw new Error('Failed to delete from database');
-      }
-    } else {
-      manualRecommendations.splice(recIndex, 1);
-      saveRecommendations();
-      console.log(`🗑️ Deleted recommendation from file: ${deletedRec.name}`);
-    }
+    forgetNearbySearches(recommendationHotels(deletedRec));
+    console.log(`🗑️ Moved recommendation to trash: ${deletedRec.name}`);
     
     res.json({
       success: true,
-      message: 'Recommendation deleted successfully',
+      message: 'Recommendation moved to trash',
       deletedRecommendation: deletedRec
     });
   } catch (error) {
@@ -1216,8 +2456,181 @@ app.delete('/api/recommendations/:id', async (req, res) => {
   }
 });
 
+// Download a hotel's recommendations for partners and tour guides:
+// ?format=geojson|kml|gpx|csv, optionally filtered by ?category= (comma-separated),
+// ?featured=true|false and ?radius= meters around ?latitude=&longitude= (default: the hotel pin)
+app.get('/api/recommendations/export', requireStaff('recommendations:read', hotelKeyFromRequest), (req, res) => {
+  try {
+    const { format = 'geojson', category, featured, radius } = req.query;
+    const exporter = EXPORT_FORMATS[String(format).toLowerCase()];
+    if (!exporter) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const hotelKey = hotelKeyFromRequest(req);
+    const hotel = getHotel(hotelKey);
+    if (!hotel) {
+      return res.status(400).json({ error: `Unknown hotel "${hotelKey}"` });
+    }
+
+    if (featured !== undefined && !['true', 'false'].includes(featured)) {
+      return res.status(400).json({ error: 'featured must be true or false' });
+    }
+
+    const centerLat = req.query.latitude !== undefined ? parseFloat(req.query.latitude) : hotel.latitude;
+    const centerLng = req.query.longitude !== undefined ? parseFloat(req.query.longitude) : hotel.longitude;
+    if (isNaN(centerLat) || centerLat < -90 || centerLat > 90 || isNaN(centerLng) || centerLng < -180 || centerLng > 180) {
+      return res.status(400).json({ error: 'Invalid coordinates. Latitude must be -90 to 90, longitude must be -180 to 180' });
+    }
+
+    const radiusMeters = radius !== undefined ? parseInt(radius) : null;
+    if (radius !== undefined && (isNaN(radiusMeters) || radiusMeters <= 0)) {
+      return res.status(400).json({ error: 'radius must be a positive number of meters' });
+    }
+
+    const categories = category ? String(category).split(',').map(value => value.trim()).filter(Boolean) : null;
+
+    const recommendations = recommendationsForHotel(hotelKey)
+      .filter(rec => !categories || categories.includes(rec.category))
+      .filter(rec => featured === undefined || Boolean(rec.featured) === (featured === 'true'))
+      .map(rec => ({
+        ...rec,
+        distance: Math.round(calculateDistance(centerLat, centerLng, rec.location.latitude, rec.location.longitude))
+      }))
+      .filter(rec => radiusMeters === null || rec.distance <= radiusMeters)
+      .sort((a, b) => a.distance - b.distance);
+
+    const filename = `${hotelKey}-recommendations.${exporter.extension}`;
+    console.log(`📤 Exporting ${recommendations.length} recommendations for ${hotelKey} as ${exporter.extension}`);
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(exporter.render(recommendations, hotel));
+  } catch (error) {
+    console.error('Error exporting recommendations:', error);
+    res.status(500).json({ error: 'Failed to export recommendations' });
+  }
+});
+
+// Trashed recommendations the staff member can see (?hotel= for one hotel), most recently
+// deleted first
+app.get('/api/recommendations/trash', requireStaff('recommendations:read', hotelFilterFromRequest), (req, res) => {
+  try {
+    const trashed = listTrashedRecommendations()
+      .filter(rec => recommendationHotels(rec).some(key => hasPermission(req.staff, 'recommendations:read', key)))
+      .filter(rec => !req.query.hotel || recommendationHotels(rec).includes(req.query.hotel));
+
+    res.json({ success: true, count: trashed.length, recommendations: trashed });
+  } catch (error) {
+    console.error('Error listing trashed recommendations:', error);
+    res.status(500).json({ error: 'Failed to list trashed recommendations' });
+  }
+});
+
+app.post('/api/recommendations/trash/:id/restore', requireStaff('recommendations:write', revisionHotelKey), async (req, res) => {
+  try {
+    const recommendation = await restoreRecommendation(req.params.id, req.staff);
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation is not in the trash' });
+    }
+    forgetNearbySearches(recommendationHotels(recommendation));
+    console.log(`♻️ Restored recommendation from trash: ${recommendation.name}`);
+
+    res.json({ success: true, message: 'Recommendation restored', recommendation });
+  } catch (error) {
+    console.error('Error restoring recommendation:', error);
+    res.status(500).json({ error: 'Failed to restore recommendation' });
+  }
+});
+
+// Delete a trashed recommendation for good instead of waiting for the automatic purge
+app.delete('/api/recommendations/trash/:id', requireStaff('recommendations:write', revisionHotelKey), async (req, res) => {
+  try {
+    const recommendation = await purgeRecommendation(req.params.id, req.staff);
+    if (!recommendation) {
+      return res.status(404).json({ error: 'Recommendation is not in the trash' });
+    }
+    console.log(`🗑️ Permanently deleted recommendation: ${recommendation.name}`);
+
+    res.json({ success: true, message: 'Recommendation permanently deleted', purgedRecommendation: recommendation });
+  } catch (error) {
+    console.error('Error purging recommendation:', error);
+    res.status(500).json({ error: 'Failed to permanently delete recommendation' });
+  }
+});
+
+// Edit history of a recommendation, newest first (snapshots via the single-revision endpoint)
+app.get('/api/recommendations/:id/revisions', requireStaff('recommendations:read', revisionHotelKey), async (req, res) => {
+  try {
+    const revisions = await listRevisions(req.params.id);
+    if (revisions.length === 0 && !getRecommendation(req.params.id)) {
+      return res.status(404).json({ error: 'Recommendation not found' });
+    }
+
+    res.json({
+      success: true,
+      recommendationId: req.params.id,
+      count: revisions.length,
+      revisions: revisions.map(describeRevision)
+    });
+  } catch (error) {
+    console.error('Error listing recommendation revisions:', error);
+    res.status(500).json({ error: 'Failed to list revisions' });
+  }
+});
+
+app.get('/api/recommendations/:id/revisions/:revision', requireStaff('recommendations:read', revisionHotelKey), async (req, res) => {
+  try {
+    const revision = await getRevision(req.params.id, parseInt(req.params.revision));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ success: true, revision });
+  } catch (error) {
+    console.error('Error loading recommendation revision:', error);
+    res.status(500).json({ error: 'Failed to load revision' });
+  }
+});
+
+// Put a recommendation back the way it was after a revision (recreating it if deleted).
+// The revert is itself a new revision, so it can be undone the same way.
+app.post('/api/recommendations/:id/revisions/:revision/revert', requireStaff('recommendations:write', revisionHotelKey), async (req, res) => {
+  try {
+    const revision = await getRevision(req.params.id, parseInt(req.params.revision));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // The old version may belong to or be shared with other hotels
+    if (revision.snapshot) {
+      const forbidden = recommendationHotels(revision.snapshot).find(key => !hasPermission(req.staff, 'recommendations:write', key));
+      if (forbidden) {
+        return res.status(403).json({ error: `You cannot edit recommendations for "${forbidden}"` });
+      }
+    }
+
+    const previous = getRecommendation(req.params.id) || getTrashedRecommendation(req.params.id);
+    const recommendation = await revertRecommendation(req.params.id, revision, req.staff);
+    forgetNearbySearches([...(previous ? recommendationHotels(previous) : []), ...recommendationHotels(recommendation)]);
+    console.log(`⏪ ${req.staff.username} reverted ${recommendation.name} to revision ${revision.revision}`);
+
+    res.json({
+      success: true,
+      message: `Recommendation reverted to revision ${revision.revision}`,
+      recommendation
+    });
+  } catch (error) {
+    if (error.code === 'RECOMMENDATION_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error reverting recommendation:', error);
+    res.status(500).json({ error: 'Failed to revert recommendation' });
+  }
+});
+
 // Save/Update place endpoint for edited places
-app.post('/api/save-place', async (req, res) => {
+app.post('/api/save-place', requireStaff('recommendations:write', recommendationHotelKey), async (req, res) => {
   try {
     const {
       id,
@@ -1228,7 +2641,6 @@ app.post('/api/save-place', async (req, res) => {
       category = 'recommend',
       rating = 0,
       userRatingCount = 0,
-      distance = 0,
       websiteUri = '',
       description = '',
       photos = []
@@ -1253,7 +2665,13 @@ app.post('/api/save-place', async (req, res) => {
     }
     
     // Check if place already exists
-    let existingPlaceIndex = manualRecommendations.findIndex(rec => rec.id === id);
+    const existingPlace = getRecommendation(id);
+
+    // New places belong to the requested hotel; edits keep the owner and sharing
+    const hotelId = existingPlace ? recommendationHotel(existingPlace) : hotelKeyFromRequest(req);
+    if (!hotelExists(hotelId)) {
+      return res.status(400).json({ error: `Unknown hotel "${hotelId}"` });
+    }
     
     const placeData = {
       id: sanitizeInput(id, 'string'),
@@ -1265,87 +2683,35 @@ app.post('/api/save-place', async (req, res) => {
       },
       rating: Math.max(0, Math.min(5, parseFloat(rating) || 0)),
       userRatingCount: Math.max(0, parseInt(userRatingCount) || 0),
-      distance: Math.max(0, parseInt(distance) || 0),
       description: sanitizeInput(description, 'string'),
       category: sanitizeInput(category, 'string'),
       photos: Array.isArray(photos) ? photos : [],
       websiteUri: sanitizeInput(websiteUri, 'string'),
       openingHours: openingHours || null,
-      currentOpeningHours: openingHours || null,
-      regularOpeningHours: openingHours || null,
       addedBy: 'place_edit',
-      addedDate: existingPlaceIndex === -1 ? new Date().toISOString() : manualRecommendations[existingPlaceIndex].addedDate,
-      updatedDate: new Date().toISOString(),
-      featured: existingPlaceIndex === -1 ? false : manualRecommendations[existingPlaceIndex].featured
+      featured: existingPlace ? existingPlace.featured : false,
+      hotelId,
+      sharedWith: existingPlace ? existingPlace.sharedWith || [] : []
     };
     
-    if (existingPlaceIndex === -1) {
-      // Add new place
-      console.log(`➕ Adding new place: ${name}`);
-      
-      if (useDatabase) {
-        const dbResult = await db.addRecommendation(placeData);
-        if (dbResult) {
-          // Refresh in-memory cache from database
-          const dbRecommendations = await db.getAllRecommendations();
-          if (dbRecommendations) {
-            manualRecommendations = dbRecommendations;
-          }
-          console.log(`✅ Added new place to database: ${name}`);
-        } else {
-          throw new Error('Failed to save to database');
-        }
-      } else {
-        manualRecommendations.push(placeData);
-        saveRecommendations();
-        console.log(`✅ Added new place to file: ${name}`);
-      }
-    } else {
-      // Update existing place
-      console.log(`✏️ Updating existing place: ${name}`);
-      
-      if (useDatabase) {
-        console.log('💾 Attempting database update for place:', {
-          id,
-          name,
-          coordinates: placeData.location,
-          address: placeData.address
-        });
-        
-        const dbResult = await db.updateRecommendation(id, placeData);
-        if (dbResult) {
-          // Refresh in-memory cache from database
-          const dbRecommendations = await db.getAllRecommendations();
-          if (dbRecommendations) {
-            manualRecommendations = dbRecommendations;
-            console.log(`🔄 Refreshed ${dbRecommendations.length} recommendations from database`);
-          }
-          console.log(`✅ Updated place in database: ${name}`);
-          console.log('📍 Confirmed coordinates in database:', {
-            latitude: dbResult.latitude,
-            longitude: dbResult.longitude
-          });
-        } else {
-          console.error('❌ Database update returned null/failed');
-          console.error('🔍 Place ID attempted:', id);
-          console.error('📋 Data sent to database:', placeData);
-          throw new Error('Failed to update in database - check if place exists and database is connected');
-        }
-      } else {
-        manualRecommendations[existingPlaceIndex] = placeData;
-        saveRecommendations();
-        console.log(`✅ Updated place in file: ${name}`);
-      }
-    }
+    // Edits keep what the place editor doesn't send (images, parsed data, addedDate)
+    const place = existingPlace
+      ? await updateRecommendation(placeData.id, placeData, req.staff)
+      : await createRecommendation(placeData, req.staff);
+    forgetNearbySearches(recommendationHotels(place));
+    console.log(`✅ ${existingPlace ? 'Updated' : 'Added'} place: ${place.name}`);
     
     res.json({
       success: true,
-      message: existingPlaceIndex === -1 ? 'Place added successfully' : 'Place updated successfully',
-      place: placeData,
-      action: existingPlaceIndex === -1 ? 'created' : 'updated'
+      message: existingPlace ? 'Place updated successfully' : 'Place added successfully',
+      place,
+      action: existingPlace ? 'updated' : 'created'
     });
     
   } catch (error) {
+    if (error.code === 'RECOMMENDATION_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('❌ Error saving place:', error);
     res.status(500).json({ 
       error: 'Failed to save place',
@@ -1354,10 +2720,113 @@ app.post('/api/save-place', async (req, res) => {
   }
 });
 
+// Client backup snapshots a staff member can see: their own, or every one for staff managers
+function canAccessClientSnapshot(staff, snapshot) {
+  return snapshot.staffId === staff.id || hasPermission(staff, 'staff:manage');
+}
+
+async function accessibleClientSnapshots(req, clientId = null) {
+  return (await listClientSnapshots(clientId)).filter(snapshot => canAccessClientSnapshot(req.staff, snapshot));
+}
+
+function sendClientBackupError(res, error, fallback) {
+  if (error.code === 'CLIENT_BACKUP_INVALID') {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error.code === 'CLIENT_BACKUP_TOO_LARGE') {
+    return res.status(413).json({ error: error.message, code: error.code });
+  }
+
+  console.error(`Error trying to ${fallback}:`, error);
+  res.status(500).json({ error: `Failed to ${fallback}` });
+}
+
+// Cross-device sync from the main page: { clientId, data, timestamp } where data is a
+// createOptimizedBackup / createFullBackup snapshot
+app.post('/api/save-client-data', requireStaff(), async (req, res) => {
+  try {
+    const snapshot = await saveClientSnapshot(normalizeClientBackup(req.body), req.staff);
+
+    console.log(`☁️ ${req.staff.username} saved a ${(snapshot.sizeBytes / 1024).toFixed(1)}KB backup for ${snapshot.clientId}`);
+    res.status(201).json({ success: true, snapshot: describeSnapshot(snapshot) });
+  } catch (error) {
+    sendClientBackupError(res, error, 'save client backup');
+  }
+});
+
+// Newest snapshot of a client, in the { clientId, timestamp, data } shape the page restores
+app.get('/api/get-client-data/:clientId', requireStaff(), async (req, res) => {
+  try {
+    const clientId = validateClientId(req.params.clientId);
+    const [latest] = await accessibleClientSnapshots(req, clientId);
+    if (!latest) {
+      return res.status(404).json({ error: 'No backups for this client' });
+    }
+
+    const snapshot = await getClientSnapshot(clientId, latest.id);
+    res.json({ success: true, clientId, snapshotId: snapshot.id, timestamp: snapshot.backupTimestamp, data: snapshot.data });
+  } catch (error) {
+    sendClientBackupError(res, error, 'load client backup');
+  }
+});
+
+// Devices with backups, newest snapshot of each
+app.get('/api/client-data', requireStaff(), async (req, res) => {
+  try {
+    const clients = summarizeClients(await accessibleClientSnapshots(req));
+    res.json({ success: true, count: clients.length, clients });
+  } catch (error) {
+    sendClientBackupError(res, error, 'list client backups');
+  }
+});
+
+app.get('/api/client-data/:clientId/snapshots', requireStaff(), async (req, res) => {
+  try {
+    const clientId = validateClientId(req.params.clientId);
+    const snapshots = await accessibleClientSnapshots(req, clientId);
+    res.json({ success: true, clientId, count: snapshots.length, snapshots });
+  } catch (error) {
+    sendClientBackupError(res, error, 'list client backups');
+  }
+});
+
+app.get('/api/client-data/:clientId/snapshots/:snapshotId', requireStaff(), async (req, res) => {
+  try {
+    const snapshot = await getClientSnapshot(validateClientId(req.params.clientId), req.params.snapshotId);
+    if (!snapshot || !canAccessClientSnapshot(req.staff, snapshot)) {
+      return res.status(404).json({ error: 'Backup snapshot not found' });
+    }
+
+    res.json({ success: true, snapshot });
+  } catch (error) {
+    sendClientBackupError(res, error, 'load client backup');
+  }
+});
+
+// Restore a snapshot onto a device ({ targetClientId }, default the same client): the data
+// is saved as that device's newest snapshot and returned for the page to apply
+app.post('/api/client-data/:clientId/snapshots/:snapshotId/restore', requireStaff(), async (req, res) => {
+  try {
+    const source = await getClientSnapshot(validateClientId(req.params.clientId), req.params.snapshotId);
+    if (!source || !canAccessClientSnapshot(req.staff, source)) {
+      return res.status(404).json({ error: 'Backup snapshot not found' });
+    }
+
+    const targetClientId = validateClientId(req.body.targetClientId || source.clientId);
+    const data = { ...source.data, clientId: targetClientId, timestamp: new Date().toISOString() };
+    const snapshot = await saveClientSnapshot(normalizeClientBackup({ clientId: targetClientId, data }), req.staff);
+
+    console.log(`🔄 ${req.staff.username} restored backup ${source.id} from ${source.clientId} onto ${targetClientId}`);
+    res.json({ success: true, restoredFrom: describeSnapshot(source), snapshot: describeSnapshot(snapshot), data });
+  } catch (error) {
+    sendClientBackupError(res, error, 'restore client backup');
+  }
+});
+
 // Backup management endpoints
-app.get('/api/backups', (req, res) => {
+app.get('/api/backups', requireStaff('backups:read'), (req, res) => {
   try {
-    const backupDir = path.join(__dirname, 'data', 'backups');
+    const backupDir = BACKUP_DIR;
     
     if (!fs.existsSync(backupDir)) {
       return res.json({ success: true, backups: [] });
@@ -1388,52 +2857,51 @@ app.get('/api/backups', (req, res) => {
   }
 });
 
-app.post('/api/backups/restore/:backupId', (req, res) => {
+app.post('/api/backups/restore/:backupId', requireStaff('backups:restore'), async (req, res) => {
   try {
     const { backupId } = req.params;
-    const backupDir = path.join(__dirname, 'data', 'backups');
-    const backupFile = path.join(backupDir, backupId);
+    const backupFile = backupFilePath(backupId);
+    if (!backupFile) {
+      return res.status(400).json({ error: 'Invalid backup id' });
+    }
     
     if (!fs.existsSync(backupFile)) {
       return res.status(404).json({ error: 'Backup file not found' });
     }
     
     // Create backup of current state before restoring
-    const currentBackupTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const currentBackupFile = path.join(backupDir, `recommendations_backup_pre_restore_${currentBackupTimestamp}.json`);
+    backupRecommendationsFile('recommendations_backup_pre_restore_');
     
-    if (fs.existsSync(RECOMMENDATIONS_FILE)) {
-      fs.copyFileSync(RECOMMENDATIONS_FILE, currentBackupFile);
-      console.log(`📋 Created pre-restore backup: ${currentBackupFile}`);
-    }
-    
-    // Restore from backup
+    // Restore from backup into the active store (database or file)
     const backupData = JSON.parse(fs.readFileSync(backupFile, 'utf8'));
-    manualRecommendations = backupData;
+    const restored = await replaceAllRecommendations(backupData, req.staff);
+    forgetNearbySearches();
     
-    // Save restored data
-    fs.writeFileSync(RECOMMENDATIONS_FILE, JSON.stringify(manualRecommendations, null, 2));
-    
-    console.log(`🔄 Restored ${manualRecommendations.length} recommendations from backup: ${backupId}`);
+    console.log(`🔄 Restored ${restored} recommendations from backup: ${backupId}`);
     
     res.json({
       success: true,
       message: 'Backup restored successfully',
-      restored: manualRecommendations.length,
+      restored,
       backupId: backupId
     });
     
   } catch (error) {
+    if (error.code === 'RECOMMENDATION_INVALID') {
+      return res.status(400).json({ error: `Backup is not a valid recommendations list: ${error.message}` });
+    }
     console.error('Error restoring backup:', error);
     res.status(500).json({ error: 'Failed to restore backup' });
   }
 });
 
-app.get('/api/backups/:backupId', (req, res) => {
+app.get('/api/backups/:backupId', requireStaff('backups:read'), (req, res) => {
   try {
     const { backupId } = req.params;
-    const backupDir = path.join(__dirname, 'data', 'backups');
-    const backupFile = path.join(backupDir, backupId);
+    const backupFile = backupFilePath(backupId);
+    if (!backupFile) {
+      return res.status(400).json({ error: 'Invalid backup id' });
+    }
     
     if (!fs.existsSync(backupFile)) {
       return res.status(404).json({ error: 'Backup file not found' });
@@ -1699,8 +3167,9 @@ app.post('/api/search-nearby', async (req, res) => {
 
     console.log(`🚀 Starting search-nearby request:`, { latitude, longitude, radius });
     
-    // Check cache first to avoid unnecessary API calls
-    const cacheKey = `search-${latitude}-${longitude}-${radius}`;
+    // Check cache first to avoid unnecessary API calls (per hotel - results include its recommendations)
+    const hotelKey = await guestHotelKey(req);
+    const cacheKey = `search|${hotelKey}|${latitude}|${longitude}|${radius}`;
     const cachedResult = getCachedResponse(cacheKey);
     if (cachedResult) {
       console.log('📦 Returning cached results to prevent API calls');
@@ -1728,9 +3197,10 @@ app.post('/api/search-nearby', async (req, res) => {
     const results = {};
     let totalPlacesFound = 0;
 
-    // Add manual recommendations to results if they exist
-    if (manualRecommendations.length > 0) {
-      const recommendationsWithDistance = manualRecommendations.map(rec => ({
+    // Add the guest hotel's manual recommendations to results if they exist
+    const hotelRecommendations = recommendationsForHotel(hotelKey);
+    if (hotelRecommendations.length > 0) {
+      const recommendationsWithDistance = hotelRecommendations.map(rec => ({
         ...rec,
         distance: Math.round(calculateDistance(
           latitude, longitude,
@@ -2930,36 +4400,34 @@ app.post('/api/resolve-maps-url', async (req, res) => {
   }
 });
 
-// Get place photo
+// Get place photo (from the disk cache in photo-cache.js, fetched from Google on a miss)
 app.get('/api/place-photo/:photoName', async (req, res) => {
   try {
-    const { photoName } = req.params;
     const { maxHeightPx = 400, maxWidthPx = 400 } = req.query;
-
-    if (!GOOGLE_MAPS_API_KEY) {
-      return res.status(500).json({ error: 'Google Maps API key not configured' });
+    const requestedSize = Math.max(parseInt(maxHeightPx) || 0, parseInt(maxWidthPx) || 0);
+    const photo = await getPlacePhoto(req.params.photoName, requestedSize);
+
+    // Stale copies get a short lifetime so browsers pick up the fresh photo soon
+    res.setHeader('Cache-Control', photo.cache === 'STALE' ? 'public, max-age=300' : 'public, max-age=86400');
+    res.setHeader('ETag', photo.etag);
+    res.setHeader('X-Photo-Cache', photo.cache);
+    if (req.headers['if-none-match'] === photo.etag) {
+      return res.status(304).end();
     }
 
-    console.log(`Fetching photo: ${photoName}`);
-    const photoUrl = `https://places.googleapis.com/v1/${photoName}/media?maxHeightPx=${maxHeightPx}&maxWidthPx=${maxWidthPx}&key=${GOOGLE_MAPS_API_KEY}`;
-    
-    try {
-      const photoResponse = await axios.get(photoUrl, {
-        responseType: 'stream',
-        timeout: 10000
-      });
-      
-      // Set proper headers
-      res.setHeader('Content-Type', photoResponse.headers['content-type'] || 'image/jpeg');
-      res.setHeader('Cache-Control', 'public, max-age=3600');
-      
-      // Pipe the image data
-      photoResponse.data.pipe(res);
-    } catch (photoError) {
-      console.error('Failed to fetch photo from Google:', photoError.message);
-      res.status(404).json({ error: 'Photo not found' });
-    }
+    res.setHeader('Content-Type', photo.contentType);
+    res.send(photo.buffer);
   } catch (error) {
+    if (error.code === 'PHOTO_INVALID') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'PHOTO_NOT_FOUND') {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    if (error.code === 'PHOTO_UNAVAILABLE') {
+      res.setHeader('Retry-After', Math.ceil(PHOTO_RATE_LIMIT_COOLDOWN / 1000));
+      return res.status(503).json({ error: error.message });
+    }
     console.error('Photo fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch photo' });
   }
@@ -2983,7 +4451,7 @@ app.get('/', (req, res, next) => {
 });
 
 // Data recovery endpoint for Render
-app.get('/api/recover-data', async (req, res) => {
+app.get('/api/recover-data', requireStaff('system:manage'), async (req, res) => {
   try {
     let recoveredData = null;
     let recoveryMethod = 'none';
@@ -3012,31 +4480,30 @@ app.get('/api/recover-data', async (req, res) => {
     }
     
     // Try to recover from file
-    if (!recoveredData && fs.existsSync(RECOMMENDATIONS_FILE)) {
+    if (!recoveredData) {
       try {
-        const data = fs.readFileSync(RECOMMENDATIONS_FILE, 'utf8');
-        recoveredData = JSON.parse(data);
-        recoveryMethod = 'file';
+        recoveredData = readRecommendationsFile();
+        if (recoveredData) recoveryMethod = 'file';
       } catch (error) {
         console.warn('Failed to recover from file:', error);
       }
     }
     
     if (recoveredData) {
-      manualRecommendations = recoveredData;
-      saveRecommendations();
+      await replaceAllRecommendations(recoveredData, req.staff);
+      forgetNearbySearches();
       
       res.json({
         success: true,
         recovered: recoveredData.length,
         method: recoveryMethod,
-        data: recoveredData
+        data: listRecommendations()
       });
     } else {
       res.json({
         success: false,
         message: 'No recovery data found',
-        currentCount: manualRecommendations.length
+        currentCount: listRecommendations().length
       });
     }
   } catch (error) {
@@ -3059,14 +4526,15 @@ app.get('/api/cache-status', (req, res) => {
       success: true,
       cacheSize: apiCache.size,
       cacheDuration: CACHE_DURATION,
-      entries: cacheEntries
+      entries: cacheEntries,
+      photoCache: photoCacheStatus()
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get cache status' });
   }
 });
 
-app.post('/api/clear-cache', (req, res) => {
+app.post('/api/clear-cache', requireStaff('system:manage'), (req, res) => {
   try {
     const sizeBefore = apiCache.size;
     apiCache.clear();
@@ -3082,7 +4550,7 @@ app.post('/api/clear-cache', (req, res) => {
 });
 
 // Rate limiter reset endpoint for testing/debugging
-app.post('/api/reset-rate-limit', (req, res) => {
+app.post('/api/reset-rate-limit', requireStaff('system:manage'), (req, res) => {
   try {
     // Note: express-rate-limit doesn't have a built-in reset, 
     // but we can provide info about current state
@@ -3098,23 +4566,16 @@ app.post('/api/reset-rate-limit', (req, res) => {
 });
 
 // Force data sync endpoint
-app.post('/api/sync-data', async (req, res) => {
+app.post('/api/sync-data', requireStaff('system:manage'), async (req, res) => {
   try {
-    if (useDatabase) {
-      // Sync current data to database
-      for (const rec of manualRecommendations) {
-        await db.addRecommendation(rec);
-      }
-      console.log(`🔄 Synced ${manualRecommendations.length} recommendations to database`);
-    }
-    
-    // Also save to file
-    saveRecommendations();
+    // Write the cached list back to the store (and its file copy) - existing rows are updated
+    const count = await syncRecommendations();
+    console.log(`🔄 Synced ${count} recommendations to ${useDatabase ? 'database' : 'file'}`);
     
     res.json({
       success: true,
       message: 'Data synced successfully',
-      count: manualRecommendations.length,
+      count,
       storage: useDatabase ? 'database + file' : 'file only'
     });
   } catch (error) {
@@ -3203,6 +4664,9 @@ app.get('/api/test-config', async (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
   console.error('Unhandled error:', error);
   res.status(500).json({
     error: 'Internal server error',
@@ -3222,27 +4686,20 @@ async function initializeApp() {
   try {
     // Try to connect to database first
     useDatabase = await initDatabase();
-    
-    if (useDatabase) {
-      console.log('🗄️ Using PostgreSQL database for storage');
-      // Load existing recommendations from database
-      const dbRecommendations = await db.getAllRecommendations();
-      if (dbRecommendations) {
-        manualRecommendations = dbRecommendations;
-        console.log(`📋 Loaded ${manualRecommendations.length} recommendations from database`);
-        
-        // Also sync to file storage as backup
-        try {
-          fs.writeFileSync(RECOMMENDATIONS_FILE, JSON.stringify(manualRecommendations, null, 2));
-          console.log('💾 Synced database data to file storage backup');
-        } catch (error) {
-          console.warn('⚠️ Failed to sync to file backup:', error);
-        }
-      }
-    } else {
-      console.log('📁 Using file storage as fallback');
-      loadRecommendations();
-    }
+    await initKeyring(useDatabase);
+    await initStaffStore(useDatabase);
+    initTokenRegistry(useDatabase);
+    initBrandingStore(useDatabase);
+    initShortLinks(useDatabase);
+    initScanAnalytics(useDatabase);
+    initEngagementStore(useDatabase);
+    await initHotelStore(useDatabase);
+    initClientBackups(useDatabase);
+    initRevisionStore(useDatabase);
+    initMediaStore(useDatabase);
+    initPhotoCache();
+    console.log(useDatabase ? '🗄️ Using PostgreSQL database for storage' : '📁 Using file storage as fallback');
+    await initRecommendationStore(useDatabase);
     
     // Start server after initialization
     console.log('🛠️ Starting server on port:', PORT);
@@ -3250,7 +4707,7 @@ async function initializeApp() {
       console.log(`🚀 Nearby Places QR Discovery Server running on port ${PORT}`);
       console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🗺️  Google Maps API: ${GOOGLE_MAPS_API_KEY ? 'Configured' : 'Missing'}`);
-      console.log(`⭐ Manual Recommendations: ${manualRecommendations.length} loaded`);
+      console.log(`⭐ Manual Recommendations: ${listRecommendations().length} loaded`);
       console.log(`🗄️ Storage: ${useDatabase ? 'PostgreSQL Database' : 'File System'}`);
       console.log(`🌐 Server accessible at http://0.0.0.0:${PORT}`);
       console.log(`✅ SERVER READY - Render can detect this port now`);
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { db } = require('./database');
+
+// Dynamic QR codes: the printed code is a short /q/CODE link backed by a registered
+// QR token, and its destination can be changed later without reprinting.
+const LINKS_FILE = path.join(__dirname, 'data', 'qr_short_links.json');
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const CODE_LENGTH = 6;
+const DESTINATION_TYPES = ['hotel', 'category', 'recommendation', 'campaign'];
+const CATEGORIES = ['recommend', 'restaurants', 'landmarks', 'coffee', 'culture'];
+
+let useDatabase = false;
+const fileLinks = new Map();
+
+function shortLinkError(message) {
+  const error = new Error(message);
+  error.code = 'QR_SHORT_LINK_INVALID';
+  return error;
+}
+
+function initShortLinks(databaseEnabled) {
+  useDatabase = databaseEnabled;
+  if (useDatabase) return;
+
+  try {
+    if (fs.existsSync(LINKS_FILE)) {
+      JSON.parse(fs.readFileSync(LINKS_FILE, 'utf8')).forEach(link => fileLinks.set(link.code, link));
+      console.log(`🔗 Loaded ${fileLinks.size} QR short links from file`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading QR short links:', error);
+  }
+}
+
+function saveFileLinks() {
+  fs.writeFileSync(LINKS_FILE, JSON.stringify(Array.from(fileLinks.values()), null, 2));
+}
+
+// Validate a destination: { type, value } where value is a hotel id, category,
+// recommendation id or an http(s) campaign URL
+function normalizeDestination(input = {}) {
+  const type = input.type;
+  const value = String(input.value || '').trim();
+
+  if (!DESTINATION_TYPES.includes(type)) {
+    throw shortLinkError(`Destination type must be one of: ${DESTINATION_TYPES.join(', ')}`);
+  }
+  if (!value) throw shortLinkError('Destination value is required');
+
+  if (type === 'category' && !CATEGORIES.includes(value)) {
+    throw shortLinkError(`Category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+  if (type === 'campaign') {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw shortLinkError('Campaign destination must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw shortLinkError('Campaign destination must be an http or https URL');
+    }
+    return { type, value: url.toString() };
+  }
+
+  return { type, value: value.substring(0, 100) };
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+async function getShortLink(code) {
+  const normalized = normalizeCode(code);
+  if (useDatabase) return db.getShortLink(normalized);
+  return fileLinks.get(normalized) || null;
+}
+
+async function listShortLinks() {
+  if (useDatabase) return (await db.getAllShortLinks()) || [];
+  return Array.from(fileLinks.values())
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Pick a random code that isn't taken yet
+async function generateShortCode() {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    if (!(await getShortLink(code))) return code;
+  }
+  throw new Error('Could not generate a unique short code');
+}
+
+// Scan URL printed in the QR code
+function shortLinkURL(baseUrl, code) {
+  return new URL(`/q/${code}`, baseUrl).toString();
+}
+
+async function saveShortLink(link) {
+  if (useDatabase) {
+    const saved = await db.saveShortLink(link);
+    if (!saved) throw new Error('Failed to save short link to database');
+    return saved;
+  }
+
+  fileLinks.set(link.code, link);
+  saveFileLinks();
+  return link;
+}
+
+async function createShortLink({ code, qrId, token, hotelId, destination, createdBy }) {
+  const now = new Date().toISOString();
+  return saveShortLink({
+    code,
+    qrId,
+    token,
+    hotelId,
+    destination,
+    createdBy,
+    createdAt: now,
+    updatedBy: createdBy,
+    updatedAt: now
+  });
+}
+
+// Re-target a printed code - returns null if the code doesn't exist
+async function updateShortLinkDestination(code, destination, updatedBy) {
+  const link = await getShortLink(code);
+  if (!link) return null;
+
+  return saveShortLink({ ...link, destination, updatedBy, updatedAt: new Date().toISOString() });
+}
+
+// Where a scan should land. In-app destinations go through the main page, which
+// verifies the token and records the scan; campaign URLs are external.
+function destinationURL(link) {
+  const { type, value } = link.destination;
+  if (type === 'campaign') return value;
+
+  const params = new URLSearchParams({ qr_token: link.token });
+  params.set('hotel', type === 'hotel' ? value : link.hotelId);
+  if (type === 'category') params.set('category', value);
+  if (type === 'recommendation') {
+    params.set('category', 'recommend');
+    params.set('place', value);
+  }
+  return `/?${params.toString()}`;
+}
+
+// Admin view of a link (the token itself stays server-side)
+function describeShortLink(link, baseUrl) {
+  return {
+    code: link.code,
+    url: shortLinkURL(baseUrl, link.code),
+    qrId: link.qrId,
+    hotelId: link.hotelId,
+    destination: link.destination,
+    createdBy: link.createdBy,
+    createdAt: link.createdAt,
+    updatedBy: link.updatedBy,
+    updatedAt: link.updatedAt
+  };
+}
+
+module.exports = {
+  DESTINATION_TYPES,
+  initShortLinks,
+  normalizeDestination,
+  getShortLink,
+  listShortLinks,
+  generateShortCode,
+  shortLinkURL,
+  createShortLink,
+  updateShortLinkDestination,
+  destinationURL,
+  describeShortLink
+};
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./database');
+const { authenticateStaff } = require('./security');
+
+// Staff accounts storage (file fallback when no database is configured)
+const STAFF_FILE = path.join(__dirname, 'data', 'staff_accounts.json');
+const BCRYPT_ROUNDS = 10;
+const ALL_HOTELS = '*';
+
+// Roles and what they are allowed to do
+const ROLE_PERMISSIONS = {
+  viewer: ['recommendations:read', 'backups:read', 'qr:read'],
+  editor: ['recommendations:read', 'recommendations:write', 'hotels:write', 'backups:read', 'backups:restore', 'qr:read'],
+  qr_issuer: ['recommendations:read', 'qr:read', 'qr:issue'],
+  owner: [
+    'recommendations:read', 'recommendations:write', 'hotels:write', 'backups:read', 'backups:restore',
+    'qr:read', 'qr:issue', 'staff:manage', 'system:manage'
+  ]
+};
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+let useDatabase = false;
+let fileAccounts = [];
+
+// Load staff accounts and bootstrap the owner account from the environment
+async function initStaffStore(databaseEnabled) {
+  useDatabase = databaseEnabled;
+
+  if (!useDatabase) {
+    try {
+      if (fs.existsSync(STAFF_FILE)) {
+        fileAccounts = JSON.parse(fs.readFileSync(STAFF_FILE, 'utf8'));
+        console.log(`👥 Loaded ${fileAccounts.length} staff accounts from file`);
+      }
+    } catch (error) {
+      console.error('❌ Error loading staff accounts:', error);
+      fileAccounts = [];
+    }
+  }
+
+  const accounts = await listAccounts();
+  if (accounts.length > 0) return;
+
+  // Seed the first owner from ADMIN_PASSWORD_HASH or ADMIN_PIN
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const passwordHash = process.env.ADMIN_PASSWORD_HASH ||
+    (process.env.ADMIN_PIN ? await bcrypt.hash(process.env.ADMIN_PIN, BCRYPT_ROUNDS) : null);
+
+  if (!passwordHash) {
+    console.warn('⚠️ No staff accounts and no ADMIN_PASSWORD_HASH or ADMIN_PIN configured - staff login is disabled');
+    return;
+  }
+
+  await saveNewAccount({
+    id: `staff_${uuidv4()}`,
+    username,
+    passwordHash,
+    role: 'owner',
+    hotels: [ALL_HOTELS],
+    disabled: false,
+    invitedBy: 'environment',
+    createdAt: new Date().toISOString()
+  });
+  console.log(`👑 Created owner account "${username}" from environment`);
+}
+
+function saveFileAccounts() {
+  try {
+    fs.writeFileSync(STAFF_FILE, JSON.stringify(fileAccounts, null, 2));
+  } catch (error) {
+    console.error('❌ Error saving staff accounts:', error);
+    throw error;
+  }
+}
+
+async function saveNewAccount(account) {
+  if (useDatabase) {
+    const saved = await db.addStaffAccount(account);
+    if (!saved) throw new Error('Failed to save staff account to database');
+    return saved;
+  }
+
+  fileAccounts.push(account);
+  saveFileAccounts();
+  return account;
+}
+
+async function listAccounts() {
+  if (useDatabase) {
+    return (await db.getAllStaffAccounts()) || [];
+  }
+  return fileAccounts;
+}
+
+async function findAccountById(id) {
+  if (useDatabase) return db.getStaffAccountById(id);
+  return fileAccounts.find(account => account.id === id) || null;
+}
+
+async function findAccountByUsername(username) {
+  if (!username) return null;
+  if (useDatabase) return db.getStaffAccountByUsername(username);
+  const wanted = username.toLowerCase();
+  return fileAccounts.find(account => account.username.toLowerCase() === wanted) || null;
+}
+
+async function updateAccount(id, updates) {
+  if (useDatabase) return db.updateStaffAccount(id, updates);
+
+  const account = fileAccounts.find(a => a.id === id);
+  if (!account) return null;
+
+  Object.keys(updates).forEach(key => {
+    if (updates[key] !== undefined) account[key] = updates[key];
+  });
+  account.updatedAt = new Date().toISOString();
+  saveFileAccounts();
+  return account;
+}
+
+// Strip the password hash before sending an account to a client
+function toPublicAccount(account) {
+  const { passwordHash, ...publicAccount } = account;
+  return publicAccount;
+}
+
+// Verify login credentials - returns the account or null
+async function authenticateAccount(username, password) {
+  const account = await findAccountByUsername(username || process.env.ADMIN_USERNAME || 'admin');
+  if (!account || account.disabled || !password) return null;
+
+  const matches = await bcrypt.compare(String(password), account.passwordHash);
+  if (!matches) return null;
+
+  await updateAccount(account.id, { lastLoginAt: new Date().toISOString() });
+  return account;
+}
+
+// Invite a new staff member (username must be unused) - returns the account and a one-time temporary password
+async function inviteAccount({ username, role, hotels, invitedBy }) {
+  const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+  const account = await saveNewAccount({
+    id: `staff_${uuidv4()}`,
+    username,
+    passwordHash: await bcrypt.hash(temporaryPassword, BCRYPT_ROUNDS),
+    role,
+    hotels,
+    disabled: false,
+    invitedBy,
+    createdAt: new Date().toISOString()
+  });
+
+  console.log(`👥 Invited staff account ${username} (${role}) by ${invitedBy}`);
+  return { account, temporaryPassword };
+}
+
+async function changePassword(id, newPassword) {
+  const passwordHash = await bcrypt.hash(String(newPassword), BCRYPT_ROUNDS);
+  return updateAccount(id, { passwordHash });
+}
+
+// Check a role permission, optionally scoped to one hotel key.
+// A null hotel key means the action spans every hotel.
+function hasPermission(account, permission, hotelKey = null) {
+  if (!account || account.disabled) return false;
+
+  const permissions = ROLE_PERMISSIONS[account.role] || [];
+  if (permission && !permissions.includes(permission)) return false;
+
+  const hotels = account.hotels || [];
+  if (hotels.includes(ALL_HOTELS)) return true;
+  if (hotelKey === null) return !permission;
+  return hotels.includes(hotelKey);
+}
+
+// Whether an account has a permission for at least one hotel
+function hasPermissionForAnyHotel(account, permission) {
+  if (hasPermission(account, permission)) return true;
+  return Boolean(account) && (account.hotels || []).some(key => hasPermission(account, permission, key));
+}
+
+// Middleware: valid staff session + live account + permission for the resolved hotel
+// (resolveHotel may be async, e.g. when the hotel comes from a stored record). A resolver
+// that returns null - a list route without a hotel filter - only needs the permission for
+// some hotel; the route then lists the records of the staff member's hotels.
+function requireStaff(permission = null, resolveHotel = null) {
+  return (req, res, next) => {
+    authenticateStaff(req, res, async () => {
+      try {
+        const account = await findAccountById(req.staff.id);
+
+        if (!account || account.disabled) {
+          return res.status(401).json({
+            error: 'Staff account is disabled or no longer exists.',
+            code: 'STAFF_ACCOUNT_DISABLED'
+          });
+        }
+
+        const hotelKey = resolveHotel ? await resolveHotel(req) : null;
+        const allowed = resolveHotel && hotelKey === null
+          ? hasPermissionForAnyHotel(account, permission)
+          : hasPermission(account, permission, hotelKey);
+        if (!allowed) {
+          console.warn(`🚨 Security Alert: ${account.username} (${account.role}) denied ${permission} on ${hotelKey || 'all hotels'}`);
+          return res.status(403).json({
+            error: 'You do not have permission for this action.',
+            code: 'STAFF_FORBIDDEN',
+            required: permission,
+            hotel: hotelKey
+          });
+        }
+
+        req.staff = toPublicAccount(account);
+        next();
+      } catch (error) {
+        console.error('❌ Staff permission check failed:', error);
+        res.status(500).json({ error: 'Failed to verify staff permissions' });
+      }
+    });
+  };
+}
+
+module.exports = {
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  ALL_HOTELS,
+  initStaffStore,
+  listAccounts,
+  findAccountById,
+  findAccountByUsername,
+  updateAccount,
+  toPublicAccount,
+  authenticateAccount,
+  inviteAccount,
+  changePassword,
+  hasPermission,
+  hasPermissionForAnyHotel,
+  requireStaff
+};
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+useMemoryDataDir();
+unrefTimers();
+
+const { BACKUP_DIR, backupFilePath } = require('../recommendations');
+
+test('backup ids resolve to files in data/backups', () => {
+  assert.strictEqual(
+    backupFilePath('recommendations_backup_2025-01-31T10-00-00-000Z.json'),
+    path.join(BACKUP_DIR, 'recommendations_backup_2025-01-31T10-00-00-000Z.json')
+  );
+  assert.strictEqual(
+    backupFilePath('recommendations_backup_pre_restore_2025-01-31T10-00-00-000Z.json'),
+    path.join(BACKUP_DIR, 'recommendations_backup_pre_restore_2025-01-31T10-00-00-000Z.json')
+  );
+});
+
+test('backup ids cannot reach other files', () => {
+  [
+    '../staff_accounts.json',
+    '../jwt_keys.json',
+    'recommendations_backup_../../staff_accounts.json',
+    'recommendations_backup_x/../../jwt_keys.json',
+    '..\\staff_accounts.json',
+    'staff_accounts.json',
+    'recommendations_backup_x.txt',
+    '',
+    undefined
+  ].forEach(id => assert.strictEqual(backupFilePath(id), null, String(id)));
+});
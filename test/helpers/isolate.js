@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { mock } = require('node:test');
+
+// Test isolation for the server modules.
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// The stores read and write fixed paths under data/. Tests swap that directory for an
+// in-memory one so they start empty and never touch a developer's real data; anything
+// outside data/ goes to the real file system as usual.
+function useMemoryDataDir() {
+  const files = new Map(); // Absolute path -> Buffer
+
+  const inDataDir = file => {
+    const resolved = path.resolve(String(file));
+    return resolved === DATA_DIR || resolved.startsWith(DATA_DIR + path.sep);
+  };
+  const notFound = file => Object.assign(new Error(`ENOENT: no such file or directory, '${file}'`), { code: 'ENOENT' });
+  const children = dir => Array.from(files.keys())
+    .filter(file => path.dirname(file) === dir)
+    .map(file => path.basename(file));
+
+  const fake = {
+    existsSync: file => file === DATA_DIR || files.has(file) || Array.from(files.keys()).some(key => key.startsWith(file + path.sep)),
+    readFileSync: (file, options) => {
+      if (!files.has(file)) throw notFound(file);
+      const encoding = typeof options === 'string' ? options : options && options.encoding;
+      return encoding ? files.get(file).toString(encoding) : Buffer.from(files.get(file));
+    },
+    writeFileSync: (file, data) => { files.set(file, Buffer.from(data)); },
+    appendFileSync: (file, data) => { files.set(file, Buffer.concat([files.get(file) || Buffer.alloc(0), Buffer.from(data)])); },
+    mkdirSync: () => {},
+    readdirSync: dir => children(dir),
+    statSync: file => {
+      if (!files.has(file)) throw notFound(file);
+      return { size: files.get(file).length, mtime: new Date(), isFile: () => true };
+    },
+    copyFileSync: (from, to) => {
+      if (!files.has(from)) throw notFound(from);
+      files.set(to, Buffer.from(files.get(from)));
+    },
+    renameSync: (from, to) => {
+      if (!files.has(from)) throw notFound(from);
+      files.set(to, files.get(from));
+      files.delete(from);
+    },
+    unlinkSync: file => {
+      if (!files.delete(file)) throw notFound(file);
+    },
+    rmSync: (file, options = {}) => {
+      if (!files.delete(file) && !options.force) throw notFound(file);
+    }
+  };
+
+  Object.entries(fake).forEach(([name, implementation]) => {
+    const original = fs[name];
+    mock.method(fs, name, (file, ...args) => inDataDir(file)
+      ? implementation(path.resolve(String(file)), ...args)
+      : original.call(fs, file, ...args));
+  });
+
+  return {
+    dir: DATA_DIR,
+    files,
+    read: name => {
+      const file = path.join(DATA_DIR, name);
+      return files.has(file) ? files.get(file).toString('utf8') : null;
+    }
+  };
+}
+
+// Modules start cleanup and refresh timers when loaded or initialized; unref them so the
+// test process can exit. Call before requiring the modules under test.
+function unrefTimers() {
+  const original = global.setInterval;
+  mock.method(global, 'setInterval', (...args) => original(...args).unref());
+}
+
+module.exports = {
+  useMemoryDataDir,
+  unrefTimers
+};
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.DATABASE_URL;
+delete process.env.POSTGRES_URL;
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+const dataDir = useMemoryDataDir();
+unrefTimers();
+
+const KEYS_FILE = 'jwt_keys.json';
+const SECRETS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+const SECRETS_FILE = path.join(SECRETS_DIR, 'jwt_secrets.json');
+
+// A fresh copy of the keyring, as a restarted server would load it
+function loadKeyring(env = {}) {
+  ['JWT_SECRET', 'JWT_KEYS_FILE', 'NODE_ENV'].forEach(name => {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  });
+  delete require.cache[require.resolve('../keyring')];
+  return require('../keyring');
+}
+
+function storedKeys() {
+  return JSON.parse(dataDir.read(KEYS_FILE) || '[]');
+}
+
+const FILE_ENV = { JWT_SECRET: 'env-secret', JWT_KEYS_FILE: SECRETS_FILE };
+
+function storedSecrets() {
+  return fs.existsSync(SECRETS_FILE) ? JSON.parse(fs.readFileSync(SECRETS_FILE, 'utf8')) : {};
+}
+
+test.beforeEach(() => {
+  dataDir.files.clear();
+  fs.rmSync(SECRETS_FILE, { force: true });
+});
+
+test.after(() => fs.rmSync(SECRETS_DIR, { recursive: true, force: true }));
+
+test('rotated keys keep verifying after a restart, with their secrets outside data/', async () => {
+  const keyring = loadKeyring(FILE_ENV);
+  await keyring.initKeyring(false);
+  assert.strictEqual(keyring.getSigningKey().kid, keyring.ENV_KID);
+
+  const kid = await keyring.rotateKeys();
+  const secret = keyring.getSigningKey().secret;
+  assert.notStrictEqual(secret, 'env-secret');
+  assert.ok(storedKeys().every(key => key.secret === null));
+  assert.ok(!dataDir.read(KEYS_FILE).includes(secret));
+  assert.ok(!dataDir.read(KEYS_FILE).includes('env-secret'));
+  assert.deepStrictEqual(storedSecrets(), { [kid]: secret });
+
+  const restarted = loadKeyring(FILE_ENV);
+  await restarted.initKeyring(false);
+  assert.strictEqual(restarted.getSigningKey().kid, kid);
+  assert.strictEqual(await restarted.getVerificationSecret(kid), secret);
+  assert.strictEqual(await restarted.getVerificationSecret(restarted.ENV_KID), 'env-secret');
+});
+
+test('rotating with file storage needs JWT_KEYS_FILE', async () => {
+  const keyring = loadKeyring({ JWT_SECRET: 'env-secret' });
+  await keyring.initKeyring(false);
+
+  await assert.rejects(keyring.rotateKeys(), { code: 'KEYRING_NO_SECRETS_FILE' });
+  assert.strictEqual(keyring.getSigningKey().kid, keyring.ENV_KID);
+  assert.ok(storedKeys().every(key => key.kid === keyring.ENV_KID));
+
+  const inDataDir = loadKeyring({ JWT_SECRET: 'env-secret', JWT_KEYS_FILE: path.join(dataDir.dir, 'secrets.json') });
+  await assert.rejects(inDataDir.initKeyring(false), /outside the data directory/);
+});
+
+test('a changed JWT_SECRET is refused at startup instead of breaking the codes it signed', async () => {
+  await loadKeyring(FILE_ENV).initKeyring(false);
+
+  const changed = loadKeyring({ ...FILE_ENV, JWT_SECRET: 'new-secret' });
+  await assert.rejects(changed.initKeyring(false), { code: 'KEYRING_SECRET_CHANGED' });
+
+  // Rotating keys don't depend on JWT_SECRET - once the env key is retired it can change
+  const keyring = loadKeyring(FILE_ENV);
+  await keyring.initKeyring(false);
+  const kid = await keyring.rotateKeys();
+  const secret = keyring.getSigningKey().secret;
+  await keyring.retireKey(keyring.ENV_KID);
+
+  const restarted = loadKeyring({ ...FILE_ENV, JWT_SECRET: 'new-secret' });
+  await restarted.initKeyring(false);
+  assert.strictEqual(restarted.getSigningKey().kid, kid);
+  assert.strictEqual(await restarted.getVerificationSecret(kid), secret);
+  assert.strictEqual(await restarted.getVerificationSecret(restarted.ENV_KID), null);
+});
+
+test('retired keys stop verifying', async () => {
+  const keyring = loadKeyring(FILE_ENV);
+  await keyring.initKeyring(false);
+  const first = await keyring.rotateKeys();
+  await keyring.rotateKeys();
+  await keyring.retireKey(keyring.ENV_KID);
+  await keyring.retireKey(first);
+
+  assert.strictEqual(await keyring.getVerificationSecret(keyring.ENV_KID), null);
+  assert.strictEqual(await keyring.getVerificationSecret(), null, 'tokens without a kid use the env key');
+  assert.strictEqual(await keyring.getVerificationSecret(first), null);
+  assert.ok(!(first in storedSecrets()), 'the secret of a retired key is deleted');
+});
+
+test('without JWT_SECRET keys only live in memory', async () => {
+  const keyring = loadKeyring({});
+  await keyring.initKeyring(false);
+
+  assert.ok(keyring.getSigningKey().secret);
+  await keyring.rotateKeys();
+  assert.strictEqual(dataDir.files.size, 0);
+  assert.ok(keyring.listKeys().every(key => key.secret === undefined));
+});
+
+test('production refuses to start without JWT_SECRET', async () => {
+  const keyring = loadKeyring({ NODE_ENV: 'production' });
+  await assert.rejects(keyring.initKeyring(false), /JWT_SECRET must be set/);
+});
+
+test('secrets left in older key files verify until the key is retired', async () => {
+  dataDir.files.set(path.join(dataDir.dir, KEYS_FILE), Buffer.from(JSON.stringify([
+    { kid: 'k_old', secret: 'old-secret', status: 'active', createdAt: '2025-01-01T00:00:00.000Z', rotatedAt: null, retiredAt: null }
+  ])));
+
+  const keyring = loadKeyring(FILE_ENV);
+  await keyring.initKeyring(false);
+  await keyring.rotateKeys();
+  assert.strictEqual(await keyring.getVerificationSecret('k_old'), 'old-secret');
+  assert.ok(!('k_old' in storedSecrets()));
+
+  await keyring.retireKey('k_old');
+  assert.ok(!dataDir.read(KEYS_FILE).includes('old-secret'));
+});
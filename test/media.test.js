@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+
+delete process.env.DATABASE_URL;
+delete process.env.POSTGRES_URL;
+delete process.env.MEDIA_STORE;
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+const dataDir = useMemoryDataDir();
+unrefTimers();
+
+const { initMediaStore, saveMedia, saveMediaFromDataUrl, getMedia, readMedia, isMediaId } = require('../media');
+
+// A 400x200 JPEG as a phone would take it: rotated via EXIF orientation, with camera data
+function cameraPhoto() {
+  return sharp({ create: { width: 400, height: 200, channels: 3, background: '#3a7' } })
+    .jpeg()
+    .withMetadata({ orientation: 6 })
+    .withExif({ IFD0: { Make: 'TestCam', Copyright: 'Guest' } })
+    .toBuffer();
+}
+
+test.before(() => initMediaStore(false));
+
+test('uploads are re-encoded as WebP without EXIF, in the orientation they were taken', async () => {
+  const original = await cameraPhoto();
+  assert.ok((await sharp(original).metadata()).exif, 'the fixture carries EXIF');
+
+  const media = await saveMedia(original, { name: 'IMG_0001.jpg', staff: { username: 'editor' } });
+  assert.ok(isMediaId(media.id));
+  assert.strictEqual(media.contentType, 'image/webp');
+  assert.deepStrictEqual([media.width, media.height], [200, 400]);
+  assert.strictEqual(media.uploadedBy, 'editor');
+
+  for (const variant of ['web', 'thumb']) {
+    const { buffer } = await readMedia(media.id, variant);
+    const metadata = await sharp(buffer).metadata();
+    assert.strictEqual(metadata.format, 'webp');
+    assert.strictEqual(metadata.exif, undefined, `${variant} has no EXIF`);
+    assert.strictEqual(metadata.orientation, undefined);
+  }
+  assert.strictEqual((await sharp((await readMedia(media.id, 'thumb')).buffer).metadata()).height, 320);
+});
+
+test('the same file is stored once', async () => {
+  const original = await cameraPhoto();
+  const first = await saveMedia(original);
+  const filesBefore = dataDir.files.size;
+
+  const second = await saveMediaFromDataUrl(`data:image/jpeg;base64,${original.toString('base64')}`);
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(dataDir.files.size, filesBefore);
+  assert.deepStrictEqual(await getMedia(first.id), first);
+});
+
+test('anything but a supported image is rejected', async () => {
+  await assert.rejects(saveMedia(Buffer.alloc(0)), { code: 'MEDIA_INVALID' });
+  await assert.rejects(saveMedia(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), { code: 'MEDIA_INVALID' });
+  await assert.rejects(saveMedia(Buffer.from('not an image at all')), { code: 'MEDIA_INVALID' });
+  await assert.rejects(saveMediaFromDataUrl('data:text/html;base64,PGgxPg=='), { code: 'MEDIA_INVALID' });
+});
+
+test('unknown ids and variants are not served', async () => {
+  assert.strictEqual(await readMedia('med_00000000000000000000000000000000'), null);
+  assert.strictEqual(await readMedia('../media.json'), null);
+  assert.strictEqual(await getMedia('../media.json'), null);
+
+  const media = await saveMedia(await cameraPhoto());
+  assert.strictEqual(await readMedia(media.id, 'original'), null);
+});
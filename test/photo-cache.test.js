@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+const dataDir = useMemoryDataDir();
+unrefTimers();
+
+const PHOTO = 'places/ChIJOldQuarter/photos/AUc7tXLake';
+const OTHER_PHOTO = 'places/ChIJOldQuarter/photos/AUc7tXTemple';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A fresh copy of the cache, as a restarted server would load it
+function loadPhotoCache(env = {}) {
+  ['PHOTO_CACHE_MAX_BYTES', 'PHOTO_UPSTREAM_PER_MINUTE'].forEach(name => {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = String(env[name]);
+  });
+  delete require.cache[require.resolve('../photo-cache')];
+  const cache = require('../photo-cache');
+  cache.initPhotoCache();
+  return cache;
+}
+
+// Stub Google: each call gets the next response (a Buffer, or an HTTP status to fail with)
+function stubGoogle(t, ...responses) {
+  let call = 0;
+  return t.mock.method(axios, 'get', async () => {
+    const next = responses[Math.min(call++, responses.length - 1)];
+    if (typeof next === 'number') {
+      throw Object.assign(new Error(`Request failed with status code ${next}`), { response: { status: next } });
+    }
+    return { data: next, headers: { 'content-type': 'image/jpeg' } };
+  });
+}
+
+function photo(bytes, fill = 1) {
+  return Buffer.alloc(bytes, fill);
+}
+
+// A clock the test moves forward (for cache expiry and rate-limit windows)
+function mockClock(t) {
+  const start = Date.now();
+  let offset = 0;
+  t.mock.method(Date, 'now', () => start + offset);
+  return { advance: ms => { offset += ms; } };
+}
+
+function cachedFiles() {
+  return Array.from(dataDir.files.keys()).filter(file => file.endsWith('.img'));
+}
+
+test.beforeEach(() => {
+  dataDir.files.clear();
+  process.env.GOOGLE_MAPS_API_KEY = 'test-key';
+});
+
+test('each photo and size bucket is fetched from Google once', async t => {
+  const cache = loadPhotoCache();
+  const google = stubGoogle(t, photo(500, 1), photo(900, 2));
+
+  const first = await cache.getPlacePhoto(PHOTO, 250);
+  assert.strictEqual(first.cache, 'MISS');
+  assert.match(google.mock.calls[0].arguments[0], /maxHeightPx=400&maxWidthPx=400/);
+
+  const second = await cache.getPlacePhoto(PHOTO, 320);
+  assert.strictEqual(second.cache, 'HIT');
+  assert.deepStrictEqual(second.buffer, first.buffer);
+  assert.strictEqual(google.mock.callCount(), 1);
+
+  assert.strictEqual((await cache.getPlacePhoto(PHOTO, 1000)).cache, 'MISS');
+  assert.match(google.mock.calls[1].arguments[0], /maxHeightPx=1600/);
+  assert.strictEqual(cachedFiles().length, 2);
+});
+
+test('concurrent requests wait for the same fetch', async t => {
+  const cache = loadPhotoCache();
+  const google = stubGoogle(t, photo(500));
+
+  const results = await Promise.all([250, 300, 350, 400].map(size => cache.getPlacePhoto(PHOTO, size)));
+  assert.strictEqual(google.mock.callCount(), 1);
+  assert.ok(results.every(result => result.cache === 'MISS' && result.etag === results[0].etag));
+  assert.strictEqual(cache.photoCacheStatus().fetching, 0);
+});
+
+test('the least recently used photos are evicted once the cache is over its size', async t => {
+  const cache = loadPhotoCache({ PHOTO_CACHE_MAX_BYTES: 2500 });
+  const google = stubGoogle(t, photo(1000, 1), photo(1000, 2), photo(1000, 3), photo(1000, 4));
+
+  await cache.getPlacePhoto(PHOTO, 400);
+  await cache.getPlacePhoto(PHOTO, 800);
+  await cache.getPlacePhoto(PHOTO, 400); // Now the 800px copy is the least recently used
+  await cache.getPlacePhoto(OTHER_PHOTO, 400);
+
+  assert.deepStrictEqual([cache.photoCacheStatus().photos, cache.photoCacheStatus().bytes], [2, 2000]);
+  assert.strictEqual(cachedFiles().length, 2);
+  assert.strictEqual((await cache.getPlacePhoto(PHOTO, 400)).cache, 'HIT');
+  assert.strictEqual((await cache.getPlacePhoto(PHOTO, 800)).cache, 'MISS');
+  assert.strictEqual(google.mock.callCount(), 4);
+});
+
+test('ETags follow the bytes, so revalidation only misses when the photo changed', async t => {
+  const cache = loadPhotoCache();
+  const clock = mockClock(t);
+  stubGoogle(t, photo(500, 1), photo(500, 1), photo(500, 2));
+
+  const { etag } = await cache.getPlacePhoto(PHOTO, 400);
+  assert.match(etag, /^"[0-9a-f]{32}"$/);
+  assert.strictEqual((await cache.getPlacePhoto(PHOTO, 400)).etag, etag);
+
+  // Expired and refetched: the same bytes keep their ETag (If-None-Match still gets a 304)
+  clock.advance(8 * DAY_MS);
+  const refetched = await cache.getPlacePhoto(PHOTO, 400);
+  assert.strictEqual(refetched.cache, 'MISS');
+  assert.strictEqual(refetched.etag, etag);
+
+  clock.advance(8 * DAY_MS);
+  assert.notStrictEqual((await cache.getPlacePhoto(PHOTO, 400)).etag, etag);
+});
+
+test('a 429 stops Google calls for a minute and serves the expired copy', async t => {
+  const cache = loadPhotoCache();
+  const clock = mockClock(t);
+  const google = stubGoogle(t, photo(500), 429, photo(600));
+  const { buffer, etag } = await cache.getPlacePhoto(PHOTO, 400);
+
+  clock.advance(8 * DAY_MS);
+  const stale = await cache.getPlacePhoto(PHOTO, 400);
+  assert.strictEqual(stale.cache, 'STALE');
+  assert.deepStrictEqual([stale.buffer, stale.etag], [buffer, etag]);
+  assert.ok(cache.photoCacheStatus().rateLimitedUntil);
+
+  await assert.rejects(cache.getPlacePhoto(OTHER_PHOTO, 400), { code: 'PHOTO_UNAVAILABLE' });
+  assert.strictEqual(google.mock.callCount(), 2, 'no call during the cooldown');
+
+  clock.advance(cache.RATE_LIMIT_COOLDOWN + 1000);
+  assert.strictEqual((await cache.getPlacePhoto(OTHER_PHOTO, 400)).cache, 'MISS');
+  assert.strictEqual(google.mock.callCount(), 3);
+});
+
+test('over the per-minute budget the photo is served at another size', async t => {
+  const cache = loadPhotoCache({ PHOTO_UPSTREAM_PER_MINUTE: 2 });
+  const clock = mockClock(t);
+  const google = stubGoogle(t, photo(500, 1), photo(900, 2), photo(500, 3));
+
+  const medium = await cache.getPlacePhoto(PHOTO, 400);
+  const large = await cache.getPlacePhoto(PHOTO, 1600);
+
+  const smaller = await cache.getPlacePhoto(PHOTO, 160);
+  assert.strictEqual(smaller.cache, 'STALE');
+  assert.deepStrictEqual(smaller.buffer, medium.buffer, 'the smallest bigger copy');
+  assert.deepStrictEqual((await cache.getPlacePhoto(PHOTO, 800)).buffer, large.buffer);
+
+  await assert.rejects(cache.getPlacePhoto(OTHER_PHOTO, 400), { code: 'PHOTO_UNAVAILABLE' });
+  assert.strictEqual(google.mock.callCount(), 2);
+  assert.strictEqual(cache.photoCacheStatus().upstreamThisMinute, 2);
+
+  clock.advance(61 * 1000);
+  assert.strictEqual((await cache.getPlacePhoto(OTHER_PHOTO, 400)).cache, 'MISS');
+});
+
+test('missing photos and invalid names are not served', async t => {
+  const cache = loadPhotoCache();
+  const clock = mockClock(t);
+  stubGoogle(t, photo(500), 404);
+
+  await cache.getPlacePhoto(PHOTO, 400);
+  clock.advance(8 * DAY_MS);
+  await assert.rejects(cache.getPlacePhoto(PHOTO, 400), { code: 'PHOTO_NOT_FOUND' });
+  assert.strictEqual(cache.photoCacheStatus().photos, 0, 'a photo Google no longer has is dropped');
+
+  await assert.rejects(cache.getPlacePhoto('../index.json', 400), { code: 'PHOTO_INVALID' });
+  await assert.rejects(cache.getPlacePhoto('places/x/photos/y?key=1', 400), { code: 'PHOTO_INVALID' });
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+delete process.env.DATABASE_URL;
+delete process.env.POSTGRES_URL;
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+useMemoryDataDir();
+unrefTimers();
+
+const {
+  buildQRPolicy,
+  generateSecureQRToken,
+  verifyQRToken,
+  revokeQRTokenById
+} = require('../security');
+const { initTokenRegistry, getToken } = require('../token-registry');
+const { db } = require('../database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A scan from one device (IP + user agent)
+function scan(ip = '203.0.113.1', userAgent = 'Mozilla/5.0 (iPhone)') {
+  return { ip, connection: {}, get: header => (header === 'User-Agent' ? userAgent : undefined) };
+}
+
+function localDate(time) {
+  const date = new Date(time);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+}
+
+test('policy options are validated', () => {
+  assert.deepStrictEqual(buildQRPolicy().policy, { type: 'permanent' });
+  assert.deepStrictEqual(buildQRPolicy({ maxScans: '3', maxDevices: 2 }).policy, { type: 'permanent', maxScans: 3, maxDevices: 2 });
+
+  const invalid = [
+    { type: 'forever' },
+    { type: 'guest_stay' },
+    { type: 'guest_stay', checkoutAt: new Date(Date.now() - DAY_MS).toISOString() },
+    { type: 'event', eventDate: '31/01/2025' },
+    { type: 'event', eventDate: localDate(Date.now() - 2 * DAY_MS) },
+    { maxScans: 0 },
+    { maxDevices: 'many' }
+  ];
+  invalid.forEach(options => assert.throws(() => buildQRPolicy(options), { code: 'QR_POLICY_INVALID' }, JSON.stringify(options)));
+});
+
+test('guest-stay codes expire at checkout', async () => {
+  const checkoutAt = new Date(Date.now() + 2 * DAY_MS);
+  const { token, expiresAt } = await generateSecureQRToken({ hotelId: 'saigon' }, { type: 'guest_stay', checkoutAt: checkoutAt.toISOString() });
+
+  assert.strictEqual(Math.floor(expiresAt.getTime() / 1000), Math.floor(checkoutAt.getTime() / 1000));
+  assert.strictEqual((await verifyQRToken(token, scan())).valid, true);
+});
+
+test('event codes only work on the event day', async () => {
+  const { token } = await generateSecureQRToken({}, { type: 'event', eventDate: localDate(Date.now() + 3 * DAY_MS) });
+  const result = await verifyQRToken(token, scan());
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.code, 'QR_TOKEN_NOT_YET_VALID');
+});
+
+test('scan limits are enforced', async () => {
+  const { token } = await generateSecureQRToken({}, { maxScans: 2 });
+
+  assert.strictEqual((await verifyQRToken(token, scan())).usage.remaining, 1);
+  assert.strictEqual((await verifyQRToken(token, scan())).usage.remaining, 0);
+  assert.strictEqual((await verifyQRToken(token, scan())).code, 'QR_TOKEN_EXHAUSTED');
+});
+
+test('device limits allow rescans from known devices only', async () => {
+  const { token } = await generateSecureQRToken({}, { maxDevices: 1 });
+
+  assert.strictEqual((await verifyQRToken(token, scan('203.0.113.1'))).valid, true);
+  assert.strictEqual((await verifyQRToken(token, scan('203.0.113.1'))).valid, true);
+  assert.strictEqual((await verifyQRToken(token, scan('198.51.100.7'))).code, 'QR_TOKEN_DEVICE_LIMIT');
+});
+
+test('a scan the registry cannot record is a service error, not a limit', async t => {
+  const { token, qrId } = await generateSecureQRToken({}, { maxDevices: 1 });
+  const record = await getToken(qrId);
+
+  initTokenRegistry(true);
+  t.after(() => initTokenRegistry(false));
+  t.mock.method(db, 'getQRToken', async () => record);
+  t.mock.method(db, 'recordQRTokenUse', async () => {
+    throw new Error('Connection terminated unexpectedly');
+  });
+
+  const result = await verifyQRToken(token, scan());
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.code, 'QR_SERVICE_UNAVAILABLE');
+});
+
+test('revoked and tampered codes are rejected', async () => {
+  const { token, qrId } = await generateSecureQRToken();
+  await revokeQRTokenById(qrId);
+  assert.strictEqual((await verifyQRToken(token, scan())).code, 'QR_TOKEN_REVOKED');
+
+  const { token: other } = await generateSecureQRToken({}, { maxScans: 1 });
+  const [header, payload, signature] = other.split('.');
+  const raised = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  raised.maxUses = 1000;
+  const tampered = [header, Buffer.from(JSON.stringify(raised)).toString('base64url'), signature].join('.');
+  assert.strictEqual((await verifyQRToken(tampered, scan())).code, 'QR_TOKEN_INVALID');
+});
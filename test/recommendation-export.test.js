@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.DATABASE_URL;
+delete process.env.POSTGRES_URL;
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+useMemoryDataDir();
+unrefTimers();
+
+const { newRecommendation } = require('../recommendations');
+const { EXPORT_FORMATS } = require('../recommendation-export');
+const { planImport } = require('../recommendation-import');
+
+const HOTEL = { key: 'hanoi-old-quarter', name: 'Old Quarter <Boutique> & Spa' };
+
+const recommendations = [
+  newRecommendation({
+    name: 'Cafe "Giang", since 1946',
+    address: '39 Nguyen Huu Huan, Hoan Kiem',
+    latitude: 21.0338,
+    longitude: 105.8544,
+    rating: 4.6,
+    userRatingCount: 5210,
+    description: 'Egg coffee\nupstairs',
+    websiteUri: 'https://example.com/giang?a=1&b=2',
+    featured: true
+  }, { hotelId: HOTEL.key }),
+  newRecommendation({
+    name: 'Phở Gia Truyền',
+    address: '49 Bát Đàn',
+    latitude: 21.0336,
+    longitude: 105.8465
+  }, { hotelId: HOTEL.key })
+];
+
+// Fields an export carries that an import reads back
+function importedFields(rec) {
+  return {
+    name: rec.name,
+    address: rec.address,
+    location: rec.location,
+    rating: rec.rating,
+    userRatingCount: rec.userRatingCount,
+    description: rec.description,
+    websiteUri: rec.websiteUri,
+    featured: rec.featured
+  };
+}
+
+['geojson', 'kml', 'csv'].forEach(format => {
+  test(`${format} exports import back unchanged`, async () => {
+    const exported = EXPORT_FORMATS[format].render(recommendations, HOTEL);
+    const plan = await planImport(exported, { hotelId: 'saigon-downtown' });
+
+    assert.strictEqual(plan.format, format);
+    assert.strictEqual(plan.ready, recommendations.length);
+    plan.rows.forEach((row, index) => {
+      assert.deepStrictEqual(importedFields(row.recommendation), importedFields(recommendations[index]));
+      assert.strictEqual(row.recommendation.hotelId, 'saigon-downtown');
+    });
+  });
+});
+
+test('GPX waypoints carry escaped names and links', () => {
+  const gpx = EXPORT_FORMATS.gpx.render(recommendations, HOTEL);
+
+  assert.match(gpx, /<wpt lat="21.0338" lon="105.8544">/);
+  assert.match(gpx, /<name>Cafe &quot;Giang&quot;, since 1946<\/name>/);
+  assert.match(gpx, /<link href="https:\/\/example.com\/giang\?a=1&amp;b=2">/);
+  assert.match(gpx, /<name>Old Quarter &lt;Boutique&gt; &amp; Spa recommendations<\/name>/);
+  assert.strictEqual((gpx.match(/<wpt /g) || []).length, recommendations.length);
+});
+
+test('CSV exports open in spreadsheets without running formulas', () => {
+  const risky = newRecommendation({
+    name: '=HYPERLINK("http://evil.example","Click")',
+    address: '+84 Hang Bac',
+    latitude: 21.03,
+    longitude: 105.85,
+    description: '@SUM(A1:A2)'
+  }, { hotelId: HOTEL.key });
+
+  const csv = EXPORT_FORMATS.csv.render([risky], HOTEL);
+  assert.ok(csv.startsWith('\uFEFFid,name,'));
+
+  const row = csv.split('\r\n')[1];
+  assert.ok(row.includes(`"'=HYPERLINK(""http://evil.example"",""Click"")"`));
+  assert.ok(row.includes("'+84 Hang Bac"));
+  assert.ok(row.includes("'@SUM(A1:A2)"));
+  assert.ok(!/,[=+\-@]/.test(row), 'no field starts with a formula character');
+});
+
+test('GeoJSON exports are points in longitude, latitude order', () => {
+  const geojson = JSON.parse(EXPORT_FORMATS.geojson.render(recommendations, HOTEL));
+
+  assert.strictEqual(geojson.type, 'FeatureCollection');
+  assert.deepStrictEqual(geojson.features[0].geometry, { type: 'Point', coordinates: [105.8544, 21.0338] });
+  assert.strictEqual(geojson.features[0].properties.featured, true);
+  assert.strictEqual(geojson.features[1].properties.website, '');
+});
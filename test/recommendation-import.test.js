@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.DATABASE_URL;
+delete process.env.POSTGRES_URL;
+delete process.env.GOOGLE_MAPS_API_KEY;
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+useMemoryDataDir();
+unrefTimers();
+
+const { initRevisionStore } = require('../recommendation-revisions');
+const { initMediaStore } = require('../media');
+const { initRecommendationStore, listRecommendations } = require('../recommendations');
+const { detectFormat, planImport, commitImport } = require('../recommendation-import');
+
+const HOTEL = 'hanoi-old-quarter';
+
+test.before(async () => {
+  initRevisionStore(false);
+  initMediaStore(false);
+  await initRecommendationStore(false);
+});
+
+test('the format is detected from the content', () => {
+  assert.strictEqual(detectFormat('  {"type":"FeatureCollection"}'), 'geojson');
+  assert.strictEqual(detectFormat('<?xml version="1.0"?><kml></kml>'), 'kml');
+  assert.strictEqual(detectFormat('name,address'), 'csv');
+});
+
+test('CSV with quotes, a BOM and semicolons is mapped from its headers', async () => {
+  const csv = '\uFEFFPlace Name;Street Address;Lat;Lng;Notes;Highlight\r\n' +
+    '"Cafe ""Giang""";"39 Nguyen Huu Huan; Hoan Kiem";21.0338;105.8544;"Egg coffee,\nsince 1946";yes\r\n' +
+    'Bun Cha Huong Lien;24 Le Van Huu;21.0181;105.8524;;\r\n';
+
+  const plan = await planImport(csv, { hotelId: HOTEL });
+  assert.strictEqual(plan.format, 'csv');
+  assert.deepStrictEqual(plan.mapping, {
+    name: 'Place Name',
+    address: 'Street Address',
+    latitude: 'Lat',
+    longitude: 'Lng',
+    description: 'Notes',
+    featured: 'Highlight'
+  });
+  assert.strictEqual(plan.ready, 2);
+
+  const [cafe, bunCha] = plan.rows.map(row => row.recommendation);
+  assert.strictEqual(cafe.name, 'Cafe "Giang"');
+  assert.strictEqual(cafe.address, '39 Nguyen Huu Huan; Hoan Kiem');
+  assert.strictEqual(cafe.description, 'Egg coffee,\nsince 1946');
+  assert.deepStrictEqual(cafe.location, { latitude: 21.0338, longitude: 105.8544 });
+  assert.strictEqual(cafe.featured, true);
+  assert.strictEqual(cafe.hotelId, HOTEL);
+  assert.strictEqual(bunCha.featured, false);
+});
+
+test('an explicit mapping overrides the guessed columns', async () => {
+  const csv = 'Venue,Title,Where,lat,lng\nHoa Lo Prison,Museum,1 Hoa Lo,21.0253,105.8466\n';
+
+  const plan = await planImport(csv, { hotelId: HOTEL, mapping: { name: 'Venue', address: 'Where' } });
+  assert.strictEqual(plan.rows[0].recommendation.name, 'Hoa Lo Prison');
+
+  await assert.rejects(planImport(csv, { hotelId: HOTEL, mapping: { colour: 'Title' } }), { code: 'IMPORT_INVALID' });
+  await assert.rejects(planImport(csv, { hotelId: HOTEL, mapping: { name: 'Missing' } }), { code: 'IMPORT_INVALID' });
+});
+
+test('invalid rows are reported without stopping the import', async () => {
+  const csv = 'name,address,latitude,longitude\n' +
+    'No Coordinates,12 Hang Bac,,\n' +
+    'Out Of Range,1 Somewhere,123,105\n' +
+    ',No Name Street,21.03,105.85\n' +
+    'Fine,5 Hang Be,21.033,105.853\n';
+
+  const plan = await planImport(csv, { hotelId: HOTEL });
+  assert.deepStrictEqual(plan.rows.map(row => row.status), ['invalid', 'invalid', 'invalid', 'ready']);
+  assert.match(plan.rows[0].error, /API key not configured/);
+  assert.match(plan.rows[1].error, /Invalid coordinates/);
+  assert.match(plan.rows[2].error, /Missing required fields/);
+});
+
+test('GeoJSON points and KML placemarks are read', async () => {
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [105.8522, 21.0285] },
+      properties: { name: 'Hoan Kiem Lake', address: 'Hoan Kiem', rating: 4.7 }
+    }]
+  });
+  const geoPlan = await planImport(geojson, { hotelId: HOTEL });
+  assert.strictEqual(geoPlan.format, 'geojson');
+  assert.deepStrictEqual(geoPlan.rows[0].recommendation.location, { latitude: 21.0285, longitude: 105.8522 });
+  assert.strictEqual(geoPlan.rows[0].recommendation.rating, 4.7);
+
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark>
+    <name>Pho Gia Truyen &amp; Co</name>
+    <description><![CDATA[Beef pho<br>Queue early]]></description>
+    <ExtendedData><Data name="Address"><value>49 Bat Dan</value></Data></ExtendedData>
+    <Point><coordinates>105.8465,21.0336,0</coordinates></Point>
+  </Placemark>
+</Document></kml>`;
+  const kmlPlan = await planImport(kml, { hotelId: HOTEL });
+  const pho = kmlPlan.rows[0].recommendation;
+  assert.strictEqual(kmlPlan.format, 'kml');
+  assert.strictEqual(pho.name, 'Pho Gia Truyen & Co');
+  assert.strictEqual(pho.address, '49 Bat Dan');
+  assert.strictEqual(pho.description, 'Beef pho\nQueue early');
+  assert.deepStrictEqual(pho.location, { latitude: 21.0336, longitude: 105.8465 });
+});
+
+test('malformed files are rejected as a whole', async () => {
+  await assert.rejects(planImport('', { hotelId: HOTEL }), { code: 'IMPORT_INVALID' });
+  await assert.rejects(planImport('name,address\n"unclosed,x\n', { hotelId: HOTEL }), /unclosed quote/);
+  await assert.rejects(planImport('{"type": "Feature"', { hotelId: HOTEL }), /not valid JSON/);
+  await assert.rejects(planImport('name\n', { hotelId: HOTEL }), /no rows/);
+  await assert.rejects(planImport('x', { hotelId: HOTEL, format: 'xlsx' }), /format must be one of/);
+});
+
+test('committing creates the ready rows; a second import finds them as duplicates', async () => {
+  const csv = 'name,address,latitude,longitude\n' +
+    'Train Street,Le Duan,21.0277,105.8412\n' +
+    'train street!,Le Duan,21.0280,105.8413\n';
+
+  const plan = await planImport(csv, { hotelId: HOTEL });
+  assert.deepStrictEqual(plan.rows.map(row => row.status), ['ready', 'duplicate']);
+  assert.deepStrictEqual(plan.rows[1].duplicateOf, { row: 1 });
+
+  const result = await commitImport(plan, null);
+  assert.strictEqual(result.created, 1);
+  assert.ok(listRecommendations().some(rec => rec.id === result.rows[0].recommendation.id));
+
+  const again = await planImport(csv, { hotelId: HOTEL });
+  assert.strictEqual(again.duplicates, 2);
+  assert.strictEqual(again.rows[0].duplicateOf.id, result.rows[0].recommendation.id);
+});
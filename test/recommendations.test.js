@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The database variant runs against DATABASE_URL (or POSTGRES_URL) when one is set. Its
+// replaceAll case rewrites the whole table - point it at a scratch database.
+const databaseUrl = process.env.DATABASE_URL || process.env.POSTGRES_URL;
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+useMemoryDataDir();
+unrefTimers();
+
+const { initDatabase, closeDatabase } = require('../database');
+const { initRevisionStore, listRevisions, getRevision } = require('../recommendation-revisions');
+const { initMediaStore } = require('../media');
+const {
+  initRecommendationStore,
+  refreshRecommendations,
+  listRecommendations,
+  getRecommendation,
+  getTrashedRecommendation,
+  createRecommendation,
+  updateRecommendation,
+  deleteRecommendation,
+  restoreRecommendation,
+  revertRecommendation,
+  replaceAllRecommendations
+} = require('../recommendations');
+
+const STAFF = { id: 'stf_test', username: 'editor' };
+
+let counter = 0;
+
+function place(overrides = {}) {
+  counter++;
+  return {
+    id: `rec_contract_${Date.now()}_${counter}`,
+    name: `Contract Place ${counter}`,
+    address: '12 Hang Bac, Hoan Kiem',
+    location: { latitude: 21.0342, longitude: 105.8531 },
+    rating: 4.4,
+    userRatingCount: 310,
+    description: 'Rooftop bar',
+    category: 'nightlife',
+    websiteUri: 'https://example.com/bar',
+    featured: true,
+    addedBy: 'editor',
+    openingHours: { weekdayDescriptions: ['Monday: 5:00 PM - 1:00 AM'] },
+    parsedData: { prices: '$$', hours: '5pm-1am', foodItems: 'Cocktails', googleMapsUrl: '' },
+    hotelId: 'hanoi-old-quarter',
+    sharedWith: ['saigon-downtown'],
+    ...overrides
+  };
+}
+
+// A record as the store keeps it, without the fields that change on every save
+function stored(record) {
+  const { updatedDate, currentOpeningHours, regularOpeningHours, purgeAt, ...fields } = record;
+  return fields;
+}
+
+// What the store returns once the cache is reloaded from it, as another instance would see it
+async function reloaded(id) {
+  await refreshRecommendations();
+  return getRecommendation(id);
+}
+
+const STORES = [{ name: 'file', database: false }];
+if (databaseUrl) STORES.push({ name: 'database', database: true });
+
+STORES.forEach(({ name, database }) => {
+  test.describe(`${name} store`, () => {
+    test.before(async () => {
+      if (database) assert.strictEqual(await initDatabase(), true, 'the database connects');
+      initRevisionStore(database);
+      initMediaStore(database);
+      await initRecommendationStore(database);
+    });
+
+    test.after(async () => {
+      if (database) await closeDatabase();
+    });
+
+    test('create and update keep every field', async () => {
+      const input = place();
+      const created = await createRecommendation(input, STAFF);
+      assert.deepStrictEqual(stored(await reloaded(input.id)), stored(created));
+      assert.strictEqual(created.category, 'nightlife');
+      assert.strictEqual(created.userRatingCount, 310);
+      assert.deepStrictEqual(created.parsedData, input.parsedData);
+
+      // The fields the old db.updateRecommendation dropped
+      const updates = {
+        category: 'cafe',
+        userRatingCount: 1204,
+        parsedData: { prices: '$', hours: '7am-10pm', foodItems: 'Egg coffee', googleMapsUrl: '' }
+      };
+      const updated = await updateRecommendation(input.id, updates, STAFF);
+      const fromStore = await reloaded(input.id);
+      assert.deepStrictEqual(stored(fromStore), stored(updated));
+      assert.strictEqual(fromStore.category, 'cafe');
+      assert.strictEqual(fromStore.userRatingCount, 1204);
+      assert.deepStrictEqual(fromStore.parsedData, updates.parsedData);
+      assert.strictEqual(fromStore.addedDate, created.addedDate);
+
+      assert.strictEqual(await updateRecommendation('rec_missing', { name: 'Nothing' }), null);
+      await assert.rejects(createRecommendation(input), { code: 'RECOMMENDATION_INVALID' });
+    });
+
+    test('replaceAll writes exactly the given list', async () => {
+      const dropped = await createRecommendation(place());
+      const changed = await createRecommendation(place());
+      const added = place({ category: 'museum' });
+
+      const records = listRecommendations()
+        .filter(rec => rec.id !== dropped.id)
+        .map(rec => (rec.id === changed.id ? { ...rec, name: 'Renamed Place', userRatingCount: 7 } : rec))
+        .concat(added);
+      assert.strictEqual(await replaceAllRecommendations(records, STAFF), records.length);
+
+      await refreshRecommendations();
+      assert.strictEqual(getRecommendation(dropped.id), null);
+      assert.strictEqual(getRecommendation(changed.id).name, 'Renamed Place');
+      assert.strictEqual(getRecommendation(changed.id).userRatingCount, 7);
+      assert.strictEqual(getRecommendation(added.id).category, 'museum');
+      assert.deepStrictEqual(listRecommendations().map(rec => rec.id).sort(), records.map(rec => rec.id).sort());
+
+      await assert.rejects(replaceAllRecommendations([added, added]), /unique/);
+      assert.ok(getRecommendation(changed.id), 'a rejected list changes nothing');
+    });
+
+    test('deleting moves to the trash until restored', async () => {
+      const { id } = await createRecommendation(place());
+
+      const trashed = await deleteRecommendation(id, STAFF);
+      assert.ok(trashed.deletedAt);
+      assert.ok(trashed.purgeAt > trashed.deletedAt);
+      assert.strictEqual(await reloaded(id), null);
+      assert.ok(!listRecommendations().some(rec => rec.id === id));
+      assert.strictEqual(getTrashedRecommendation(id).deletedBy, 'editor');
+      assert.strictEqual(await deleteRecommendation(id), null);
+      assert.strictEqual(await updateRecommendation(id, { name: 'Edited In The Trash' }), null);
+
+      const restored = await restoreRecommendation(id, STAFF);
+      assert.strictEqual(restored.deletedAt, null);
+      const fromStore = await reloaded(id);
+      assert.strictEqual(fromStore.deletedAt, null);
+      assert.strictEqual(fromStore.deletedBy, null);
+      assert.strictEqual(getTrashedRecommendation(id), null);
+      assert.strictEqual(await restoreRecommendation(id), null);
+    });
+
+    test('every change is a revision that can be reverted to', async () => {
+      const input = place();
+      await createRecommendation(input, STAFF);
+      await updateRecommendation(input.id, { name: 'Second Name', category: 'bar' }, STAFF);
+      await deleteRecommendation(input.id, STAFF);
+      await restoreRecommendation(input.id, STAFF);
+
+      const revisions = await listRevisions(input.id);
+      assert.deepStrictEqual(revisions.map(revision => revision.action), ['undelete', 'delete', 'update', 'create']);
+      assert.strictEqual(revisions[3].staffUsername, 'editor');
+      assert.deepStrictEqual(
+        revisions[2].changes.map(change => [change.field, change.from, change.to]),
+        [['name', input.name, 'Second Name'], ['category', 'nightlife', 'bar']]
+      );
+
+      const reverted = await revertRecommendation(input.id, await getRevision(input.id, 1), STAFF);
+      assert.strictEqual(reverted.name, input.name);
+      assert.strictEqual(reverted.category, 'nightlife');
+      assert.strictEqual((await reloaded(input.id)).name, input.name);
+
+      const [latest] = await listRevisions(input.id);
+      assert.strictEqual(latest.action, 'revert');
+      assert.strictEqual(latest.revertedTo, 1);
+    });
+  });
+});
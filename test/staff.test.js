@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ADMIN_PIN = '123456';
+delete process.env.DATABASE_URL;
+delete process.env.POSTGRES_URL;
+
+const { useMemoryDataDir, unrefTimers } = require('./helpers/isolate');
+useMemoryDataDir();
+unrefTimers();
+
+const {
+  ROLE_PERMISSIONS,
+  initStaffStore,
+  listAccounts,
+  inviteAccount,
+  updateAccount,
+  hasPermission,
+  requireStaff
+} = require('../staff');
+const { generateStaffToken } = require('../security');
+
+// Run requireStaff for an account (or a raw Authorization header) the way Express would.
+// Resolves with the status the middleware answered, or 200 when it called next().
+function runGuard(guard, account, req = {}) {
+  return new Promise(resolve => {
+    const authorization = typeof account === 'string' ? account : `Bearer ${generateStaffToken(account).token}`;
+    const request = { headers: { authorization }, query: {}, body: {}, ip: '127.0.0.1', ...req };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    guard(request, res, () => resolve({ status: 200, staff: request.staff }));
+  });
+}
+
+const byRequest = req => req.query.hotel;
+
+let owner;
+let editor;
+let viewer;
+
+test.before(async () => {
+  await initStaffStore(false);
+  owner = (await listAccounts())[0];
+  editor = (await inviteAccount({ username: 'editor', role: 'editor', hotels: ['saigon'], invitedBy: 'test' })).account;
+  viewer = (await inviteAccount({ username: 'viewer', role: 'viewer', hotels: ['*'], invitedBy: 'test' })).account;
+});
+
+test('the first owner is seeded from ADMIN_PIN with every hotel', () => {
+  assert.strictEqual(owner.role, 'owner');
+  assert.deepStrictEqual(owner.hotels, ['*']);
+  assert.notStrictEqual(owner.passwordHash, process.env.ADMIN_PIN);
+});
+
+test('only owners can manage staff and the system', () => {
+  Object.entries(ROLE_PERMISSIONS).forEach(([role, permissions]) => {
+    const expected = role === 'owner';
+    assert.strictEqual(permissions.includes('staff:manage'), expected, role);
+    assert.strictEqual(permissions.includes('system:manage'), expected, role);
+  });
+});
+
+test('permissions are checked per hotel', () => {
+  assert.ok(hasPermission(editor, 'recommendations:write', 'saigon'));
+  assert.ok(!hasPermission(editor, 'recommendations:write', 'hanoi'));
+  assert.ok(!hasPermission(editor, 'recommendations:write'), 'a hotel-scoped account cannot act on every hotel');
+  assert.ok(hasPermission(viewer, 'recommendations:read', 'hanoi'));
+  assert.ok(!hasPermission(viewer, 'recommendations:write', 'hanoi'));
+  assert.ok(!hasPermission({ ...owner, disabled: true }, 'recommendations:read', 'hanoi'));
+});
+
+test('requireStaff needs a valid staff session', async () => {
+  const guard = requireStaff('recommendations:read');
+  assert.strictEqual((await runGuard(guard, '')).body.code, 'STAFF_AUTH_MISSING');
+  assert.strictEqual((await runGuard(guard, 'Bearer not-a-token')).body.code, 'STAFF_AUTH_INVALID');
+
+  const allowed = await runGuard(guard, viewer);
+  assert.strictEqual(allowed.status, 200);
+  assert.strictEqual(allowed.staff.username, 'viewer');
+  assert.strictEqual(allowed.staff.passwordHash, undefined);
+});
+
+test('requireStaff checks the role and the resolved hotel', async () => {
+  const write = requireStaff('recommendations:write', byRequest);
+  assert.strictEqual((await runGuard(write, editor, { query: { hotel: 'saigon' } })).status, 200);
+
+  const otherHotel = await runGuard(write, editor, { query: { hotel: 'hanoi' } });
+  assert.strictEqual(otherHotel.status, 403);
+  assert.strictEqual(otherHotel.body.hotel, 'hanoi');
+
+  assert.strictEqual((await runGuard(write, viewer, { query: { hotel: 'saigon' } })).status, 403);
+  assert.strictEqual((await runGuard(requireStaff('system:manage'), viewer)).status, 403);
+  assert.strictEqual((await runGuard(requireStaff('system:manage'), owner)).status, 200);
+});
+
+test('requireStaff rejects sessions of disabled accounts', async () => {
+  const { account } = await inviteAccount({ username: 'leaver', role: 'editor', hotels: ['saigon'], invitedBy: 'test' });
+  const token = `Bearer ${generateStaffToken(account).token}`;
+  await updateAccount(account.id, { disabled: true });
+
+  const result = await runGuard(requireStaff('recommendations:read'), token);
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(result.body.code, 'STAFF_ACCOUNT_DISABLED');
+});
+
+test('list routes without a hotel filter need the permission for some hotel', async () => {
+  const list = requireStaff('qr:read', () => null);
+  assert.strictEqual((await runGuard(list, editor)).status, 200);
+  assert.strictEqual((await runGuard(list, viewer)).status, 200);
+
+  const { account: issuer } = await inviteAccount({ username: 'issuer', role: 'qr_issuer', hotels: ['saigon'], invitedBy: 'test' });
+  assert.strictEqual((await runGuard(requireStaff('recommendations:write', () => null), issuer)).status, 403);
+  assert.strictEqual((await runGuard(requireStaff('qr:read', () => 'hanoi'), editor)).status, 403);
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('./database');
+
+// Registry of issued QR tokens: usage counters, IP/user-agent sets and revocation state.
+// Postgres is the source of truth when configured, so every instance sees the same state;
+// otherwise records are kept in a JSON file so printed codes survive restarts.
+const TOKENS_FILE = path.join(__dirname, 'data', 'qr_tokens.json');
+const NO_LIMIT = 2147483647; // Postgres INTEGER max
+
+let useDatabase = false;
+const fileTokens = new Map();
+
+function initTokenRegistry(databaseEnabled) {
+  useDatabase = databaseEnabled;
+  if (useDatabase) return;
+
+  try {
+    if (fs.existsSync(TOKENS_FILE)) {
+      const records = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+      records.forEach(record => fileTokens.set(record.qrId, { devices: [], ...record }));
+      console.log(`🔐 Loaded ${fileTokens.size} QR tokens from file`);
+    }
+  } catch (error) {
+    console.error('❌ Error loading QR token registry:', error);
+  }
+}
+
+function saveFileTokens() {
+  try {
+    fs.writeFileSync(TOKENS_FILE, JSON.stringify(Array.from(fileTokens.values()), null, 2));
+  } catch (error) {
+    console.error('❌ Error saving QR token registry:', error);
+  }
+}
+
+async function registerToken({ qrId, metadata = {}, issuedAt, expiresAt, signingKid = null, url = null }) {
+  const record = {
+    qrId,
+    metadata,
+    issuedAt: issuedAt || new Date().toISOString(),
+    expiresAt: expiresAt || null,
+    uses: 0,
+    firstUsed: null,
+    lastUsed: null,
+    ipAddresses: [],
+    userAgents: [],
+    devices: [],
+    signingKid,
+    url,
+    revoked: false,
+    revokedAt: null
+  };
+
+  if (useDatabase) {
+    const saved = await db.addQRToken(record);
+    if (!saved) throw new Error('Failed to register QR token in database');
+    return saved;
+  }
+
+  if (!fileTokens.has(qrId)) {
+    fileTokens.set(qrId, record);
+    saveFileTokens();
+  }
+  return fileTokens.get(qrId);
+}
+
+async function getToken(qrId) {
+  if (useDatabase) return db.getQRToken(qrId);
+  return fileTokens.get(qrId) || null;
+}
+
+async function listTokens() {
+  if (useDatabase) return (await db.getAllQRTokens()) || [];
+  return Array.from(fileTokens.values())
+    .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+}
+
+// Count one use if the token is live and within its scan/device limits.
+// Returns the updated record, or null if missing, revoked or over a limit; throws if the
+// use couldn't be recorded.
+async function recordTokenUse(qrId, ipAddress, userAgent, deviceId, limits = {}) {
+  const maxScans = limits.maxScans || NO_LIMIT;
+  const maxDevices = limits.maxDevices || NO_LIMIT;
+
+  if (useDatabase) return db.recordQRTokenUse(qrId, ipAddress, userAgent, deviceId, maxScans, maxDevices);
+
+  const record = fileTokens.get(qrId);
+  if (!record || record.revoked) return null;
+  if (record.uses >= maxScans) return null;
+  if (!record.devices.includes(deviceId) && record.devices.length >= maxDevices) return null;
+
+  const now = new Date().toISOString();
+  record.uses++;
+  record.lastUsed = now;
+  if (!record.firstUsed) record.firstUsed = now;
+  if (!record.ipAddresses.includes(ipAddress)) record.ipAddresses.push(ipAddress);
+  if (!record.userAgents.includes(userAgent)) record.userAgents.push(userAgent);
+  if (!record.devices.includes(deviceId)) record.devices.push(deviceId);
+
+  saveFileTokens();
+  return record;
+}
+
+async function revokeToken(qrId) {
+  if (useDatabase) return db.revokeQRToken(qrId);
+
+  const record = fileTokens.get(qrId);
+  if (!record) return null;
+
+  record.revoked = true;
+  record.revokedAt = new Date().toISOString();
+  saveFileTokens();
+  return record;
+}
+
+// Live (unrevoked, unexpired) tokens per signing key - records from before the
+// keyring have no kid and were signed with the env key
+async function countLiveTokensByKid(defaultKid) {
+  const counts = {};
+
+  if (useDatabase) {
+    const rows = (await db.countLiveQRTokensByKid()) || [];
+    rows.forEach(row => {
+      const kid = row.kid || defaultKid;
+      counts[kid] = (counts[kid] || 0) + row.count;
+    });
+    return counts;
+  }
+
+  const now = Date.now();
+  for (const record of fileTokens.values()) {
+    if (record.revoked) continue;
+    if (record.expiresAt && new Date(record.expiresAt).getTime() < now) continue;
+    const kid = record.signingKid || defaultKid;
+    counts[kid] = (counts[kid] || 0) + 1;
+  }
+  return counts;
+}
+
+// Remove records whose tokens can no longer verify - returns the number removed
+async function deleteExpiredTokens() {
+  if (useDatabase) return (await db.deleteExpiredQRTokens()) || 0;
+
+  const now = Date.now();
+  let removed = 0;
+  for (const [qrId, record] of fileTokens.entries()) {
+    if (record.expiresAt && new Date(record.expiresAt).getTime() < now) {
+      fileTokens.delete(qrId);
+      removed++;
+    }
+  }
+
+  if (removed > 0) saveFileTokens();
+  return removed;
+}
+
+module.exports = {
+  initTokenRegistry,
+  registerToken,
+  getToken,
+  listTokens,
+  recordTokenUse,
+  revokeToken,
+  countLiveTokensByKid,
+  deleteExpiredTokens
+};